@@ -2,6 +2,12 @@ import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
 import { renderHook, act, waitFor } from '@testing-library/react';
 import { createElement } from 'react';
 import { AuthProvider, useAuth } from '../context/AuthContext';
+import { LuminaProvider } from '../context/LuminaContext';
+import { OrganizationProvider } from '../context/OrganizationContext';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { configureOfflineQueue, getOfflineQueue } from '../lib/offlineQueue';
+import { createMemoryConnectivity } from '../lib/connectivity';
+import { events } from '../lib/events';
 
 // Mock the API module
 vi.mock('../lib/axios', () => ({
@@ -14,6 +20,16 @@ import api from '../lib/axios';
 
 const wrapper = ({ children }) => createElement(AuthProvider, null, children);
 
+function createClient({ authMode = 'token', baseURL = 'https://app.test/api', ...methods } = {}) {
+  return { defaults: { authMode, baseURL }, get: vi.fn(), post: vi.fn(), put: vi.fn(), ...methods };
+}
+
+function renderAuth(client) {
+  return renderHook(() => useAuth(), {
+    wrapper: ({ children }) => createElement(LuminaProvider, { client }, createElement(AuthProvider, null, children)),
+  });
+}
+
 describe('AuthContext – login', () => {
   beforeEach(() => {
     localStorage.clear();
@@ -240,6 +256,137 @@ describe('AuthContext – login', () => {
   });
 });
 
+describe('AuthContext – organizations', () => {
+  const organizations = [{ slug: 'acme' }, { slug: 'globex' }];
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.clearAllMocks();
+  });
+
+  async function login(data) {
+    api.post.mockResolvedValue({ data });
+    const hook = renderHook(() => useAuth(), { wrapper });
+    let loginResult;
+    await act(async () => {
+      loginResult = await hook.result.current.login('a@b.com', 'p');
+    });
+    return { ...hook, loginResult };
+  }
+
+  it('should keep every membership from the login response', async () => {
+    await login({ token: 'tok', organizations });
+
+    expect(JSON.parse(localStorage.getItem('organizations'))).toEqual(organizations);
+    expect(localStorage.getItem('organization_slug')).toBe('acme');
+  });
+
+  it('should prefer the last organization when the user still belongs to it', async () => {
+    localStorage.setItem('last_organization', 'globex');
+
+    const { loginResult } = await login({ token: 'tok', organization_slug: 'acme', organizations });
+
+    expect(loginResult.organization_slug).toBe('globex');
+    expect(localStorage.getItem('organization_slug')).toBe('globex');
+  });
+
+  it('should ignore a last organization the user no longer belongs to', async () => {
+    localStorage.setItem('last_organization', 'initech');
+
+    const { loginResult } = await login({ token: 'tok', organizations });
+
+    expect(loginResult.organization_slug).toBe('acme');
+    expect(localStorage.getItem('last_organization')).toBe('acme');
+  });
+
+  it('should switch organization', async () => {
+    const { result } = await login({ token: 'tok', organizations });
+
+    act(() => {
+      result.current.switchOrganization('globex');
+    });
+
+    expect(localStorage.getItem('organization_slug')).toBe('globex');
+    expect(localStorage.getItem('last_organization')).toBe('globex');
+  });
+
+  describe('tenant cache', () => {
+    function renderWithCache() {
+      const queryClient = new QueryClient();
+      queryClient.setQueryData(['modelIndex', 'posts', null, 'acme', {}], { data: [{ id: 1 }] });
+      queryClient.setQueryData(['modelIndex', 'posts', null, 'globex', {}], { data: [{ id: 2 }] });
+      const cacheWrapper = ({ children }) =>
+        createElement(QueryClientProvider, { client: queryClient }, createElement(AuthProvider, null, children));
+      return { queryClient, ...renderHook(() => useAuth(), { wrapper: cacheWrapper }) };
+    }
+
+    it('should evict other organizations when the organization is set', () => {
+      const { queryClient, result } = renderWithCache();
+
+      act(() => {
+        result.current.setOrganization('globex');
+      });
+
+      expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'acme', {}])).toBeUndefined();
+      expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'globex', {}])).toEqual({ data: [{ id: 2 }] });
+    });
+
+    it('should evict every organization on logout', async () => {
+      localStorage.setItem('token', 'tok');
+      localStorage.setItem('organization_slug', 'acme');
+      api.post.mockResolvedValue({});
+      const { queryClient, result } = renderWithCache();
+
+      await act(async () => {
+        await result.current.logout();
+      });
+
+      expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'acme', {}])).toBeUndefined();
+      expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'globex', {}])).toBeUndefined();
+    });
+
+    it('should keep the organizations of mounted scopes and ignore other tabs', () => {
+      localStorage.setItem('organization_slug', 'acme');
+      const queryClient = new QueryClient();
+      ['acme', 'globex', 'initech', 'umbrella'].forEach((slug) => {
+        queryClient.setQueryData(['modelIndex', 'posts', null, slug, {}], { data: [] });
+      });
+      const cached = (slug) => queryClient.getQueryData(['modelIndex', 'posts', null, slug, {}]);
+      const scopedWrapper = ({ children }) =>
+        createElement(
+          QueryClientProvider,
+          { client: queryClient },
+          createElement(
+            AuthProvider,
+            null,
+            createElement(OrganizationProvider, { slug: 'globex' }, null),
+            createElement(OrganizationProvider, { slug: 'initech' }, null),
+            children,
+          ),
+        );
+      const { result } = renderHook(() => useAuth(), { wrapper: scopedWrapper });
+
+      // Another tab switches organization: nothing this tab shows is evicted
+      act(() => {
+        localStorage.setItem('organization_slug', 'umbrella');
+        window.dispatchEvent(
+          new StorageEvent('storage', { key: 'organization_slug', newValue: 'umbrella', storageArea: localStorage })
+        );
+      });
+      expect(['acme', 'globex', 'initech', 'umbrella'].map(cached).every(Boolean)).toBe(true);
+
+      // This tab switches: the scoped organizations stay cached
+      act(() => {
+        result.current.setOrganization('acme');
+      });
+      expect(cached('acme')).toBeDefined();
+      expect(cached('globex')).toBeDefined();
+      expect(cached('initech')).toBeDefined();
+      expect(cached('umbrella')).toBeUndefined();
+    });
+  });
+});
+
 describe('AuthContext – logout', () => {
   beforeEach(() => {
     localStorage.clear();
@@ -281,11 +428,12 @@ describe('AuthContext – logout', () => {
     expect(localStorage.getItem('token')).toBeNull();
   });
 
-  it('should clear user and organization data from storage', async () => {
+  it('should clear user and organization data from storage but remember the last organization', async () => {
     localStorage.setItem('token', 'tok');
     localStorage.setItem('user', JSON.stringify({ id: 1 }));
     localStorage.setItem('last_organization', 'org');
     localStorage.setItem('organization_slug', 'org');
+    localStorage.setItem('organizations', JSON.stringify([{ slug: 'org' }]));
 
     api.post.mockResolvedValue({});
 
@@ -296,8 +444,9 @@ describe('AuthContext – logout', () => {
     });
 
     expect(localStorage.getItem('user')).toBeNull();
-    expect(localStorage.getItem('last_organization')).toBeNull();
+    expect(localStorage.getItem('organizations')).toBeNull();
     expect(localStorage.getItem('organization_slug')).toBeNull();
+    expect(localStorage.getItem('last_organization')).toBe('org');
   });
 
   it('should continue logout even if API call fails', async () => {
@@ -319,6 +468,53 @@ describe('AuthContext – logout', () => {
   });
 });
 
+describe('AuthContext – offline queue', () => {
+  const queuedPost = { method: 'post', url: '/acme/posts', data: { title: 'Alice draft' }, model: 'posts', organization: 'acme' };
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.clearAllMocks();
+  });
+
+  it('should not replay the previous user\'s queued writes after logout', async () => {
+    localStorage.setItem('token', 'alice-token');
+    const client = createClient({ get: vi.fn().mockResolvedValue({ data: null }) });
+    client.post.mockImplementation((url) =>
+      Promise.resolve({ data: url === '/auth/login' ? { token: 'bob-token', user: { id: 2, name: 'Bob' } } : {} })
+    );
+    const connectivity = createMemoryConnectivity(false);
+    configureOfflineQueue(client, { connectivity });
+    getOfflineQueue(client).enqueue(queuedPost);
+    const { result } = renderAuth(client);
+
+    await act(async () => {
+      await result.current.logout();
+    });
+    await act(async () => {
+      await result.current.login('bob@acme.com', 'secret');
+    });
+    connectivity.setOnline(true);
+    await getOfflineQueue(client).replay();
+
+    expect(client.post).not.toHaveBeenCalledWith('/acme/posts', expect.anything());
+    expect(localStorage.getItem('offline_queue')).toBeNull();
+  });
+
+  it('should drop queued writes when the token is cleared outside the provider', async () => {
+    localStorage.setItem('token', 'alice-token');
+    const client = createClient({ get: vi.fn().mockResolvedValue({ data: null }) });
+    configureOfflineQueue(client, { connectivity: createMemoryConnectivity(false) });
+    getOfflineQueue(client).enqueue(queuedPost);
+    renderAuth(client);
+
+    act(() => {
+      events.emit('token', null);
+    });
+
+    expect(getOfflineQueue(client).getState().entries).toEqual([]);
+  });
+});
+
 describe('AuthContext – token persistence via useEffect', () => {
   beforeEach(() => {
     localStorage.clear();
@@ -351,3 +547,424 @@ describe('AuthContext – token persistence via useEffect', () => {
     expect(localStorage.getItem('token')).toBeNull();
   });
 });
+
+describe('AuthContext – cookie mode', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.clearAllMocks();
+  });
+
+  it('should derive isAuthenticated from an /auth/me probe', async () => {
+    const client = createClient({ authMode: 'cookie' });
+    client.get.mockResolvedValue({ data: { id: 1 } });
+
+    const { result } = renderAuth(client);
+
+    expect(result.current.authMode).toBe('cookie');
+    expect(result.current.isLoading).toBe(true);
+    await waitFor(() => expect(result.current.isLoading).toBe(false));
+    expect(result.current.isAuthenticated).toBe(true);
+    expect(client.get).toHaveBeenCalledWith('/auth/me', { skipUnauthorized: true, signal: expect.any(AbortSignal) });
+  });
+
+  it('should be unauthenticated when the probe fails', async () => {
+    const client = createClient({ authMode: 'cookie' });
+    client.get.mockRejectedValue({ response: { status: 401 } });
+
+    const { result } = renderAuth(client);
+
+    await waitFor(() => expect(result.current.isLoading).toBe(false));
+    expect(result.current.isAuthenticated).toBe(false);
+  });
+
+  it('should ignore a stored token', async () => {
+    localStorage.setItem('token', 'stale-token');
+    const client = createClient({ authMode: 'cookie' });
+    client.get.mockRejectedValue({ response: { status: 401 } });
+
+    const { result } = renderAuth(client);
+
+    expect(result.current.token).toBeNull();
+    expect(result.current.isAuthenticated).toBe(false);
+    await waitFor(() => expect(result.current.isLoading).toBe(false));
+  });
+
+  it('should fetch the CSRF cookie from the app root before logging in', async () => {
+    const client = createClient({ authMode: 'cookie' });
+    client.get.mockRejectedValueOnce({ response: { status: 401 } }).mockResolvedValue({ data: {} });
+    client.post.mockResolvedValue({ data: { user: { id: 1 }, organization_slug: 'acme' } });
+
+    const { result } = renderAuth(client);
+    await waitFor(() => expect(result.current.isLoading).toBe(false));
+
+    let loginResult;
+    await act(async () => {
+      loginResult = await result.current.login('a@b.com', 'secret');
+    });
+
+    expect(client.get).toHaveBeenLastCalledWith('/sanctum/csrf-cookie', { baseURL: 'https://app.test' });
+    expect(client.get.mock.invocationCallOrder[1]).toBeLessThan(client.post.mock.invocationCallOrder[0]);
+    expect(loginResult.success).toBe(true);
+    await waitFor(() => expect(result.current.isAuthenticated).toBe(true));
+    expect(result.current.token).toBeNull();
+    expect(localStorage.getItem('token')).toBeNull();
+    expect(localStorage.getItem('organization_slug')).toBe('acme');
+  });
+
+  it('should use a same-origin CSRF route for a relative baseURL', async () => {
+    const client = createClient({ authMode: 'cookie', baseURL: '/api' });
+    client.get.mockResolvedValue({ data: {} });
+    client.post.mockResolvedValue({ data: {} });
+
+    const { result } = renderAuth(client);
+    await act(async () => {
+      await result.current.login('a@b.com', 'secret');
+    });
+
+    expect(client.get).toHaveBeenCalledWith('/sanctum/csrf-cookie', { baseURL: '' });
+  });
+
+  it('should become unauthenticated on logout', async () => {
+    const client = createClient({ authMode: 'cookie' });
+    client.get.mockResolvedValue({ data: { id: 1 } });
+    client.post.mockResolvedValue({ data: {} });
+
+    const { result } = renderAuth(client);
+    await waitFor(() => expect(result.current.isAuthenticated).toBe(true));
+
+    await act(async () => {
+      await result.current.logout();
+    });
+
+    expect(client.post).toHaveBeenCalledWith('/auth/logout');
+    expect(result.current.isAuthenticated).toBe(false);
+  });
+});
+
+describe('AuthContext – current user', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.clearAllMocks();
+  });
+
+  function createUserClient() {
+    return createClient({
+      get: vi.fn().mockResolvedValue({ data: { id: 1, name: 'Alice' } }),
+      post: vi.fn().mockResolvedValue({ data: { token: 'tok', user: { id: 1, name: 'Alice' } } }),
+      put: vi.fn().mockResolvedValue({ data: { id: 1, name: 'Alicia' } }),
+    });
+  }
+
+  it('should expose the logged-in user from the login response', async () => {
+    const client = createUserClient();
+    const { result } = renderAuth(client);
+    expect(result.current.user).toBeNull();
+
+    await act(async () => {
+      await result.current.login('alice@acme.com', 'secret');
+    });
+
+    await waitFor(() => expect(result.current.user).toEqual({ id: 1, name: 'Alice' }));
+  });
+
+  it('should update the user and clear it on logout', async () => {
+    localStorage.setItem('token', 'tok');
+    const client = createUserClient();
+    const { result } = renderAuth(client);
+    await waitFor(() => expect(result.current.user).toEqual({ id: 1, name: 'Alice' }));
+
+    await act(async () => {
+      await result.current.updateUser({ name: 'Alicia' });
+    });
+    await waitFor(() => expect(result.current.user.name).toBe('Alicia'));
+    expect(client.put).toHaveBeenCalledWith('/auth/me', { name: 'Alicia' });
+
+    await act(async () => {
+      await result.current.logout();
+    });
+    await waitFor(() => expect(result.current.user).toBeNull());
+  });
+
+  it('should refetch the user on demand', async () => {
+    localStorage.setItem('token', 'tok');
+    const client = createUserClient();
+    const { result } = renderAuth(client);
+    await waitFor(() => expect(result.current.user).not.toBeNull());
+
+    client.get.mockResolvedValue({ data: { id: 1, name: 'Changed elsewhere' } });
+    await act(async () => {
+      await result.current.refetchUser();
+    });
+
+    await waitFor(() => expect(result.current.user.name).toBe('Changed elsewhere'));
+  });
+});
+
+describe('AuthContext – account flows', () => {
+  function validationError(errors, message = 'The given data was invalid.') {
+    return { response: { status: 422, data: { message, errors } } };
+  }
+
+  function createAccountClient() {
+    return createClient({ get: vi.fn().mockResolvedValue({ data: { message: 'Email verified.' } }) });
+  }
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.clearAllMocks();
+  });
+
+  it('should register and start a session when a token is returned', async () => {
+    const client = createAccountClient();
+    client.post.mockResolvedValue({
+      data: { token: 'new-token', user: { id: 5, name: 'Bo' }, organization_slug: 'bo-org' },
+    });
+    const { result } = renderAuth(client);
+
+    const form = { name: 'Bo', email: 'bo@x.com', password: 'secret123', password_confirmation: 'secret123' };
+    let registerResult;
+    await act(async () => {
+      registerResult = await result.current.register(form);
+    });
+
+    expect(client.post).toHaveBeenCalledWith('/auth/register', form);
+    expect(registerResult).toEqual({
+      success: true,
+      user: { id: 5, name: 'Bo' },
+      organization: { slug: 'bo-org' },
+      organization_slug: 'bo-org',
+    });
+    expect(result.current.isAuthenticated).toBe(true);
+    expect(localStorage.getItem('token')).toBe('new-token');
+  });
+
+  it('should register without logging in when no token is returned', async () => {
+    const client = createAccountClient();
+    client.post.mockResolvedValue({ data: { user: { id: 5 } } });
+    const { result } = renderAuth(client);
+
+    let registerResult;
+    await act(async () => {
+      registerResult = await result.current.register({ email: 'bo@x.com' });
+    });
+
+    expect(registerResult).toEqual({ success: true, user: { id: 5 } });
+    expect(result.current.isAuthenticated).toBe(false);
+    expect(localStorage.getItem('token')).toBeNull();
+  });
+
+  it('should return field errors when registration fails validation', async () => {
+    const client = createAccountClient();
+    client.post.mockRejectedValue(
+      validationError({ email: ['The email has already been taken.'] }, 'The email has already been taken.')
+    );
+    const { result } = renderAuth(client);
+
+    let registerResult;
+    await act(async () => {
+      registerResult = await result.current.register({ email: 'taken@x.com' });
+    });
+
+    expect(registerResult).toEqual({
+      success: false,
+      error: 'The email has already been taken.',
+      fieldErrors: { email: ['The email has already been taken.'] },
+    });
+  });
+
+  it('should include field errors in login failures', async () => {
+    const client = createAccountClient();
+    client.post.mockRejectedValue(validationError({ email: ['These credentials do not match our records.'] }));
+    const { result } = renderAuth(client);
+
+    let loginResult;
+    await act(async () => {
+      loginResult = await result.current.login('a@b.com', 'wrong');
+    });
+
+    expect(loginResult.success).toBe(false);
+    expect(loginResult.fieldErrors).toEqual({ email: ['These credentials do not match our records.'] });
+  });
+
+  it('should request a password reset link', async () => {
+    const client = createAccountClient();
+    client.post.mockResolvedValue({ data: { message: 'We have emailed your password reset link.' } });
+    const { result } = renderAuth(client);
+
+    let forgotResult;
+    await act(async () => {
+      forgotResult = await result.current.forgotPassword('a@b.com');
+    });
+
+    expect(client.post).toHaveBeenCalledWith('/auth/forgot-password', { email: 'a@b.com' });
+    expect(forgotResult).toEqual({ success: true, message: 'We have emailed your password reset link.' });
+  });
+
+  it('should reset the password with the token from the link', async () => {
+    const client = createAccountClient();
+    client.post.mockResolvedValue({ data: { message: 'Your password has been reset.' } });
+    const { result } = renderAuth(client);
+
+    const data = { token: 'reset-tok', email: 'a@b.com', password: 'new-pass1', password_confirmation: 'new-pass1' };
+    let resetResult;
+    await act(async () => {
+      resetResult = await result.current.resetPassword(data);
+    });
+
+    expect(client.post).toHaveBeenCalledWith('/auth/reset-password', data);
+    expect(resetResult.success).toBe(true);
+  });
+
+  it('should return a fallback error without an API message', async () => {
+    const client = createAccountClient();
+    client.post.mockRejectedValue(new Error('Network Error'));
+    const { result } = renderAuth(client);
+
+    let resetResult;
+    await act(async () => {
+      resetResult = await result.current.resetPassword({ token: 't', email: 'a@b.com', password: 'x', password_confirmation: 'y' });
+    });
+
+    expect(resetResult).toEqual({ success: false, error: 'Password reset failed' });
+  });
+
+  it('should resend the verification email', async () => {
+    const client = createAccountClient();
+    client.post.mockResolvedValue({ data: { message: 'verification-link-sent' } });
+    const { result } = renderAuth(client);
+
+    let resendResult;
+    await act(async () => {
+      resendResult = await result.current.resendVerificationEmail();
+    });
+
+    expect(client.post).toHaveBeenCalledWith('/auth/email/verification-notification');
+    expect(resendResult).toEqual({ success: true, message: 'verification-link-sent' });
+  });
+
+  it('should verify the email with the signed link parameters', async () => {
+    const client = createAccountClient();
+    const { result } = renderAuth(client);
+
+    let verifyResult;
+    await act(async () => {
+      verifyResult = await result.current.verifyEmail({ id: 5, hash: 'abc', expires: '123', signature: 'sig' });
+    });
+
+    expect(client.get).toHaveBeenCalledWith('/auth/email/verify/5/abc', { params: { expires: '123', signature: 'sig' } });
+    expect(verifyResult).toEqual({ success: true, message: 'Email verified.' });
+  });
+
+  it('should fetch the CSRF cookie before account requests in cookie mode', async () => {
+    const client = createClient({ authMode: 'cookie', baseURL: '/api' });
+    client.get.mockResolvedValue({ data: null });
+    client.post.mockResolvedValue({ data: {} });
+    const { result } = renderAuth(client);
+
+    await act(async () => {
+      await result.current.forgotPassword('a@b.com');
+    });
+
+    expect(client.get).toHaveBeenCalledWith('/sanctum/csrf-cookie', { baseURL: '' });
+  });
+});
+
+describe('AuthContext – two-factor authentication', () => {
+  function createTwoFactorClient() {
+    return createClient({ get: vi.fn().mockResolvedValue({ data: null }) });
+  }
+
+  async function loginWithChallenge(client, challenge = { two_factor: true }) {
+    client.post.mockResolvedValueOnce({ data: challenge });
+    const hook = renderAuth(client);
+    let loginResult;
+    await act(async () => {
+      loginResult = await hook.result.current.login('a@b.com', 'secret');
+    });
+    return { ...hook, loginResult };
+  }
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.clearAllMocks();
+  });
+
+  it('should report a two-factor challenge instead of success', async () => {
+    const client = createTwoFactorClient();
+    const { result, loginResult } = await loginWithChallenge(client);
+
+    expect(loginResult).toEqual({ success: false, requiresTwoFactor: true });
+    expect(result.current.requiresTwoFactor).toBe(true);
+    expect(result.current.isAuthenticated).toBe(false);
+    expect(result.current.token).toBeNull();
+    expect(localStorage.getItem('token')).toBeNull();
+  });
+
+  it('should finish the login with an authenticator code', async () => {
+    const client = createTwoFactorClient();
+    const { result } = await loginWithChallenge(client);
+    client.post.mockResolvedValueOnce({
+      data: { token: 'tok', user: { id: 1, organizations: [{ slug: 'acme' }] } },
+    });
+
+    let submitResult;
+    await act(async () => {
+      submitResult = await result.current.submitTwoFactorCode('123456');
+    });
+
+    expect(client.post).toHaveBeenLastCalledWith('/auth/two-factor-challenge', { code: '123456' });
+    expect(submitResult).toMatchObject({ success: true, organization_slug: 'acme' });
+    expect(result.current.requiresTwoFactor).toBe(false);
+    expect(result.current.isAuthenticated).toBe(true);
+    expect(localStorage.getItem('organization_slug')).toBe('acme');
+  });
+
+  it('should accept a recovery code and send back the challenge token', async () => {
+    const client = createTwoFactorClient();
+    const { result } = await loginWithChallenge(client, { two_factor: true, two_factor_token: 'challenge-1' });
+    client.post.mockResolvedValueOnce({ data: { token: 'tok' } });
+
+    await act(async () => {
+      await result.current.submitTwoFactorCode({ recoveryCode: 'abcd-efgh' });
+    });
+
+    expect(client.post).toHaveBeenLastCalledWith('/auth/two-factor-challenge', {
+      recovery_code: 'abcd-efgh',
+      two_factor_token: 'challenge-1',
+    });
+  });
+
+  it('should keep the challenge when the code is rejected', async () => {
+    const client = createTwoFactorClient();
+    const { result } = await loginWithChallenge(client);
+    client.post.mockRejectedValueOnce({
+      response: { status: 422, data: { message: 'The provided two factor authentication code was invalid.', errors: { code: ['The provided two factor authentication code was invalid.'] } } },
+    });
+
+    let submitResult;
+    await act(async () => {
+      submitResult = await result.current.submitTwoFactorCode('000000');
+    });
+
+    expect(submitResult).toEqual({
+      success: false,
+      requiresTwoFactor: true,
+      error: 'The provided two factor authentication code was invalid.',
+      fieldErrors: { code: ['The provided two factor authentication code was invalid.'] },
+    });
+    expect(result.current.requiresTwoFactor).toBe(true);
+  });
+
+  it('should refuse a code without a pending challenge', async () => {
+    const client = createTwoFactorClient();
+    const { result } = renderAuth(client);
+
+    let submitResult;
+    await act(async () => {
+      submitResult = await result.current.submitTwoFactorCode('123456');
+    });
+
+    expect(submitResult.success).toBe(false);
+    expect(client.post).not.toHaveBeenCalled();
+  });
+});
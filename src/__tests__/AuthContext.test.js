@@ -1,13 +1,22 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { renderHook, act } from '@testing-library/react';
 import { createElement } from 'react';
 import { AuthProvider, useAuth } from '../context/AuthContext';
+import api from '../lib/axios';
+import { setStorageNamespace } from '../lib/storage';
+import { useOrganization } from '../hooks/useOrganization';
 
 const wrapper = ({ children }) => createElement(AuthProvider, null, children);
 
 describe('AuthContext', () => {
   beforeEach(() => {
     localStorage.clear();
+    // AuthProvider loads the current user from /auth/me when a token is stored
+    vi.spyOn(api, 'get').mockResolvedValue({ data: null });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
   });
 
   it('should start unauthenticated when no token stored', () => {
@@ -23,6 +32,21 @@ describe('AuthContext', () => {
     expect(result.current.token).toBe('existing-token');
   });
 
+  it('should read the session of its storage namespace', () => {
+    localStorage.setItem('token', 'legacy-token');
+    localStorage.setItem('organization_slug', 'acme');
+    localStorage.setItem('portal:token', 'portal-token');
+    setStorageNamespace('admin');
+
+    const { result } = renderHook(() => ({ auth: useAuth(), organization: useOrganization() }), { wrapper });
+
+    setStorageNamespace(null);
+    expect(result.current.auth.token).toBe('legacy-token');
+    expect(result.current.organization).toBe('acme');
+    expect(localStorage.getItem('admin:token')).toBe('legacy-token');
+    expect(localStorage.getItem('token')).toBeNull();
+  });
+
   it('should expose login, logout, setOrganization methods', () => {
     const { result } = renderHook(() => useAuth(), { wrapper });
     expect(result.current.login).toBeTypeOf('function');
@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { createElement } from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+
+vi.mock('../lib/axios', () => ({
+  default: {
+    get: vi.fn(),
+    post: vi.fn(),
+    put: vi.fn(),
+    delete: vi.fn(),
+  },
+}));
+
+vi.mock('../hooks/useOrganization', () => ({
+  useOrganization: vi.fn(() => 'my-org'),
+  getOrganization: vi.fn(() => 'my-org'),
+  getLastOrganization: vi.fn(() => null),
+  setOrganization: vi.fn(),
+  switchOrganization: vi.fn(),
+}));
+
+import api from '../lib/axios';
+import { LuminaProvider, useLuminaClient } from '../context/LuminaContext';
+import { AuthProvider, useAuth } from '../context/AuthContext';
+import { useModelIndex, useModelStore } from '../hooks/useModel';
+import { useInvitations } from '../hooks/useInvitations';
+import { useOwner } from '../hooks/useOwner';
+import { usePrefetchModel } from '../hooks/usePrefetchModel';
+
+function createFakeClient() {
+  return {
+    get: vi.fn().mockResolvedValue({ data: [], headers: {} }),
+    post: vi.fn().mockResolvedValue({ data: {} }),
+    put: vi.fn().mockResolvedValue({ data: {} }),
+    delete: vi.fn().mockResolvedValue({ data: {} }),
+  };
+}
+
+function createWrapper(client) {
+  const queryClient = new QueryClient({
+    defaultOptions: { queries: { retry: false }, mutations: { retry: false } },
+  });
+  return ({ children }) => {
+    const tree = createElement(QueryClientProvider, { client: queryClient }, children);
+    return client ? createElement(LuminaProvider, { client }, tree) : tree;
+  };
+}
+
+describe('LuminaProvider', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+  });
+
+  it('should fall back to the default client without a provider', () => {
+    const { result } = renderHook(() => useLuminaClient());
+    expect(result.current).toBe(api);
+  });
+
+  it('should provide the given client', () => {
+    const client = createFakeClient();
+    const { result } = renderHook(() => useLuminaClient(), { wrapper: createWrapper(client) });
+    expect(result.current).toBe(client);
+  });
+
+  it('should use the nearest provider', () => {
+    const outer = createFakeClient();
+    const inner = createFakeClient();
+    const wrapper = ({ children }) =>
+      createElement(LuminaProvider, { client: outer }, createElement(LuminaProvider, { client: inner }, children));
+
+    const { result } = renderHook(() => useLuminaClient(), { wrapper });
+    expect(result.current).toBe(inner);
+  });
+
+  it('should route model queries and mutations through the provided client', async () => {
+    const client = createFakeClient();
+    const wrapper = createWrapper(client);
+
+    const { result: index } = renderHook(() => useModelIndex('invoices'), { wrapper });
+    await waitFor(() => expect(index.current.isSuccess).toBe(true));
+
+    const { result: store } = renderHook(() => useModelStore('invoices'), { wrapper });
+    await act(async () => {
+      await store.current.mutateAsync({ total: 10 });
+    });
+
+    expect(client.get).toHaveBeenCalledWith('/my-org/invoices', { signal: expect.any(AbortSignal) });
+    expect(client.post).toHaveBeenCalledWith('/my-org/invoices', { total: 10 });
+    expect(api.get).not.toHaveBeenCalled();
+    expect(api.post).not.toHaveBeenCalled();
+  });
+
+  it('should route invitation and owner queries through the provided client', async () => {
+    const client = createFakeClient();
+    const wrapper = createWrapper(client);
+
+    const { result: invitations } = renderHook(() => useInvitations(), { wrapper });
+    const { result: owner } = renderHook(() => useOwner(), { wrapper });
+    await waitFor(() => expect(invitations.current.isSuccess).toBe(true));
+    await waitFor(() => expect(owner.current.isSuccess).toBe(true));
+
+    expect(client.get).toHaveBeenCalledWith('/my-org/invitations', { signal: expect.any(AbortSignal) });
+    expect(client.get).toHaveBeenCalledWith(expect.stringContaining('/my-org/organizations'), { signal: expect.any(AbortSignal) });
+    expect(api.get).not.toHaveBeenCalled();
+  });
+
+  it('should keep separate cache entries for clients of different backends on one QueryClient', async () => {
+    const core = { ...createFakeClient(), defaults: { baseURL: 'https://core.test/api' } };
+    const billing = { ...createFakeClient(), defaults: { baseURL: 'https://billing.test/api' } };
+    core.get.mockImplementation((url) => Promise.resolve({ data: [{ id: 1, source: `core ${url}` }], headers: {} }));
+    billing.get.mockImplementation((url) => Promise.resolve({ data: [{ id: 1, source: `billing ${url}` }], headers: {} }));
+    const queryClient = new QueryClient({ defaultOptions: { queries: { retry: false } } });
+    const wrapperFor = (client) => ({ children }) =>
+      createElement(QueryClientProvider, { client: queryClient }, createElement(LuminaProvider, { client }, children));
+    const useBackend = () => ({ index: useModelIndex('invoices'), invitations: useInvitations(), owner: useOwner() });
+
+    const { result: coreResult } = renderHook(useBackend, { wrapper: wrapperFor(core) });
+    const { result: billingResult } = renderHook(useBackend, { wrapper: wrapperFor(billing) });
+    await waitFor(() => expect(billingResult.current.owner.isSuccess).toBe(true));
+    await waitFor(() => expect(coreResult.current.owner.isSuccess).toBe(true));
+    await waitFor(() => expect(billingResult.current.invitations.isSuccess).toBe(true));
+
+    expect(coreResult.current.index.data.data[0].source).toBe('core /my-org/invoices');
+    expect(billingResult.current.index.data.data[0].source).toBe('billing /my-org/invoices');
+    expect(coreResult.current.invitations.data[0].source).toBe('core /my-org/invitations');
+    expect(billingResult.current.invitations.data[0].source).toBe('billing /my-org/invitations');
+    expect(coreResult.current.owner.data.source).toMatch(/^core /);
+    expect(billingResult.current.owner.data.source).toMatch(/^billing /);
+  });
+
+  it('should prefetch through the provided client', async () => {
+    const client = createFakeClient();
+    const { result } = renderHook(() => usePrefetchModel('invoices'), { wrapper: createWrapper(client) });
+
+    await act(async () => {
+      await result.current.prefetchShow(3);
+    });
+
+    expect(client.get).toHaveBeenCalledWith('/my-org/invoices/3', { signal: expect.any(AbortSignal) });
+    expect(api.get).not.toHaveBeenCalled();
+  });
+
+  it('should let AuthProvider log in against the provided client', async () => {
+    const client = createFakeClient();
+    client.post.mockResolvedValue({ data: { token: 'billing-token' } });
+    const wrapper = ({ children }) =>
+      createElement(LuminaProvider, { client }, createElement(AuthProvider, null, children));
+
+    const { result } = renderHook(() => useAuth(), { wrapper });
+    await act(async () => {
+      await result.current.login('a@b.com', 'secret');
+    });
+
+    expect(client.post).toHaveBeenCalledWith('/auth/login', { email: 'a@b.com', password: 'secret' });
+    expect(api.post).not.toHaveBeenCalled();
+    expect(result.current.token).toBe('billing-token');
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { createElement } from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+
+vi.mock('../lib/axios', () => ({
+  default: {
+    get: vi.fn(),
+    post: vi.fn(),
+    put: vi.fn(),
+    delete: vi.fn(),
+  },
+}));
+
+import api from '../lib/axios';
+import { OrganizationProvider } from '../context/OrganizationContext';
+import { useOrganization, setOrganization, createPathResolver, createParamsResolver } from '../hooks/useOrganization';
+import { useModelIndex } from '../hooks/useModel';
+
+function providerWrapper(props, inner) {
+  return ({ children }) => {
+    const content = inner ? createElement(OrganizationProvider, inner, children) : children;
+    return createElement(OrganizationProvider, props, content);
+  };
+}
+
+describe('OrganizationProvider', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.clearAllMocks();
+  });
+
+  it('should use the stored organization without a provider', () => {
+    localStorage.setItem('organization_slug', 'stored-org');
+
+    const { result } = renderHook(() => useOrganization());
+
+    expect(result.current).toBe('stored-org');
+  });
+
+  it('should scope the subtree to an explicit slug', () => {
+    localStorage.setItem('organization_slug', 'stored-org');
+
+    const { result } = renderHook(() => useOrganization(), { wrapper: providerWrapper({ slug: 'acme' }) });
+
+    expect(result.current).toBe('acme');
+  });
+
+  it('should keep the scoped slug when storage changes', () => {
+    const { result } = renderHook(() => useOrganization(), { wrapper: providerWrapper({ slug: 'acme' }) });
+
+    act(() => {
+      setOrganization('globex');
+    });
+
+    expect(result.current).toBe('acme');
+  });
+
+  it('should let the nearest provider win', () => {
+    const { result } = renderHook(() => useOrganization(), {
+      wrapper: providerWrapper({ slug: 'acme' }, { slug: 'globex' }),
+    });
+
+    expect(result.current).toBe('globex');
+  });
+
+  it('should inherit the outer organization when the inner one resolves nothing', () => {
+    const { result } = renderHook(() => useOrganization(), {
+      wrapper: providerWrapper({ slug: 'acme' }, { resolver: () => null }),
+    });
+
+    expect(result.current).toBe('acme');
+  });
+
+  it('should fall back to storage when the resolver returns nothing', () => {
+    localStorage.setItem('organization_slug', 'stored-org');
+
+    const { result } = renderHook(() => useOrganization(), { wrapper: providerWrapper({ resolver: () => undefined }) });
+
+    expect(result.current).toBe('stored-org');
+  });
+
+  it('should request the scoped organization from the model hooks', async () => {
+    localStorage.setItem('organization_slug', 'stored-org');
+    api.get.mockResolvedValue({ data: [], headers: {} });
+    const queryClient = new QueryClient({ defaultOptions: { queries: { retry: false } } });
+    const wrapper = ({ children }) =>
+      createElement(
+        QueryClientProvider,
+        { client: queryClient },
+        createElement(OrganizationProvider, { slug: 'acme' }, children),
+      );
+
+    const { result } = renderHook(() => useModelIndex('posts'), { wrapper });
+
+    await waitFor(() => expect(result.current.isSuccess).toBe(true));
+    expect(api.get).toHaveBeenCalledWith('/acme/posts', expect.anything());
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'acme', {}])).toBeDefined();
+  });
+});
+
+describe('createPathResolver', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('should read the first path segment by default', () => {
+    window.history.replaceState(null, '', '/acme/posts/1');
+
+    const { result } = renderHook(() => useOrganization(), {
+      wrapper: providerWrapper({ resolver: createPathResolver() }),
+    });
+
+    expect(result.current).toBe('acme');
+  });
+
+  it('should strip the base path and use the given segment', () => {
+    window.history.replaceState(null, '', '/app/orgs/acme%20corp/posts');
+
+    const { result } = renderHook(() => useOrganization(), {
+      wrapper: providerWrapper({ resolver: createPathResolver({ basePath: '/app', segment: 1 }) }),
+    });
+
+    expect(result.current).toBe('acme corp');
+  });
+
+  it('should follow back/forward navigation', () => {
+    window.history.replaceState(null, '', '/acme');
+    const { result } = renderHook(() => useOrganization(), {
+      wrapper: providerWrapper({ resolver: createPathResolver() }),
+    });
+
+    act(() => {
+      window.history.replaceState(null, '', '/globex');
+      window.dispatchEvent(new PopStateEvent('popstate'));
+    });
+
+    expect(result.current).toBe('globex');
+  });
+});
+
+describe('createParamsResolver', () => {
+  it('should read the organization param', () => {
+    const useParams = () => ({ organization: 'acme', id: '1' });
+
+    const { result } = renderHook(() => useOrganization(), {
+      wrapper: providerWrapper({ resolver: createParamsResolver(useParams) }),
+    });
+
+    expect(result.current).toBe('acme');
+  });
+
+  it('should support a custom param name and array values', () => {
+    const useParams = () => ({ team: ['globex'] });
+
+    const { result } = renderHook(() => useOrganization(), {
+      wrapper: providerWrapper({ resolver: createParamsResolver(useParams, 'team') }),
+    });
+
+    expect(result.current).toBe('globex');
+  });
+});
@@ -1,5 +1,17 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
-import api, { configureApi } from '../lib/axios';
+import { AxiosError } from 'axios';
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { createElement } from 'react';
+import api, { configureApi, createLuminaClient } from '../lib/axios';
+import { AuthProvider, useAuth } from '../context/AuthContext';
+import { LuminaProvider } from '../context/LuminaContext';
+import {
+  LuminaUnauthorizedError,
+  LuminaForbiddenError,
+  LuminaNotFoundError,
+  LuminaServerError,
+  LuminaNetworkError,
+} from '../lib/errors';
 
 describe('API Client – Response Interceptor', () => {
   let responseErrorHandler;
@@ -15,18 +27,19 @@ describe('API Client – Response Interceptor', () => {
     configureApi({ baseURL: '/api' });
   });
 
-  it('should handle CORS error with descriptive message', async () => {
-    const corsError = { message: 'Network Error: CORS policy blocked', response: undefined };
+  it('should reject requests without a response as LuminaNetworkError', async () => {
+    const networkError = new AxiosError('Network Error', 'ERR_NETWORK', {}, {});
 
-    await expect(responseErrorHandler(corsError)).rejects.toThrow(
-      'CORS Error: Backend is not allowing requests from this origin'
-    );
+    const rejection = responseErrorHandler(networkError);
+
+    await expect(rejection).rejects.toBeInstanceOf(LuminaNetworkError);
+    await expect(rejection).rejects.toMatchObject({ status: null, cause: networkError });
   });
 
-  it('should pass through non-CORS errors without response', async () => {
-    const networkError = { message: 'Network Error', response: undefined };
+  it('should pass through errors raised before a request was sent', async () => {
+    const setupError = { message: 'Invalid URL', response: undefined };
 
-    await expect(responseErrorHandler(networkError)).rejects.toBe(networkError);
+    await expect(responseErrorHandler(setupError)).rejects.toBe(setupError);
   });
 
   it('should clear token on 401 response', async () => {
@@ -42,7 +55,7 @@ describe('API Client – Response Interceptor', () => {
     delete window.location;
     window.location = { href: '/dashboard' };
 
-    await expect(responseErrorHandler(error401)).rejects.toBe(error401);
+    await expect(responseErrorHandler(error401)).rejects.toBeInstanceOf(LuminaUnauthorizedError);
     expect(localStorage.getItem('token')).toBeNull();
 
     window.location = originalLocation;
@@ -57,7 +70,7 @@ describe('API Client – Response Interceptor', () => {
       message: 'Unauthorized',
     };
 
-    await expect(responseErrorHandler(error401)).rejects.toBe(error401);
+    await expect(responseErrorHandler(error401)).rejects.toMatchObject({ status: 401, cause: error401 });
     expect(onUnauthorized).toHaveBeenCalled();
 
     // Clean up
@@ -71,27 +84,33 @@ describe('API Client – Response Interceptor', () => {
 
     const error401 = { response: { status: 401 }, message: 'Unauthorized' };
 
-    await expect(responseErrorHandler(error401)).rejects.toBe(error401);
+    await expect(responseErrorHandler(error401)).rejects.toBeInstanceOf(LuminaUnauthorizedError);
     expect(localStorage.getItem('token')).toBeNull();
   });
 
-  it('should pass through 403 errors without clearing token', async () => {
+  it('should reject 403 as LuminaForbiddenError without clearing token', async () => {
     localStorage.setItem('token', 'valid-token');
 
-    const error403 = { response: { status: 403 }, message: 'Forbidden' };
+    const error403 = { response: { status: 403, data: { message: 'This action is unauthorized.' } }, message: 'Forbidden' };
 
-    await expect(responseErrorHandler(error403)).rejects.toBe(error403);
+    await expect(responseErrorHandler(error403)).rejects.toBeInstanceOf(LuminaForbiddenError);
     expect(localStorage.getItem('token')).toBe('valid-token');
   });
 
-  it('should pass through 404 errors', async () => {
-    const error404 = { response: { status: 404 }, message: 'Not Found' };
-    await expect(responseErrorHandler(error404)).rejects.toBe(error404);
+  it('should reject 404 as LuminaNotFoundError with the Laravel message', async () => {
+    const error404 = { response: { status: 404, data: { message: 'No query results for model [App\\Models\\Post] 9' } }, message: 'Not Found' };
+
+    await expect(responseErrorHandler(error404)).rejects.toBeInstanceOf(LuminaNotFoundError);
+    await expect(responseErrorHandler(error404)).rejects.toThrow('No query results for model');
   });
 
-  it('should pass through 500 errors', async () => {
-    const error500 = { response: { status: 500 }, message: 'Server Error' };
-    await expect(responseErrorHandler(error500)).rejects.toBe(error500);
+  it('should reject 500 as LuminaServerError with the request id', async () => {
+    const error500 = { response: { status: 500, headers: { 'x-request-id': 'req-42' } }, message: 'Server Error' };
+
+    const rejection = responseErrorHandler(error500);
+
+    await expect(rejection).rejects.toBeInstanceOf(LuminaServerError);
+    await expect(rejection).rejects.toMatchObject({ status: 500, requestId: 'req-42', response: error500.response });
   });
 
   it('should pass through successful responses in success handler', () => {
@@ -176,3 +195,183 @@ describe('configureApi', () => {
     expect(api.defaults.baseURL).toBe('https://api.example.com/v2');
   });
 });
+
+describe('API Client – Token Refresh', () => {
+  let refreshCalls;
+
+  function respond(config, status, data) {
+    const response = { data, status, statusText: '', headers: {}, config };
+    if (status < 400) return Promise.resolve(response);
+    return Promise.reject(new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_REQUEST', config, null, response));
+  }
+
+  // Fake backend: only 'fresh-token' is valid; /auth/refresh hands it out
+  function createClient({ refreshStatus = 200, onUnauthorized = vi.fn() } = {}) {
+    const client = createLuminaClient({ refreshEndpoint: '/auth/refresh', onUnauthorized });
+    client.defaults.adapter = (config) => {
+      if (config.url === '/auth/refresh') {
+        refreshCalls += 1;
+        return new Promise((resolve) => setTimeout(resolve, 5)).then(() =>
+          respond(config, refreshStatus, refreshStatus === 200 ? { token: 'fresh-token' } : { message: 'Expired' })
+        );
+      }
+      const authorized = config.headers.Authorization === 'Bearer fresh-token';
+      return respond(config, authorized ? 200 : 401, authorized ? { url: config.url } : { message: 'Unauthenticated.' });
+    };
+    return { client, onUnauthorized };
+  }
+
+  beforeEach(() => {
+    localStorage.clear();
+    refreshCalls = 0;
+  });
+
+  it('should refresh once and retry concurrent requests with the new token', async () => {
+    localStorage.setItem('token', 'expired-token');
+    const { client, onUnauthorized } = createClient();
+
+    const responses = await Promise.all([client.get('/a'), client.get('/b'), client.get('/c')]);
+
+    expect(responses.map((r) => r.data.url)).toEqual(['/a', '/b', '/c']);
+    expect(refreshCalls).toBe(1);
+    expect(localStorage.getItem('token')).toBe('fresh-token');
+    expect(onUnauthorized).not.toHaveBeenCalled();
+  });
+
+  it('should hold requests started during a refresh', async () => {
+    localStorage.setItem('token', 'expired-token');
+    const { client } = createClient();
+
+    const first = client.get('/a');
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    const second = await client.get('/b');
+
+    await expect(first).resolves.toMatchObject({ data: { url: '/a' } });
+    expect(second.data.url).toBe('/b');
+    expect(refreshCalls).toBe(1);
+  });
+
+  it('should fall back to onUnauthorized when the refresh fails', async () => {
+    localStorage.setItem('token', 'expired-token');
+    const { client, onUnauthorized } = createClient({ refreshStatus: 401 });
+
+    const results = await Promise.allSettled([client.get('/a'), client.get('/b')]);
+
+    expect(results.map((r) => r.status)).toEqual(['rejected', 'rejected']);
+    expect(results[0].reason.response.status).toBe(401);
+    expect(refreshCalls).toBe(1);
+    expect(onUnauthorized).toHaveBeenCalledTimes(2);
+    expect(localStorage.getItem('token')).toBeNull();
+  });
+
+  it('should not refresh requests that opt out', async () => {
+    localStorage.setItem('token', 'expired-token');
+    const { client, onUnauthorized } = createClient();
+
+    await expect(client.get('/a', { skipAuthRefresh: true })).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(refreshCalls).toBe(0);
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not refresh without a refresh endpoint', async () => {
+    localStorage.setItem('token', 'expired-token');
+    const onUnauthorized = vi.fn();
+    const client = createLuminaClient({ onUnauthorized });
+    client.defaults.adapter = (config) => respond(config, 401, {});
+
+    await expect(client.get('/a')).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+  });
+
+  it('should be enabled on the default client through configureApi', () => {
+    expect(() => configureApi({ refreshEndpoint: '/auth/refresh' })).not.toThrow();
+    configureApi({ refreshEndpoint: null });
+  });
+
+  it('should keep AuthProvider token state in sync', async () => {
+    localStorage.setItem('token', 'expired-token');
+    const { client } = createClient();
+    const wrapper = ({ children }) => createElement(LuminaProvider, { client }, createElement(AuthProvider, null, children));
+    const { result } = renderHook(() => useAuth(), { wrapper });
+
+    await act(async () => {
+      await client.get('/a');
+    });
+
+    await waitFor(() => expect(result.current.token).toBe('fresh-token'));
+    expect(result.current.isAuthenticated).toBe(true);
+  });
+
+  it('should log AuthProvider out when the refresh fails', async () => {
+    localStorage.setItem('token', 'expired-token');
+    const { client } = createClient({ refreshStatus: 401 });
+    const wrapper = ({ children }) => createElement(LuminaProvider, { client }, createElement(AuthProvider, null, children));
+    const { result } = renderHook(() => useAuth(), { wrapper });
+
+    await act(async () => {
+      await expect(client.get('/a')).rejects.toBeDefined();
+    });
+
+    await waitFor(() => expect(result.current.isAuthenticated).toBe(false));
+    expect(result.current.token).toBeNull();
+  });
+});
+
+describe('API Client – Cookie Auth Mode', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    document.cookie = 'XSRF-TOKEN=; expires=Thu, 01 Jan 1970 00:00:00 GMT';
+  });
+
+  it('should default to token mode', () => {
+    expect(api.defaults.authMode).toBe('token');
+  });
+
+  it('should forward the XSRF-TOKEN cookie and skip the stored token', () => {
+    localStorage.setItem('token', 'stored-token');
+    document.cookie = `XSRF-TOKEN=${encodeURIComponent('abc=123')}`;
+    const client = createLuminaClient({ authMode: 'cookie' });
+    const handler = client.interceptors.request.handlers[0].fulfilled;
+
+    const result = handler({ headers: {}, authMode: client.defaults.authMode });
+
+    expect(result.headers['X-XSRF-TOKEN']).toBe('abc=123');
+    expect(result.headers.Authorization).toBeUndefined();
+  });
+
+  it('should not refresh in cookie mode', async () => {
+    const onUnauthorized = vi.fn();
+    const client = createLuminaClient({ authMode: 'cookie', refreshEndpoint: '/auth/refresh', onUnauthorized });
+    const adapter = vi.fn((config) =>
+      Promise.reject(new AxiosError('Unauthorized', 'ERR_BAD_REQUEST', config, null, { status: 401, data: {}, headers: {}, config }))
+    );
+    client.defaults.adapter = adapter;
+
+    await expect(client.get('/a')).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(adapter).toHaveBeenCalledTimes(1);
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+  });
+
+  it('should leave 401s on skipUnauthorized requests to the caller', async () => {
+    const onUnauthorized = vi.fn();
+    const client = createLuminaClient({ authMode: 'cookie', onUnauthorized });
+    client.defaults.adapter = (config) =>
+      Promise.reject(new AxiosError('Unauthorized', 'ERR_BAD_REQUEST', config, null, { status: 401, data: {}, headers: {}, config }));
+
+    await expect(client.get('/auth/me', { skipUnauthorized: true })).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(onUnauthorized).not.toHaveBeenCalled();
+  });
+
+  it('should be set on the default client through configureApi', () => {
+    configureApi({ authMode: 'cookie' });
+    expect(api.defaults.authMode).toBe('cookie');
+    configureApi({ authMode: 'token' });
+  });
+});
@@ -0,0 +1,28 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest';
+import { AxiosError } from 'axios';
+import { createLuminaClient } from '../lib/axios';
+import { events } from '../lib/events';
+import { LuminaUnauthorizedError } from '../lib/errors';
+
+describe('API Client – server rendering', () => {
+  it('should reject a 401 with LuminaUnauthorizedError without a window', async () => {
+    expect(typeof window).toBe('undefined');
+    const onUnauthorized = vi.fn();
+    const client = createLuminaClient({ baseURL: 'https://api.example.com', onUnauthorized });
+    client.defaults.adapter = (config) => {
+      const response = { data: { message: 'Unauthenticated.' }, status: 401, statusText: '', headers: {}, config };
+      return Promise.reject(new AxiosError('Request failed with status code 401', 'ERR_BAD_REQUEST', config, null, response));
+    };
+
+    await expect(client.get('/acme/posts')).rejects.toBeInstanceOf(LuminaUnauthorizedError);
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+  });
+
+  it('should ignore events and subscriptions without a window', () => {
+    const unsubscribe = events.subscribe('token', vi.fn());
+
+    expect(() => events.emit('token', null)).not.toThrow();
+    expect(() => unsubscribe()).not.toThrow();
+  });
+});
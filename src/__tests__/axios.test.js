@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import api, { configureApi } from '../lib/axios';
+import api, { configureApi, createLuminaClient } from '../lib/axios';
+import { setStorageNamespace } from '../lib/storage';
 
 describe('API Client (axios)', () => {
   beforeEach(() => {
@@ -10,6 +11,14 @@ describe('API Client (axios)', () => {
     expect(api.defaults.baseURL).toBeDefined();
   });
 
+  it('should set a default timeout via configureApi', () => {
+    configureApi({ timeout: 15000 });
+    expect(api.defaults.timeout).toBe(15000);
+
+    configureApi({ timeout: 0 });
+    expect(api.defaults.timeout).toBe(0);
+  });
+
   it('should update baseURL via configureApi', () => {
     configureApi({ baseURL: 'https://api.example.com' });
     expect(api.defaults.baseURL).toBe('https://api.example.com');
@@ -28,6 +37,18 @@ describe('API Client (axios)', () => {
     expect(result.headers.Authorization).toBe('Bearer test-token-123');
   });
 
+  it('should read the token under the storage namespace', () => {
+    localStorage.setItem('token', 'portal-token');
+    localStorage.setItem('admin:token', 'admin-token');
+    setStorageNamespace('admin', { migrate: false });
+
+    const requestInterceptor = api.interceptors.request.handlers[0];
+    const result = requestInterceptor.fulfilled({ headers: {} });
+
+    setStorageNamespace(null);
+    expect(result.headers.Authorization).toBe('Bearer admin-token');
+  });
+
   it('should not attach Authorization when no token in storage', () => {
     const requestInterceptor = api.interceptors.request.handlers[0];
     const config = { headers: {} };
@@ -36,6 +57,15 @@ describe('API Client (axios)', () => {
     expect(result.headers.Authorization).toBeUndefined();
   });
 
+  it('should keep an explicit Authorization header', () => {
+    localStorage.setItem('token', 'stored-token');
+    const requestInterceptor = api.interceptors.request.handlers[0];
+    const config = { headers: { Authorization: 'Bearer server-token' } };
+    const result = requestInterceptor.fulfilled(config);
+
+    expect(result.headers.Authorization).toBe('Bearer server-token');
+  });
+
   it('should accept onUnauthorized callback via configureApi', () => {
     const callback = vi.fn();
     configureApi({ onUnauthorized: callback });
@@ -44,3 +74,58 @@ describe('API Client (axios)', () => {
     expect(callback).not.toHaveBeenCalled();
   });
 });
+
+describe('createLuminaClient', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should create clients independent of the default one', () => {
+    const billing = createLuminaClient({ baseURL: 'https://billing.example.com/api', headers: { 'X-App': 'billing' } });
+
+    expect(billing).not.toBe(api);
+    expect(billing.defaults.baseURL).toBe('https://billing.example.com/api');
+    expect(billing.defaults.headers['X-App']).toBe('billing');
+    expect(billing.defaults.headers.Accept).toBe('application/json');
+    expect(api.defaults.baseURL).toBe('/api');
+  });
+
+  it('should attach the stored token', () => {
+    localStorage.setItem('token', 'shared-token');
+    const client = createLuminaClient();
+    const result = client.interceptors.request.handlers[0].fulfilled({ headers: {} });
+
+    expect(result.headers.Authorization).toBe('Bearer shared-token');
+  });
+
+  it('should call its own onUnauthorized on 401', async () => {
+    const onCore = vi.fn();
+    const onBilling = vi.fn();
+    configureApi({ onUnauthorized: onCore });
+    const billing = createLuminaClient({ onUnauthorized: onBilling });
+    const error401 = { response: { status: 401 }, message: 'Unauthorized' };
+
+    await expect(billing.interceptors.response.handlers[0].rejected(error401)).rejects.toMatchObject({ status: 401 });
+
+    expect(onBilling).toHaveBeenCalledTimes(1);
+    expect(onCore).not.toHaveBeenCalled();
+  });
+
+  it('should accept a timeout', () => {
+    expect(createLuminaClient({ timeout: 5000 }).defaults.timeout).toBe(5000);
+    expect(createLuminaClient().defaults.timeout).toBe(0);
+  });
+
+  it('should accept a cache key', () => {
+    expect(createLuminaClient({ cacheKey: 'core' }).defaults.cacheKey).toBe('core');
+    expect(createLuminaClient().defaults.cacheKey).toBeNull();
+  });
+
+  it('should not be changed by configureApi', () => {
+    const billing = createLuminaClient({ baseURL: 'https://billing.example.com/api' });
+    configureApi({ baseURL: 'https://core.example.com/api' });
+
+    expect(billing.defaults.baseURL).toBe('https://billing.example.com/api');
+    configureApi({ baseURL: '/api' });
+  });
+});
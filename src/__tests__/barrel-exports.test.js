@@ -14,6 +14,7 @@ describe('barrel exports – src/index.ts', () => {
 
     // Hooks
     expect(mod.useModelIndex).toBeTypeOf('function');
+    expect(mod.useModelInfiniteIndex).toBeTypeOf('function');
     expect(mod.useModelShow).toBeTypeOf('function');
     expect(mod.useModelStore).toBeTypeOf('function');
     expect(mod.useModelUpdate).toBeTypeOf('function');
@@ -21,10 +22,23 @@ describe('barrel exports – src/index.ts', () => {
     expect(mod.useModelTrashed).toBeTypeOf('function');
     expect(mod.useModelRestore).toBeTypeOf('function');
     expect(mod.useModelForceDelete).toBeTypeOf('function');
+    expect(mod.useModelBulkDelete).toBeTypeOf('function');
+    expect(mod.useModelBulkRestore).toBeTypeOf('function');
+    expect(mod.useModelBulkForceDelete).toBeTypeOf('function');
+    expect(mod.useModelBulkUpdate).toBeTypeOf('function');
     expect(mod.useNestedOperations).toBeTypeOf('function');
     expect(mod.useModelAudit).toBeTypeOf('function');
+    expect(mod.usePrefetchModel).toBeTypeOf('function');
+    expect(mod.prefetchModelIndex).toBeTypeOf('function');
+    expect(mod.prefetchModelShow).toBeTypeOf('function');
+    expect(mod.dehydrateModelQueries).toBeTypeOf('function');
     expect(mod.useModelQuery).toBeTypeOf('function');
     expect(mod.useOrganization).toBeTypeOf('function');
+    expect(mod.useOrganizations).toBeTypeOf('function');
+    expect(mod.switchOrganization).toBeTypeOf('function');
+    expect(mod.OrganizationProvider).toBeTypeOf('function');
+    expect(mod.createPathResolver).toBeTypeOf('function');
+    expect(mod.createParamsResolver).toBeTypeOf('function');
     expect(mod.useOwner).toBeTypeOf('function');
     expect(mod.useOrganizationExists).toBeTypeOf('function');
     expect(mod.useUserRole).toBeTypeOf('function');
@@ -44,6 +58,46 @@ describe('barrel exports – src/index.ts', () => {
 
     expect(mod.AuthProvider).toBeTypeOf('function');
     expect(mod.useAuth).toBeTypeOf('function');
+    expect(mod.useCurrentUser).toBeTypeOf('function');
+    expect(mod.currentUserKey).toBeTypeOf('function');
+  });
+
+  it('should export the API client factory and provider', async () => {
+    const mod = await import('../index');
+
+    expect(mod.createLuminaClient).toBeTypeOf('function');
+    expect(mod.LuminaProvider).toBeTypeOf('function');
+    expect(mod.useLuminaClient).toBeTypeOf('function');
+    expect(mod.useRateLimit).toBeTypeOf('function');
+  });
+
+  it('should export error classes and helpers', async () => {
+    const mod = await import('../index');
+
+    expect(mod.LuminaError).toBeTypeOf('function');
+    expect(mod.LuminaValidationError).toBeTypeOf('function');
+    expect(mod.LuminaNetworkError).toBeTypeOf('function');
+    expect(mod.LuminaCancelledError).toBeTypeOf('function');
+    expect(mod.normalizeError).toBeTypeOf('function');
+    expect(mod.toValidationError).toBeTypeOf('function');
+    expect(mod.applyFieldErrors).toBeTypeOf('function');
+    expect(mod.shouldRetryQuery).toBeTypeOf('function');
+    expect(mod.tenantQueryFilter).toBeTypeOf('function');
+    expect(mod.useOfflineQueue).toBeTypeOf('function');
+    expect(mod.createOfflineQueue).toBeTypeOf('function');
+    expect(mod.getOfflineQueue).toBeTypeOf('function');
+    expect(mod.createMemoryConnectivity).toBeTypeOf('function');
+    expect(mod.createWebConnectivity).toBeTypeOf('function');
+    expect(mod.persistQueryCache).toBeTypeOf('function');
+    expect(mod.clearPersistedQueryCache).toBeTypeOf('function');
+    expect(mod.configureStorage).toBeTypeOf('function');
+    expect(mod.createSessionStorage).toBeTypeOf('function');
+    expect(mod.createPrefixedStorage).toBeTypeOf('function');
+    expect(mod.createAsyncStorage).toBeTypeOf('function');
+    expect(mod.createEncryptedStorage).toBeTypeOf('function');
+    expect(mod.registerStorageKeys).toBeTypeOf('function');
+    expect(mod.setStorageNamespace).toBeTypeOf('function');
+    expect(mod.configureStorageScope).toBeTypeOf('function');
   });
 
   it('should export invitation hooks', async () => {
@@ -0,0 +1,245 @@
+import { describe, it, expect, vi } from 'vitest';
+import { AxiosError, CanceledError } from 'axios';
+import {
+  LuminaError,
+  LuminaUnauthorizedError,
+  LuminaForbiddenError,
+  LuminaNotFoundError,
+  LuminaValidationError,
+  LuminaRateLimitedError,
+  LuminaServerError,
+  LuminaNetworkError,
+  LuminaTimeoutError,
+  LuminaCancelledError,
+  normalizeError,
+  toValidationError,
+  applyFieldErrors,
+  shouldRetryQuery,
+} from '../lib/errors';
+import { createLuminaClient } from '../lib/axios';
+import { QueryClient } from '@tanstack/react-query';
+
+function validationResponse(data) {
+  const error = new Error('Request failed with status code 422');
+  error.response = { status: 422, data };
+  return error;
+}
+
+function responseError(status, data = {}, headers = {}) {
+  const response = { status, data, headers, statusText: '', config: {} };
+  return new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', {}, {}, response);
+}
+
+describe('normalizeError', () => {
+  it.each([
+    [401, LuminaUnauthorizedError],
+    [403, LuminaForbiddenError],
+    [404, LuminaNotFoundError],
+    [422, LuminaValidationError],
+    [429, LuminaRateLimitedError],
+    [500, LuminaServerError],
+    [503, LuminaServerError],
+  ])('should map status %i to %O', (status, ErrorClass) => {
+    const error = normalizeError(responseError(status));
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error).toBeInstanceOf(LuminaError);
+    expect(error.status).toBe(status);
+  });
+
+  it('should use LuminaError for other statuses', () => {
+    const error = normalizeError(responseError(409, { message: 'Already accepted.' }));
+
+    expect(error.constructor).toBe(LuminaError);
+    expect(error.message).toBe('Already accepted.');
+    expect(error.status).toBe(409);
+  });
+
+  it('should carry the Laravel message, request id and original error', () => {
+    const original = responseError(403, { message: 'You may not edit this post.' }, { 'x-request-id': 'abc-123' });
+
+    const error = normalizeError(original);
+
+    expect(error.message).toBe('You may not edit this post.');
+    expect(error.name).toBe('LuminaForbiddenError');
+    expect(error.requestId).toBe('abc-123');
+    expect(error.response).toBe(original.response);
+    expect(error.cause).toBe(original);
+  });
+
+  it('should read Retry-After in seconds or as a date', () => {
+    expect(normalizeError(responseError(429, {}, { 'retry-after': '30' })).retryAfter).toBe(30);
+    expect(normalizeError(responseError(429)).retryAfter).toBeNull();
+
+    const date = new Date(Date.now() + 60_000).toUTCString();
+    const retryAfter = normalizeError(responseError(429, {}, { 'retry-after': date })).retryAfter;
+    expect(retryAfter).toBeGreaterThan(55);
+    expect(retryAfter).toBeLessThanOrEqual(60);
+  });
+
+  it('should map timeouts and missing responses', () => {
+    expect(normalizeError(new AxiosError('timeout of 10ms exceeded', 'ECONNABORTED', {}, {}))).toBeInstanceOf(LuminaTimeoutError);
+    expect(normalizeError(new AxiosError('timeout', 'ETIMEDOUT', {}, {}))).toBeInstanceOf(LuminaTimeoutError);
+    expect(normalizeError(new AxiosError('Network Error', 'ERR_NETWORK', {}, {}))).toBeInstanceOf(LuminaNetworkError);
+  });
+
+  it('should map cancellations to LuminaCancelledError', () => {
+    const canceled = new CanceledError();
+
+    const error = normalizeError(canceled);
+
+    expect(error).toBeInstanceOf(LuminaCancelledError);
+    expect(error).toBeInstanceOf(LuminaError);
+    expect(error.status).toBeNull();
+    expect(error.cause).toBe(canceled);
+  });
+
+  it('should return LuminaErrors and plain errors unchanged', () => {
+    const typed = new LuminaNotFoundError();
+    const plain = new Error('boom');
+
+    expect(normalizeError(typed)).toBe(typed);
+    expect(normalizeError(plain)).toBe(plain);
+  });
+
+  it('should be thrown by API clients', async () => {
+    const client = createLuminaClient({ onUnauthorized: vi.fn() });
+    client.defaults.adapter = (config) =>
+      Promise.reject(new AxiosError('Request failed with status code 404', 'ERR_BAD_REQUEST', config, null, {
+        status: 404, data: { message: 'Post not found.' }, headers: {}, config,
+      }));
+
+    await expect(client.get('/acme/posts/9')).rejects.toBeInstanceOf(LuminaNotFoundError);
+  });
+});
+
+describe('toValidationError', () => {
+  it('should convert a 422 response into a LuminaValidationError', () => {
+    const original = validationResponse({
+      message: 'The title field is required.',
+      errors: { title: ['The title field is required.'] },
+    });
+
+    const error = toValidationError(original);
+
+    expect(error).toBeInstanceOf(LuminaValidationError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toBe('The title field is required.');
+    expect(error.status).toBe(422);
+    expect(error.fieldErrors).toEqual({ title: ['The title field is required.'] });
+    expect(error.operationIndex).toBeNull();
+    expect(error.response).toBe(original.response);
+    expect(error.cause).toBe(original);
+  });
+
+  it('should return other errors unchanged', () => {
+    const notFound = new Error('Not found');
+    notFound.response = { status: 404, data: {} };
+    const network = new Error('Network Error');
+
+    expect(toValidationError(notFound)).toBe(notFound);
+    expect(toValidationError(network)).toBe(network);
+    expect(toValidationError(undefined)).toBeUndefined();
+  });
+
+  it('should fall back to a default message and empty field errors', () => {
+    const error = toValidationError(validationResponse(undefined));
+
+    expect(error.message).toBe('The given data was invalid.');
+    expect(error.fieldErrors).toEqual({});
+  });
+
+  it('should group operations.N.* keys by operation index', () => {
+    const error = toValidationError(validationResponse({
+      errors: {
+        'operations.2.data.title': ['The title field is required.'],
+        'operations.2.data.body': ['The body field is required.'],
+        'operations.1.model': ['The selected model is invalid.'],
+      },
+    }));
+
+    expect(error.operationIndex).toBe(1);
+    expect(error.operationErrors).toEqual({
+      1: { model: ['The selected model is invalid.'] },
+      2: {
+        title: ['The title field is required.'],
+        body: ['The body field is required.'],
+      },
+    });
+  });
+
+  it('should attach plain keys to failed_operation', () => {
+    const error = toValidationError(validationResponse({
+      failed_operation: 3,
+      errors: { email: ['The email has already been taken.'] },
+    }));
+
+    expect(error.operationIndex).toBe(3);
+    expect(error.operationErrors).toEqual({ 3: { email: ['The email has already been taken.'] } });
+  });
+});
+
+describe('shouldRetryQuery', () => {
+  it('should never retry client errors or cancelled requests', () => {
+    expect(shouldRetryQuery(0, new LuminaRateLimitedError('Too Many Attempts.', { status: 429 }))).toBe(false);
+    expect(shouldRetryQuery(0, new LuminaNotFoundError('Not found', { status: 404 }))).toBe(false);
+    expect(shouldRetryQuery(0, responseError(403))).toBe(false);
+    expect(shouldRetryQuery(0, new LuminaCancelledError())).toBe(false);
+  });
+
+  it('should retry network and server errors up to 3 times', () => {
+    expect(shouldRetryQuery(0, new LuminaNetworkError())).toBe(true);
+    expect(shouldRetryQuery(2, new LuminaServerError('Server Error', { status: 503 }))).toBe(true);
+    expect(shouldRetryQuery(3, new LuminaServerError('Server Error', { status: 503 }))).toBe(false);
+  });
+
+  it('should send a throttled query once as the QueryClient retry', async () => {
+    const queryClient = new QueryClient({
+      defaultOptions: { queries: { retry: shouldRetryQuery, retryDelay: 0 } },
+    });
+    const queryFn = vi.fn().mockRejectedValue(new LuminaRateLimitedError('Too Many Attempts.', { status: 429 }));
+
+    await expect(queryClient.fetchQuery({ queryKey: ['throttled'], queryFn })).rejects.toBeInstanceOf(LuminaRateLimitedError);
+    expect(queryFn).toHaveBeenCalledTimes(1);
+
+    const failing = vi.fn().mockRejectedValue(new LuminaServerError('Server Error', { status: 503 }));
+    await expect(queryClient.fetchQuery({ queryKey: ['failing'], queryFn: failing })).rejects.toBeInstanceOf(LuminaServerError);
+    expect(failing).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('applyFieldErrors', () => {
+  it('should call setError with the first message of each field', () => {
+    const setError = vi.fn();
+    const applied = applyFieldErrors(validationResponse({
+      errors: { title: ['Too short.', 'Must be unique.'], body: ['Required.'] },
+    }), setError);
+
+    expect(applied).toBe(true);
+    expect(setError).toHaveBeenCalledTimes(2);
+    expect(setError).toHaveBeenCalledWith('title', { type: 'server', message: 'Too short.' });
+    expect(setError).toHaveBeenCalledWith('body', { type: 'server', message: 'Required.' });
+  });
+
+  it('should apply only the errors of the requested operation', () => {
+    const setError = vi.fn();
+    const error = toValidationError(validationResponse({
+      errors: {
+        'operations.0.data.name': ['Required.'],
+        'operations.1.data.title': ['Required.'],
+      },
+    }));
+
+    applyFieldErrors(error, setError, { operation: 1 });
+
+    expect(setError).toHaveBeenCalledTimes(1);
+    expect(setError).toHaveBeenCalledWith('title', { type: 'server', message: 'Required.' });
+  });
+
+  it('should ignore errors that are not validation failures', () => {
+    const setError = vi.fn();
+
+    expect(applyFieldErrors(new Error('Network Error'), setError)).toBe(false);
+    expect(setError).not.toHaveBeenCalled();
+  });
+});
@@ -9,7 +9,7 @@ describe('Native Events Adapter (in-memory)', () => {
 
     emitter.emit('organization_slug', 'my-org');
 
-    expect(callback).toHaveBeenCalledWith('my-org');
+    expect(callback).toHaveBeenCalledWith('my-org', { crossTab: false });
     unsubscribe();
   });
 
@@ -46,8 +46,8 @@ describe('Native Events Adapter (in-memory)', () => {
 
     emitter.emit('organization_slug', 'my-org');
 
-    expect(cb1).toHaveBeenCalledWith('my-org');
-    expect(cb2).toHaveBeenCalledWith('my-org');
+    expect(cb1).toHaveBeenCalledWith('my-org', { crossTab: false });
+    expect(cb2).toHaveBeenCalledWith('my-org', { crossTab: false });
     unsub1();
     unsub2();
   });
@@ -59,7 +59,7 @@ describe('Native Events Adapter (in-memory)', () => {
 
     emitter.emit('organization_slug', null);
 
-    expect(callback).toHaveBeenCalledWith(null);
+    expect(callback).toHaveBeenCalledWith(null, { crossTab: false });
     unsubscribe();
   });
 
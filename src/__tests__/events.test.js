@@ -1,5 +1,6 @@
-import { describe, it, expect, vi } from 'vitest';
+import { describe, it, expect, vi, afterEach } from 'vitest';
 import { createWebEvents, events } from '../lib/events';
+import { setStorageNamespace } from '../lib/storage';
 
 describe('Web Events Adapter', () => {
   it('should export a default events instance', () => {
@@ -14,7 +15,7 @@ describe('Web Events Adapter', () => {
 
     events.emit('organization_slug', 'my-org');
 
-    expect(callback).toHaveBeenCalledWith('my-org');
+    expect(callback).toHaveBeenCalledWith('my-org', { crossTab: false });
     unsubscribe();
   });
 
@@ -48,8 +49,8 @@ describe('Web Events Adapter', () => {
 
     events.emit('organization_slug', 'my-org');
 
-    expect(cb1).toHaveBeenCalledWith('my-org');
-    expect(cb2).toHaveBeenCalledWith('my-org');
+    expect(cb1).toHaveBeenCalledWith('my-org', { crossTab: false });
+    expect(cb2).toHaveBeenCalledWith('my-org', { crossTab: false });
     unsub1();
     unsub2();
   });
@@ -60,7 +61,7 @@ describe('Web Events Adapter', () => {
 
     events.emit('organization_slug', null);
 
-    expect(callback).toHaveBeenCalledWith(null);
+    expect(callback).toHaveBeenCalledWith(null, { crossTab: false });
     unsubscribe();
   });
 
@@ -78,10 +79,43 @@ describe('Web Events Adapter', () => {
     e1.emit('test-key', 'hello');
 
     // Both should receive since they're backed by the same window
-    expect(cb1).toHaveBeenCalledWith('hello');
-    expect(cb2).toHaveBeenCalledWith('hello');
+    expect(cb1).toHaveBeenCalledWith('hello', { crossTab: false });
+    expect(cb2).toHaveBeenCalledWith('hello', { crossTab: false });
 
     unsub1();
     unsub2();
   });
 });
+
+describe('Web Events Adapter – storage namespace', () => {
+  afterEach(() => {
+    setStorageNamespace(null);
+  });
+
+  function storageChangeFromOtherTab(key, newValue) {
+    window.dispatchEvent(new StorageEvent('storage', { key, newValue, storageArea: localStorage }));
+  }
+
+  it('should deliver changes from other tabs under the library key', () => {
+    setStorageNamespace('admin', { migrate: false });
+    const callback = vi.fn();
+    const unsubscribe = events.subscribe('token', callback);
+
+    storageChangeFromOtherTab('admin:token', 'admin-token');
+
+    expect(callback).toHaveBeenCalledWith('admin-token', { crossTab: true });
+    unsubscribe();
+  });
+
+  it('should ignore changes to keys outside the namespace', () => {
+    setStorageNamespace('admin', { migrate: false });
+    const callback = vi.fn();
+    const unsubscribe = events.subscribe('token', callback);
+
+    storageChangeFromOtherTab('token', 'portal-token');
+    storageChangeFromOtherTab('portal:token', 'portal-token');
+
+    expect(callback).not.toHaveBeenCalled();
+    unsubscribe();
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { serializeFilters } from '../lib/filters';
+
+describe('serializeFilters', () => {
+  it('should return no pairs for missing or empty filters', () => {
+    expect(serializeFilters()).toEqual([]);
+    expect(serializeFilters(null)).toEqual([]);
+    expect(serializeFilters({})).toEqual([]);
+  });
+
+  it('should serialize scalar values as filter[field]=value', () => {
+    expect(serializeFilters({ status: 'published', author_id: 123, is_featured: true })).toEqual([
+      ['filter[status]', 'published'],
+      ['filter[author_id]', '123'],
+      ['filter[is_featured]', 'true'],
+    ]);
+  });
+
+  it('should keep the legacy null serialization for plain null values', () => {
+    expect(serializeFilters({ published_at: null })).toEqual([['filter[published_at]', 'null']]);
+  });
+
+  it('should skip undefined values', () => {
+    expect(serializeFilters({ status: undefined, views: { gte: undefined } })).toEqual([]);
+  });
+
+  it('should serialize arrays as comma-separated lists', () => {
+    expect(serializeFilters({ category_id: [1, 2, 3] })).toEqual([['filter[category_id]', '1,2,3']]);
+  });
+
+  it('should serialize comparison operators', () => {
+    expect(serializeFilters({ views: { gt: 1, gte: 2, lt: 3, lte: 4 } })).toEqual([
+      ['filter[views][gt]', '1'],
+      ['filter[views][gte]', '2'],
+      ['filter[views][lt]', '3'],
+      ['filter[views][lte]', '4'],
+    ]);
+  });
+
+  it('should serialize between, in and notIn as lists', () => {
+    expect(
+      serializeFilters({
+        created_at: { between: ['2024-01-01', '2024-12-31'] },
+        status: { in: ['draft', 'review'] },
+        type: { notIn: ['spam'] },
+      }),
+    ).toEqual([
+      ['filter[created_at][between]', '2024-01-01,2024-12-31'],
+      ['filter[status][in]', 'draft,review'],
+      ['filter[type][not_in]', 'spam'],
+    ]);
+  });
+
+  it('should serialize like', () => {
+    expect(serializeFilters({ title: { like: 'react' } })).toEqual([['filter[title][like]', 'react']]);
+  });
+
+  it('should serialize null and notNull flags', () => {
+    expect(serializeFilters({ a: { null: true }, b: { notNull: true }, c: { null: false }, d: { notNull: false } })).toEqual([
+      ['filter[a][null]', '1'],
+      ['filter[b][not_null]', '1'],
+      ['filter[c][not_null]', '1'],
+      ['filter[d][null]', '1'],
+    ]);
+  });
+
+  it('should format Date values as ISO strings', () => {
+    const from = new Date('2024-01-01T00:00:00.000Z');
+    const to = new Date('2024-02-01T00:00:00.000Z');
+
+    expect(serializeFilters({ created_at: from, updated_at: { between: [from, to] } })).toEqual([
+      ['filter[created_at]', '2024-01-01T00:00:00.000Z'],
+      ['filter[updated_at][between]', '2024-01-01T00:00:00.000Z,2024-02-01T00:00:00.000Z'],
+    ]);
+  });
+
+  it('should throw on unknown operators', () => {
+    expect(() => serializeFilters({ views: { greaterThan: 5 } })).toThrow(
+      'Unknown filter operator "greaterThan" for filter "views"',
+    );
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expectTypeOf } from 'vitest';
+import {
+  useModelIndex,
+  useModelShow,
+  useModelStore,
+  useModelUpdate,
+  useModelBulkUpdate,
+  prefetchModelIndex,
+  dehydrateModelQueries,
+} from '../index';
+import type { ModelName, QueryResponse } from '../index';
+import type { QueryClient } from '@tanstack/react-query';
+
+interface Post {
+  id: number;
+  title: string;
+  status: 'draft' | 'published';
+  author_id: number;
+}
+
+interface User {
+  id: number;
+  name: string;
+  email: string;
+}
+
+// Type-checked by `tsc --noEmit`: the registry below applies to this whole program
+declare module '../types' {
+  interface LuminaModels {
+    posts: Post;
+    users: User;
+  }
+}
+
+// Never called: it only has to compile, with an error on each marked line
+function usePostScreens(queryClient: QueryClient) {
+  const index = useModelIndex('posts', {
+    sort: '-title',
+    includes: ['author_id'],
+    fields: ['id', 'title'],
+    filters: { status: 'published' },
+  });
+  expectTypeOf<NonNullable<typeof index.data>>().toEqualTypeOf<QueryResponse<Post>>();
+
+  const show = useModelShow('users', 1);
+  expectTypeOf<NonNullable<typeof show.data>['email']>().toEqualTypeOf<User['email']>();
+
+  // @ts-expect-error misspelled model name
+  useModelIndex('psots');
+  // @ts-expect-error misspelled model name
+  useModelShow('user', 1);
+
+  // @ts-expect-error unknown sort key
+  useModelIndex('posts', { sort: '-titel' });
+  // @ts-expect-error sort key of another model
+  useModelIndex('posts', { sort: 'email' });
+  // @ts-expect-error unknown include
+  useModelIndex('posts', { includes: ['comments'] });
+  // @ts-expect-error unknown field
+  useModelShow('users', 1, { fields: ['password'] });
+
+  const store = useModelStore('posts');
+  store.mutate({ title: 'Draft' });
+  // @ts-expect-error field that Post doesn't have
+  store.mutate({ headline: 'Draft' });
+
+  const update = useModelUpdate('users');
+  update.mutate({ id: 1, data: { name: 'Ada' } });
+  // @ts-expect-error wrong value type
+  update.mutate({ id: 1, data: { name: 42 } });
+
+  useModelBulkUpdate('posts').mutate({ ids: [1, 2], data: { status: 'published' } });
+  // @ts-expect-error value outside the union
+  useModelBulkUpdate('posts').mutate({ ids: [1, 2], data: { status: 'archived' } });
+
+  prefetchModelIndex(queryClient, 'posts', { sort: 'title' });
+  // @ts-expect-error misspelled model name
+  prefetchModelIndex(queryClient, 'post');
+
+  dehydrateModelQueries(
+    [
+      { model: 'posts', options: { sort: '-title' } },
+      { model: 'users', id: 1, options: { fields: ['email'] } },
+    ],
+    { organization: 'acme' },
+  );
+  dehydrateModelQueries(
+    // @ts-expect-error sort key of another model
+    [{ model: 'users', options: { sort: 'title' } }],
+    { organization: 'acme' },
+  );
+}
+
+describe('LuminaModels registry', () => {
+  it('should narrow model names to the registered ones', () => {
+    expectTypeOf<ModelName>().toEqualTypeOf<'posts' | 'users'>();
+    expectTypeOf(usePostScreens).toBeFunction();
+  });
+});
@@ -0,0 +1,256 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createOfflineQueue, configureOfflineQueue, getOfflineQueue, sendOrQueue } from '../lib/offlineQueue';
+import { createMemoryConnectivity } from '../lib/connectivity';
+import { LuminaNetworkError, LuminaServerError, LuminaValidationError } from '../lib/errors';
+
+function createFakeClient() {
+  return {
+    post: vi.fn().mockResolvedValue({ data: {} }),
+    put: vi.fn().mockResolvedValue({ data: {} }),
+    delete: vi.fn().mockResolvedValue({ data: {} }),
+  };
+}
+
+const storePost = { method: 'post', url: '/acme/posts', data: { title: 'Draft' }, model: 'posts', organization: 'acme' };
+
+describe('createMemoryConnectivity', () => {
+  it('should notify listeners when the state changes', () => {
+    const connectivity = createMemoryConnectivity();
+    const listener = vi.fn();
+    connectivity.subscribe(listener);
+
+    connectivity.setOnline(false);
+    connectivity.setOnline(false);
+
+    expect(connectivity.isOnline()).toBe(false);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(false);
+  });
+});
+
+describe('createOfflineQueue', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should persist entries and restore them in a new queue', () => {
+    const connectivity = createMemoryConnectivity(false);
+    const queue = createOfflineQueue(createFakeClient(), { connectivity });
+
+    const entry = queue.enqueue(storePost);
+
+    expect(entry).toMatchObject({ id: 0, status: 'pending', error: null, ...storePost });
+    expect(JSON.parse(localStorage.getItem('offline_queue')).entries).toHaveLength(1);
+
+    const restored = createOfflineQueue(createFakeClient(), { connectivity });
+    expect(restored.getState().entries).toEqual([entry]);
+    expect(restored.enqueue(storePost).id).toBe(1);
+  });
+
+  it('should replay entries in order when connectivity returns', async () => {
+    const connectivity = createMemoryConnectivity(false);
+    const client = createFakeClient();
+    const queue = createOfflineQueue(client, { connectivity });
+    const calls = [];
+    client.post.mockImplementation(async (url) => {
+      calls.push(url);
+      return { data: { id: 10 } };
+    });
+    client.put.mockImplementation(async (url) => {
+      calls.push(url);
+      return { data: {} };
+    });
+
+    queue.enqueue(storePost);
+    queue.enqueue({ method: 'put', url: '/acme/posts/3', data: { title: 'B' } });
+
+    connectivity.setOnline(true);
+    await queue.replay();
+
+    expect(calls).toEqual(['/acme/posts', '/acme/posts/3']);
+    expect(queue.getState().entries).toEqual([]);
+  });
+
+  it('should resolve references to earlier entries in data and URLs', async () => {
+    const connectivity = createMemoryConnectivity(false);
+    const client = createFakeClient();
+    client.post.mockResolvedValueOnce({ data: { id: 42, slug: 'field-notes' } });
+    const queue = createOfflineQueue(client, { connectivity });
+
+    queue.enqueue({ method: 'post', url: '/acme/blogs', data: { name: 'Field notes' } });
+    queue.enqueue({ method: 'post', url: '/acme/posts', data: { blog_id: '$0.id', tags: [{ blog: '$0.slug' }] } });
+    queue.enqueue({ method: 'put', url: '/acme/blogs/$0.id', data: { name: 'Renamed' } });
+    queue.enqueue({ method: 'delete', url: '/acme/blogs/$0.id' });
+
+    connectivity.setOnline(true);
+    await queue.replay();
+
+    expect(client.post).toHaveBeenNthCalledWith(2, '/acme/posts', { blog_id: 42, tags: [{ blog: 'field-notes' }] });
+    expect(client.put).toHaveBeenCalledWith('/acme/blogs/42', { name: 'Renamed' });
+    expect(client.delete).toHaveBeenCalledWith('/acme/blogs/42');
+  });
+
+  it('should keep resolving references after the referenced entry was replayed', async () => {
+    const connectivity = createMemoryConnectivity(false);
+    const client = createFakeClient();
+    client.post.mockResolvedValueOnce({ data: { id: 42 } });
+    const queue = createOfflineQueue(client, { connectivity });
+    queue.enqueue(storePost);
+    connectivity.setOnline(true);
+    await queue.replay();
+
+    await queue.send({ method: 'put', url: '/acme/posts/$0.id', data: { title: 'Later' } });
+
+    expect(client.put).toHaveBeenCalledWith('/acme/posts/42', { title: 'Later' });
+  });
+
+  it('should keep an entry pending and stop when the request fails without a conflict', async () => {
+    const connectivity = createMemoryConnectivity(false);
+    const client = createFakeClient();
+    client.post.mockRejectedValueOnce(new LuminaServerError(undefined, { status: 503 }));
+    const queue = createOfflineQueue(client, { connectivity });
+    queue.enqueue(storePost);
+    queue.enqueue({ ...storePost, data: { title: 'Second' } });
+
+    connectivity.setOnline(true);
+    await queue.replay();
+
+    expect(client.post).toHaveBeenCalledTimes(1);
+    expect(queue.getState().entries.map((entry) => entry.status)).toEqual(['pending', 'pending']);
+
+    await queue.replay();
+    expect(queue.getState().entries).toEqual([]);
+  });
+
+  it('should mark refused writes as conflicts and hold later entries', async () => {
+    const connectivity = createMemoryConnectivity(false);
+    const client = createFakeClient();
+    client.post.mockRejectedValueOnce(
+      new LuminaValidationError('The title has already been taken.', { fieldErrors: { title: ['The title has already been taken.'] } })
+    );
+    const queue = createOfflineQueue(client, { connectivity });
+    const first = queue.enqueue(storePost);
+    queue.enqueue({ ...storePost, data: { title: 'Second' } });
+
+    connectivity.setOnline(true);
+    await queue.replay();
+
+    const [conflict, waiting] = queue.getState().entries;
+    expect(conflict.status).toBe('conflict');
+    expect(conflict.error).toEqual({
+      status: 422,
+      message: 'The title has already been taken.',
+      fieldErrors: { title: ['The title has already been taken.'] },
+    });
+    expect(waiting.status).toBe('pending');
+
+    await queue.retry(first.id, { title: 'Unique' });
+
+    expect(client.post).toHaveBeenLastCalledWith('/acme/posts', { title: 'Second' });
+    expect(client.post).toHaveBeenCalledWith('/acme/posts', { title: 'Unique' });
+    expect(queue.getState().entries).toEqual([]);
+  });
+
+  it('should discard and clear entries', () => {
+    const queue = createOfflineQueue(createFakeClient(), { connectivity: createMemoryConnectivity(false) });
+    const first = queue.enqueue(storePost);
+    queue.enqueue(storePost);
+
+    queue.discard(first.id);
+    expect(queue.getState().entries).toHaveLength(1);
+
+    queue.clear();
+    expect(queue.getState().entries).toEqual([]);
+    expect(localStorage.getItem('offline_queue')).toBeNull();
+  });
+
+  it('should notify replay listeners with the entry and its result', async () => {
+    const connectivity = createMemoryConnectivity(false);
+    const client = createFakeClient();
+    client.post.mockResolvedValue({ data: { id: 5 } });
+    const queue = createOfflineQueue(client, { connectivity });
+    const listener = vi.fn();
+    queue.onReplayed(listener);
+    queue.enqueue(storePost);
+
+    connectivity.setOnline(true);
+    await queue.replay();
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ id: 0, model: 'posts' }), { id: 5 });
+  });
+
+  it('should use a custom storage key', () => {
+    const queue = createOfflineQueue(createFakeClient(), {
+      storageKey: 'field_queue',
+      connectivity: createMemoryConnectivity(false),
+    });
+
+    queue.enqueue(storePost);
+
+    expect(localStorage.getItem('field_queue')).not.toBeNull();
+    expect(localStorage.getItem('offline_queue')).toBeNull();
+  });
+});
+
+describe('sendOrQueue', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should send directly while online with an empty queue', async () => {
+    const client = createFakeClient();
+    client.post.mockResolvedValue({ data: { id: 1 } });
+    configureOfflineQueue(client, { connectivity: createMemoryConnectivity(true) });
+
+    const result = await sendOrQueue(client, storePost, () => ({}));
+
+    expect(result).toEqual({ data: { id: 1 } });
+    expect(getOfflineQueue(client).getState().entries).toEqual([]);
+  });
+
+  it('should queue while offline', async () => {
+    const client = createFakeClient();
+    configureOfflineQueue(client, { connectivity: createMemoryConnectivity(false) });
+
+    const result = await sendOrQueue(client, storePost, (entry) => ({ id: `$${entry.id}.id` }));
+
+    expect(client.post).not.toHaveBeenCalled();
+    expect(result.data).toEqual({ id: '$0.id' });
+    expect(result.queued).toMatchObject({ id: 0, status: 'pending' });
+  });
+
+  it('should queue a write that fails without reaching the server', async () => {
+    const client = createFakeClient();
+    client.post.mockRejectedValueOnce(new LuminaNetworkError());
+    configureOfflineQueue(client, { connectivity: createMemoryConnectivity(true) });
+
+    const result = await sendOrQueue(client, storePost, () => ({ queued: true }));
+
+    expect(result.data).toEqual({ queued: true });
+    expect(getOfflineQueue(client).getState().entries).toHaveLength(1);
+  });
+
+  it('should reject errors from the server', async () => {
+    const client = createFakeClient();
+    const error = new LuminaValidationError();
+    client.post.mockRejectedValueOnce(error);
+    configureOfflineQueue(client, { connectivity: createMemoryConnectivity(true) });
+
+    await expect(sendOrQueue(client, storePost, () => ({}))).rejects.toBe(error);
+    expect(getOfflineQueue(client).getState().entries).toEqual([]);
+  });
+
+  it('should queue behind earlier entries to keep their order', async () => {
+    const client = createFakeClient();
+    const connectivity = createMemoryConnectivity(false);
+    configureOfflineQueue(client, { connectivity });
+    await sendOrQueue(client, storePost, () => ({}));
+    client.post.mockRejectedValue(new LuminaServerError());
+    connectivity.setOnline(true);
+    await getOfflineQueue(client).replay();
+
+    await sendOrQueue(client, { ...storePost, data: { title: 'Second' } }, () => ({}));
+
+    expect(getOfflineQueue(client).getState().entries.map((entry) => entry.data.title)).toEqual(['Draft', 'Second']);
+  });
+});
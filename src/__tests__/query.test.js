@@ -0,0 +1,95 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  defaultQuerySerializer,
+  serializeQuery,
+  setQuerySerializer,
+  buildQueryPath,
+} from '../lib/query';
+import { configureApi } from '../lib/axios';
+
+afterEach(() => {
+  setQuerySerializer(null);
+});
+
+describe('defaultQuerySerializer', () => {
+  it('should return an empty string for empty options', () => {
+    expect(defaultQuerySerializer()).toBe('');
+    expect(defaultQuerySerializer({})).toBe('');
+  });
+
+  it('should serialize every option in a fixed order', () => {
+    const qs = defaultQuerySerializer({
+      per_page: 20,
+      page: 2,
+      search: 'react',
+      fields: ['id', 'title'],
+      sort: '-created_at',
+      includes: ['author', 'comments'],
+      filters: { status: 'published' },
+    });
+
+    expect(qs).toBe(
+      'filter%5Bstatus%5D=published&include=author%2Ccomments&sort=-created_at&fields=id%2Ctitle&search=react&page=2&per_page=20',
+    );
+  });
+
+  it('should accept includes and fields as comma-separated strings', () => {
+    expect(defaultQuerySerializer({ includes: 'author,tags', fields: 'id' })).toBe('include=author%2Ctags&fields=id');
+  });
+
+  it('should prefer perPage over per_page', () => {
+    expect(defaultQuerySerializer({ perPage: 10, per_page: 50 })).toBe('per_page=10');
+  });
+
+  it('should use the filter operator serialization', () => {
+    expect(defaultQuerySerializer({ filters: { views: { gte: 5 } } })).toBe('filter%5Bviews%5D%5Bgte%5D=5');
+  });
+});
+
+describe('serializeQuery', () => {
+  it('should use the default serializer when none is configured', () => {
+    expect(serializeQuery({ sort: 'name' })).toBe('sort=name');
+  });
+
+  it('should use a custom serializer and pass it the default one', () => {
+    setQuerySerializer((options, defaultSerializer) => `${defaultSerializer(options)}&custom=1`);
+    expect(serializeQuery({ sort: 'name' })).toBe('sort=name&custom=1');
+  });
+
+  it('should accept URLSearchParams and strip a leading question mark', () => {
+    setQuerySerializer(() => new URLSearchParams({ a: '1' }));
+    expect(serializeQuery({})).toBe('a=1');
+
+    setQuerySerializer(() => '?b=2');
+    expect(serializeQuery({})).toBe('b=2');
+  });
+
+  it('should be configurable through configureApi', () => {
+    configureApi({
+      querySerializer: (options) => {
+        const params = new URLSearchParams();
+        Object.entries(options.filters || {}).forEach(([key, value]) => {
+          [].concat(value).forEach((v) => params.append(`filter[${key}][]`, v));
+        });
+        return params;
+      },
+    });
+
+    expect(serializeQuery({ filters: { status: ['a', 'b'] } })).toBe(
+      'filter%5Bstatus%5D%5B%5D=a&filter%5Bstatus%5D%5B%5D=b',
+    );
+
+    configureApi({ querySerializer: null });
+    expect(serializeQuery({ filters: { status: ['a', 'b'] } })).toBe('filter%5Bstatus%5D=a%2Cb');
+  });
+});
+
+describe('buildQueryPath', () => {
+  it('should return the bare path when there is no query string', () => {
+    expect(buildQueryPath('/acme/posts')).toBe('/acme/posts');
+  });
+
+  it('should append the query string', () => {
+    expect(buildQueryPath('/acme/posts', { page: 3 })).toBe('/acme/posts?page=3');
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { QueryClient } from '@tanstack/react-query';
+import { persistQueryCache, clearPersistedQueryCache } from '../lib/queryPersister';
+import { setOrganization } from '../hooks/useOrganization';
+import { events } from '../lib/events';
+
+const acmePosts = ['modelIndex', 'posts', null, 'acme', {}];
+const globexPosts = ['modelIndex', 'posts', null, 'globex', {}];
+
+function readPersisted() {
+  return JSON.parse(localStorage.getItem('query_cache'));
+}
+
+describe('persistQueryCache', () => {
+  let stops;
+
+  function persist(queryClient, options) {
+    const stop = persistQueryCache(queryClient, { throttle: 10, ...options });
+    stops.push(stop);
+    return stop;
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    localStorage.clear();
+    stops = [];
+  });
+
+  afterEach(() => {
+    stops.forEach((stop) => stop());
+    vi.useRealTimers();
+  });
+
+  it('should write model queries per organization after the throttle', () => {
+    const queryClient = new QueryClient();
+    persist(queryClient);
+
+    queryClient.setQueryData(acmePosts, { data: [{ id: 1 }] });
+    queryClient.setQueryData(globexPosts, { data: [{ id: 2 }] });
+    queryClient.setQueryData(['currentUser'], { id: 7 });
+    expect(localStorage.getItem('query_cache')).toBeNull();
+
+    vi.advanceTimersByTime(10);
+
+    const { tenants } = readPersisted();
+    expect(Object.keys(tenants)).toEqual(['acme', 'globex']);
+    expect(tenants.acme.state.queries.map((query) => query.queryKey)).toEqual([acmePosts]);
+    expect(tenants.globex.state.queries.map((query) => query.queryKey)).toEqual([globexPosts]);
+  });
+
+  it('should restore the stored organization on start', () => {
+    localStorage.setItem('organization_slug', 'acme');
+    const first = new QueryClient();
+    const stop = persist(first);
+    first.setQueryData(acmePosts, { data: [{ id: 1 }] });
+    first.setQueryData(globexPosts, { data: [{ id: 2 }] });
+    stop();
+
+    const coldStart = new QueryClient();
+    persist(coldStart);
+
+    expect(coldStart.getQueryData(acmePosts)).toEqual({ data: [{ id: 1 }] });
+    expect(coldStart.getQueryData(globexPosts)).toBeUndefined();
+  });
+
+  it('should restore the organization switched to', () => {
+    const first = new QueryClient();
+    const stop = persist(first);
+    first.setQueryData(globexPosts, { data: [{ id: 2 }] });
+    stop();
+
+    const queryClient = new QueryClient();
+    persist(queryClient);
+    setOrganization('globex');
+
+    expect(queryClient.getQueryData(globexPosts)).toEqual({ data: [{ id: 2 }] });
+  });
+
+  it('should discard snapshots older than maxAge', () => {
+    localStorage.setItem('organization_slug', 'acme');
+    const first = new QueryClient();
+    const stop = persist(first, { maxAge: 1000 });
+    first.setQueryData(acmePosts, { data: [] });
+    stop();
+
+    vi.advanceTimersByTime(1000);
+    const queryClient = new QueryClient();
+    persist(queryClient, { maxAge: 1000 });
+
+    expect(queryClient.getQueryData(acmePosts)).toBeUndefined();
+  });
+
+  it('should discard snapshots written with another buster', () => {
+    localStorage.setItem('organization_slug', 'acme');
+    const first = new QueryClient();
+    const stop = persist(first, { buster: 'v1' });
+    first.setQueryData(acmePosts, { data: [] });
+    stop();
+
+    const queryClient = new QueryClient();
+    persist(queryClient, { buster: 'v2' });
+
+    expect(queryClient.getQueryData(acmePosts)).toBeUndefined();
+  });
+
+  it('should keep the most recent queries within maxSize', () => {
+    const queryClient = new QueryClient();
+    persist(queryClient, { maxSize: 1500 });
+
+    queryClient.setQueryData(['modelShow', 'posts', null, 1, 'acme', {}], { body: 'x'.repeat(1000) });
+    vi.advanceTimersByTime(5);
+    queryClient.setQueryData(['modelShow', 'posts', null, 2, 'acme', {}], { body: 'y'.repeat(1000) });
+    vi.advanceTimersByTime(10);
+
+    const keys = readPersisted().tenants.acme.state.queries.map((query) => query.queryKey);
+    expect(keys).toEqual([['modelShow', 'posts', null, 2, 'acme', {}]]);
+  });
+
+  it('should wipe the persisted cache when the organization is cleared', () => {
+    const queryClient = new QueryClient();
+    persist(queryClient);
+    queryClient.setQueryData(acmePosts, { data: [] });
+    vi.advanceTimersByTime(10);
+    expect(readPersisted()).not.toBeNull();
+
+    setOrganization(null);
+    vi.advanceTimersByTime(1);
+    queryClient.setQueryData(globexPosts, { data: [] });
+    vi.advanceTimersByTime(10);
+
+    expect(Object.keys(readPersisted().tenants)).toEqual(['globex']);
+  });
+
+  it('should wipe the persisted cache when the token is cleared', () => {
+    const queryClient = new QueryClient();
+    persist(queryClient);
+    queryClient.setQueryData(acmePosts, { data: [] });
+
+    events.emit('token', null);
+    vi.advanceTimersByTime(10);
+
+    expect(localStorage.getItem('query_cache')).toBeNull();
+  });
+
+  it('should write pending changes when stopped', () => {
+    const queryClient = new QueryClient();
+    const stop = persistQueryCache(queryClient, { throttle: 1000 });
+
+    queryClient.setQueryData(acmePosts, { data: [] });
+    stop();
+
+    expect(readPersisted().tenants.acme).toBeDefined();
+  });
+});
+
+describe('clearPersistedQueryCache', () => {
+  it('should remove the persisted cache', () => {
+    localStorage.setItem('query_cache', '{}');
+
+    clearPersistedQueryCache();
+
+    expect(localStorage.getItem('query_cache')).toBeNull();
+  });
+});
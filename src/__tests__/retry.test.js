@@ -0,0 +1,209 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AxiosError } from 'axios';
+import api, { configureApi, createLuminaClient, getRateLimit } from '../lib/axios';
+import {
+  DEFAULT_RETRY_POLICY,
+  computeRetryDelay,
+  createRateLimitStore,
+  requestRetryPolicy,
+  resolveRetryPolicy,
+} from '../lib/retry';
+import { LuminaCancelledError, LuminaRateLimitedError, LuminaServerError } from '../lib/errors';
+
+function respond(config, status, data = {}, headers = {}) {
+  const response = { data, status, statusText: '', headers, config };
+  if (status < 400) return Promise.resolve(response);
+  return Promise.reject(new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, response));
+}
+
+// Fake backend answering each request with the next queued response
+function createClient(responses, config = {}) {
+  const client = createLuminaClient({ retry: { baseDelay: 1 }, ...config });
+  const adapter = vi.fn((requestConfig) => {
+    const [status, headers = {}] = responses.length > 1 ? responses.shift() : responses[0];
+    return respond(requestConfig, status, { ok: status < 400 }, headers);
+  });
+  client.defaults.adapter = adapter;
+  return { client, adapter };
+}
+
+describe('resolveRetryPolicy', () => {
+  it('should disable retries for falsy options', () => {
+    expect(resolveRetryPolicy()).toBeNull();
+    expect(resolveRetryPolicy(false)).toBeNull();
+    expect(resolveRetryPolicy(null)).toBeNull();
+  });
+
+  it('should use the defaults for true and merge objects over them', () => {
+    expect(resolveRetryPolicy(true)).toEqual(DEFAULT_RETRY_POLICY);
+    expect(resolveRetryPolicy({ retries: 5 })).toEqual({ ...DEFAULT_RETRY_POLICY, retries: 5 });
+  });
+});
+
+describe('requestRetryPolicy', () => {
+  const policy = resolveRetryPolicy(true);
+
+  it('should only retry the configured methods by default', () => {
+    expect(requestRetryPolicy(policy, { method: 'get' })).toBe(policy);
+    expect(requestRetryPolicy(policy, { method: 'post' })).toBeNull();
+    expect(requestRetryPolicy(null, { method: 'get' })).toBeNull();
+  });
+
+  it('should let a request opt in or out', () => {
+    expect(requestRetryPolicy(policy, { method: 'post', retry: true })).toBe(policy);
+    expect(requestRetryPolicy(null, { method: 'put', retry: { retries: 1 } })).toEqual({ ...DEFAULT_RETRY_POLICY, retries: 1 });
+    expect(requestRetryPolicy(policy, { method: 'get', retry: false })).toBeNull();
+  });
+});
+
+describe('computeRetryDelay', () => {
+  const policy = resolveRetryPolicy({ baseDelay: 100, maxDelay: 1000 });
+
+  it('should back off exponentially with jitter', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+    expect(computeRetryDelay({ headers: {} }, 0, policy)).toBe(100);
+    expect(computeRetryDelay({ headers: {} }, 2, policy)).toBe(400);
+    expect(computeRetryDelay({ headers: {} }, 6, policy)).toBe(1000);
+
+    Math.random.mockReturnValue(0);
+    expect(computeRetryDelay({ headers: {} }, 2, policy)).toBe(200);
+    vi.restoreAllMocks();
+  });
+
+  it('should wait for Retry-After', () => {
+    expect(computeRetryDelay({ headers: { 'retry-after': '0.5' } }, 0, policy)).toBe(500);
+  });
+
+  it('should wait until X-RateLimit-Reset', () => {
+    vi.useFakeTimers({ now: 10_000 });
+    expect(computeRetryDelay({ headers: { 'x-ratelimit-reset': '10.8' } }, 0, policy)).toBe(800);
+    vi.useRealTimers();
+  });
+
+  it('should give up when the server asks for a longer wait than maxDelay', () => {
+    expect(computeRetryDelay({ headers: { 'retry-after': '60' } }, 0, policy)).toBeNull();
+  });
+});
+
+describe('createRateLimitStore', () => {
+  it('should track the rate-limit headers and notify on change', () => {
+    const store = createRateLimitStore();
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.update({ status: 200, headers: { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '59' } });
+    expect(store.getState()).toEqual({ limit: 60, remaining: 59, resetAt: null, isLimited: false });
+
+    store.update({ status: 200, headers: { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '59' } });
+    store.update({ status: 200, headers: {} });
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should mark the client as limited on 429', () => {
+    vi.useFakeTimers({ now: 1_000 });
+    const store = createRateLimitStore();
+
+    store.update({ status: 429, headers: { 'x-ratelimit-limit': '60', 'retry-after': '30' } });
+
+    expect(store.getState()).toEqual({ limit: 60, remaining: 0, resetAt: 31_000, isLimited: true });
+    vi.useRealTimers();
+  });
+});
+
+describe('API client retries', () => {
+  afterEach(() => {
+    configureApi({ retry: null });
+  });
+
+  it('should not retry unless a policy is configured', async () => {
+    const { client, adapter } = createClient([[503]], { retry: undefined });
+
+    await expect(client.get('/a')).rejects.toBeInstanceOf(LuminaServerError);
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry a GET on 5xx until it succeeds', async () => {
+    const { client, adapter } = createClient([[503], [502], [200]]);
+
+    const response = await client.get('/a');
+
+    expect(response.data).toEqual({ ok: true });
+    expect(adapter).toHaveBeenCalledTimes(3);
+  });
+
+  it('should stop after the configured number of retries', async () => {
+    const { client, adapter } = createClient([[500]], { retry: { baseDelay: 1, retries: 2 } });
+
+    await expect(client.get('/a')).rejects.toBeInstanceOf(LuminaServerError);
+    expect(adapter).toHaveBeenCalledTimes(3);
+  });
+
+  it('should honor Retry-After on 429', async () => {
+    const { client, adapter } = createClient([[429, { 'retry-after': '0' }], [200]]);
+
+    await client.get('/a');
+
+    expect(adapter).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fail immediately when Retry-After exceeds maxDelay', async () => {
+    const { client, adapter } = createClient([[429, { 'retry-after': '120' }]]);
+
+    await expect(client.get('/a')).rejects.toBeInstanceOf(LuminaRateLimitedError);
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not retry mutations unless they opt in', async () => {
+    const { client, adapter } = createClient([[503], [503], [201]]);
+
+    await expect(client.post('/a', {})).rejects.toBeInstanceOf(LuminaServerError);
+    expect(adapter).toHaveBeenCalledTimes(1);
+
+    await client.post('/a', {}, { retry: true });
+    expect(adapter).toHaveBeenCalledTimes(3);
+  });
+
+  it('should stop waiting for a retry when the request is aborted', async () => {
+    const { client, adapter } = createClient([[503]], { retry: { baseDelay: 10000 } });
+    const controller = new AbortController();
+
+    const request = client.get('/a', { signal: controller.signal });
+    await vi.waitFor(() => expect(adapter).toHaveBeenCalledTimes(1));
+    controller.abort();
+
+    await expect(request).rejects.toBeInstanceOf(LuminaCancelledError);
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not retry other client errors', async () => {
+    const { client, adapter } = createClient([[404]]);
+
+    await expect(client.get('/a')).rejects.toBeDefined();
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  it('should record the rate limit of the client', async () => {
+    const { client } = createClient([[200, { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '12' }]]);
+
+    await client.get('/a');
+
+    expect(getRateLimit(client)).toMatchObject({ limit: 60, remaining: 12, isLimited: false });
+    expect(getRateLimit(api)).toMatchObject({ limit: null });
+  });
+
+  it('should enable retries on the default client with configureApi', async () => {
+    configureApi({ retry: { baseDelay: 1 } });
+    const adapter = vi.fn()
+      .mockImplementationOnce((config) => respond(config, 503))
+      .mockImplementationOnce((config) => respond(config, 200));
+    const originalAdapter = api.defaults.adapter;
+    api.defaults.adapter = adapter;
+
+    try {
+      await api.get('/a');
+      expect(adapter).toHaveBeenCalledTimes(2);
+    } finally {
+      api.defaults.adapter = originalAdapter;
+    }
+  });
+});
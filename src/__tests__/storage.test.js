@@ -1,5 +1,19 @@
-import { describe, it, expect, beforeEach } from 'vitest';
-import { createWebStorage, storage } from '../lib/storage';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import {
+  createWebStorage,
+  createMemoryStorage,
+  runWithStorage,
+  configureStorage,
+  initStorage,
+  setStorageNamespace,
+  configureStorageScope,
+  storage,
+} from '../lib/storage';
+import { createAsyncStorage } from '../lib/storageAdapters';
+import { registerStorageKeys, getStorageKeys } from '../lib/storageKeys';
+import '../lib/axios';
+import '../hooks/useOrganization';
 
 describe('Web Storage Adapter', () => {
   beforeEach(() => {
@@ -43,3 +57,235 @@ describe('Web Storage Adapter', () => {
     expect(s2.getItem('key')).toBe('value');
   });
 });
+
+describe('Memory Storage Adapter', () => {
+  it('should store, read and remove values', () => {
+    const memory = createMemoryStorage();
+    memory.setItem('token', 'abc');
+    expect(memory.getItem('token')).toBe('abc');
+    memory.removeItem('token');
+    expect(memory.getItem('token')).toBeNull();
+  });
+
+  it('should accept initial values and stay independent of localStorage', () => {
+    localStorage.clear();
+    const memory = createMemoryStorage({ organization_slug: 'acme' });
+    expect(memory.getItem('organization_slug')).toBe('acme');
+    expect(localStorage.getItem('organization_slug')).toBeNull();
+  });
+});
+
+describe('runWithStorage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should route storage to the adapter during the callback only', () => {
+    localStorage.setItem('organization_slug', 'browser-org');
+    const requestStorage = createMemoryStorage({ organization_slug: 'request-org' });
+
+    const seen = runWithStorage(requestStorage, () => storage.getItem('organization_slug'));
+
+    expect(seen).toBe('request-org');
+    expect(storage.getItem('organization_slug')).toBe('browser-org');
+  });
+
+  it('should restore the previous storage when the callback throws', () => {
+    localStorage.setItem('token', 'browser-token');
+
+    expect(() =>
+      runWithStorage(createMemoryStorage(), () => {
+        throw new Error('render failed');
+      })
+    ).toThrow('render failed');
+    expect(storage.getItem('token')).toBe('browser-token');
+  });
+});
+
+describe('configureStorage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    configureStorage(null);
+  });
+
+  it('should route storage to the configured adapter until reset', () => {
+    const memory = createMemoryStorage();
+    configureStorage(memory);
+
+    storage.setItem('token', 'kiosk');
+    expect(memory.getItem('token')).toBe('kiosk');
+    expect(localStorage.getItem('token')).toBeNull();
+
+    configureStorage(null);
+    expect(storage.getItem('token')).toBeNull();
+  });
+
+  it('should give runWithStorage precedence over the configured adapter', () => {
+    configureStorage(createMemoryStorage({ organization_slug: 'configured' }));
+
+    const seen = runWithStorage(createMemoryStorage({ organization_slug: 'request' }), () =>
+      storage.getItem('organization_slug')
+    );
+
+    expect(seen).toBe('request');
+  });
+});
+
+describe('initStorage', () => {
+  afterEach(() => {
+    configureStorage(null);
+  });
+
+  it('should hydrate the registered keys and extra keys into the configured adapter', async () => {
+    const hydrate = vi.fn().mockResolvedValue(undefined);
+    configureStorage({ ...createMemoryStorage(), hydrate });
+    registerStorageKeys('draft');
+
+    await initStorage(['custom_queue']);
+
+    const keys = hydrate.mock.calls[0][0];
+    expect(keys).toEqual(expect.arrayContaining(['token', 'draft', 'custom_queue']));
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+
+  it('should resolve without an asynchronous adapter', async () => {
+    await expect(initStorage()).resolves.toBeUndefined();
+  });
+
+  it('should list the keys registered by library modules', () => {
+    expect(getStorageKeys()).toContain('token');
+  });
+});
+
+describe('setStorageNamespace', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    setStorageNamespace(null);
+    configureStorage(null);
+  });
+
+  it('should store keys under the namespace', () => {
+    setStorageNamespace('admin');
+
+    storage.setItem('token', 'admin-token');
+
+    expect(localStorage.getItem('admin:token')).toBe('admin-token');
+    expect(localStorage.getItem('token')).toBeNull();
+    expect(storage.getItem('token')).toBe('admin-token');
+  });
+
+  it('should move un-prefixed keys into the namespace', () => {
+    localStorage.setItem('token', 'legacy-token');
+    localStorage.setItem('organization_slug', 'acme');
+    localStorage.setItem('unrelated', 'kept');
+
+    setStorageNamespace('admin');
+
+    expect(storage.getItem('token')).toBe('legacy-token');
+    expect(storage.getItem('organization_slug')).toBe('acme');
+    expect(localStorage.getItem('token')).toBeNull();
+    expect(localStorage.getItem('unrelated')).toBe('kept');
+  });
+
+  it('should keep values already in the namespace', () => {
+    localStorage.setItem('token', 'legacy-token');
+    localStorage.setItem('admin:token', 'admin-token');
+
+    setStorageNamespace('admin');
+
+    expect(storage.getItem('token')).toBe('admin-token');
+    expect(localStorage.getItem('token')).toBeNull();
+  });
+
+  it('should leave un-prefixed keys alone with migrate: false', () => {
+    localStorage.setItem('token', 'portal-token');
+
+    setStorageNamespace('admin', { migrate: false });
+
+    expect(storage.getItem('token')).toBeNull();
+    expect(localStorage.getItem('token')).toBe('portal-token');
+  });
+
+  it('should migrate asynchronous adapters in initStorage', async () => {
+    const values = new Map([['token', 'legacy-token']]);
+    configureStorage(createAsyncStorage({
+      getItem: async (key) => values.get(key) ?? null,
+      setItem: async (key, value) => values.set(key, value),
+      removeItem: async (key) => values.delete(key),
+    }));
+    setStorageNamespace('admin');
+
+    await initStorage();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(storage.getItem('token')).toBe('legacy-token');
+    expect(values.get('admin:token')).toBe('legacy-token');
+    expect(values.has('token')).toBe(false);
+  });
+
+  it('should not prefix storage scoped with runWithStorage', () => {
+    setStorageNamespace('admin');
+
+    const seen = runWithStorage(createMemoryStorage({ organization_slug: 'request-org' }), () =>
+      storage.getItem('organization_slug')
+    );
+
+    expect(seen).toBe('request-org');
+  });
+});
+
+describe('Server fallback', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  afterEach(() => {
+    configureStorageScope(null);
+  });
+
+  it('should not throw and not share writes when localStorage is unavailable', () => {
+    vi.stubGlobal('localStorage', undefined);
+
+    expect(storage.getItem('token')).toBeNull();
+    storage.setItem('token', 'server');
+    expect(storage.getItem('token')).toBeNull();
+    expect(() => storage.removeItem('token')).not.toThrow();
+  });
+
+  it('should still use the request storage of runWithStorage', () => {
+    vi.stubGlobal('localStorage', undefined);
+    const requestStorage = createMemoryStorage();
+
+    const seen = runWithStorage(requestStorage, () => {
+      storage.setItem('token', 'request-token');
+      return storage.getItem('token');
+    });
+
+    expect(seen).toBe('request-token');
+    expect(storage.getItem('token')).toBeNull();
+  });
+
+  it('should isolate concurrent async requests with configureStorageScope', async () => {
+    vi.stubGlobal('localStorage', undefined);
+    configureStorageScope(new AsyncLocalStorage());
+
+    const handle = (organization, delay) =>
+      runWithStorage(createMemoryStorage({ organization_slug: organization }), async () => {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        storage.setItem('token', `${organization}-token`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        return [storage.getItem('organization_slug'), storage.getItem('token')];
+      });
+
+    const results = await Promise.all([handle('acme', 10), handle('globex', 1)]);
+
+    expect(results).toEqual([['acme', 'acme-token'], ['globex', 'globex-token']]);
+    expect(storage.getItem('token')).toBeNull();
+  });
+});
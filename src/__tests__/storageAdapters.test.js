@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  createSessionStorage,
+  createPrefixedStorage,
+  createAsyncStorage,
+  createEncryptedStorage,
+} from '../lib/storageAdapters';
+import { createMemoryStorage } from '../lib/memoryStorage';
+
+function createFakeStore(initial = {}) {
+  const values = new Map(Object.entries(initial));
+  return {
+    values,
+    getItem: vi.fn(async (key) => (values.has(key) ? values.get(key) : null)),
+    setItem: vi.fn(async (key, value) => {
+      values.set(key, value);
+    }),
+    removeItem: vi.fn(async (key) => {
+      values.delete(key);
+    }),
+  };
+}
+
+// Let background writes settle
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('createSessionStorage', () => {
+  beforeEach(() => {
+    sessionStorage.clear();
+    localStorage.clear();
+  });
+
+  it('should store values in sessionStorage only', () => {
+    const session = createSessionStorage();
+
+    session.setItem('token', 'kiosk');
+
+    expect(sessionStorage.getItem('token')).toBe('kiosk');
+    expect(localStorage.getItem('token')).toBeNull();
+    session.removeItem('token');
+    expect(session.getItem('token')).toBeNull();
+  });
+});
+
+describe('createPrefixedStorage', () => {
+  it('should store every key under the prefix', () => {
+    const memory = createMemoryStorage();
+    const prefixed = createPrefixedStorage(memory, 'admin:');
+
+    prefixed.setItem('token', 'abc');
+
+    expect(memory.getItem('admin:token')).toBe('abc');
+    expect(memory.getItem('token')).toBeNull();
+    expect(prefixed.getItem('token')).toBe('abc');
+  });
+
+  it('should hydrate prefixed keys', async () => {
+    const store = createFakeStore({ 'admin:token': 'abc' });
+    const prefixed = createPrefixedStorage(createAsyncStorage(store), 'admin:');
+
+    await prefixed.hydrate(['token']);
+
+    expect(store.getItem).toHaveBeenCalledWith('admin:token');
+    expect(prefixed.getItem('token')).toBe('abc');
+  });
+
+  it('should not add hydrate to synchronous adapters', () => {
+    expect(createPrefixedStorage(createMemoryStorage(), 'admin:').hydrate).toBeUndefined();
+  });
+});
+
+describe('createAsyncStorage', () => {
+  it('should read hydrated values synchronously', async () => {
+    const adapter = createAsyncStorage(createFakeStore({ token: 'abc', user: '{"id":1}' }));
+
+    expect(adapter.getItem('token')).toBeNull();
+    await adapter.hydrate(['token', 'organization_slug']);
+
+    expect(adapter.getItem('token')).toBe('abc');
+    expect(adapter.getItem('organization_slug')).toBeNull();
+    expect(adapter.getItem('user')).toBeNull();
+  });
+
+  it('should write through to the store in order', async () => {
+    const store = createFakeStore();
+    const adapter = createAsyncStorage(store);
+
+    adapter.setItem('token', 'abc');
+    adapter.removeItem('token');
+    adapter.setItem('user', '{}');
+    expect(adapter.getItem('token')).toBeNull();
+
+    await flush();
+    expect([...store.values.entries()]).toEqual([['user', '{}']]);
+  });
+
+  it('should keep values written before hydration finished', async () => {
+    const adapter = createAsyncStorage(createFakeStore({ token: 'stale' }));
+
+    const hydrating = adapter.hydrate(['token']);
+    adapter.setItem('token', 'fresh');
+    await hydrating;
+
+    expect(adapter.getItem('token')).toBe('fresh');
+  });
+
+  it('should not restore a value removed before hydration finished', async () => {
+    const adapter = createAsyncStorage(createFakeStore({ token: 'stale' }));
+
+    const hydrating = adapter.hydrate(['token']);
+    adapter.removeItem('token');
+    await hydrating;
+
+    expect(adapter.getItem('token')).toBeNull();
+  });
+
+  it('should log failed writes and keep the cached value', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = createFakeStore();
+    store.setItem.mockRejectedValueOnce(new Error('Keychain locked'));
+    const adapter = createAsyncStorage(store);
+
+    adapter.setItem('token', 'abc');
+    adapter.setItem('user', '{}');
+    await flush();
+
+    expect(adapter.getItem('token')).toBe('abc');
+    expect(store.values.get('user')).toBe('{}');
+    expect(warn).toHaveBeenCalledWith('Lumina: storage setItem failed:', expect.any(Error));
+    warn.mockRestore();
+  });
+});
+
+describe('createEncryptedStorage', () => {
+  const crypto = {
+    encrypt: async (value) => `enc(${value})`,
+    decrypt: async (value) => value.slice(4, -1),
+  };
+
+  it('should write encrypted values and read them decrypted', async () => {
+    const store = createFakeStore();
+    const adapter = createEncryptedStorage(store, crypto);
+
+    adapter.setItem('token', 'abc');
+    await flush();
+    expect(store.values.get('token')).toBe('enc(abc)');
+
+    const restarted = createEncryptedStorage(store, crypto);
+    await restarted.hydrate(['token']);
+    expect(restarted.getItem('token')).toBe('abc');
+  });
+
+  it('should accept a synchronous store', async () => {
+    const memory = createMemoryStorage();
+    const adapter = createEncryptedStorage(memory, crypto);
+
+    adapter.setItem('token', 'abc');
+    await flush();
+
+    expect(memory.getItem('token')).toBe('enc(abc)');
+  });
+
+  it('should treat values that cannot be decrypted as missing', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const adapter = createEncryptedStorage(createFakeStore({ token: 'garbage', user: 'enc({})' }), {
+      ...crypto,
+      decrypt: async (value) => {
+        if (!value.startsWith('enc(')) throw new Error('bad key');
+        return value.slice(4, -1);
+      },
+    });
+
+    await adapter.hydrate(['token', 'user']);
+
+    expect(adapter.getItem('token')).toBeNull();
+    expect(adapter.getItem('user')).toBe('{}');
+    warn.mockRestore();
+  });
+});
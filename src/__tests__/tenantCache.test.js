@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { QueryClient } from '@tanstack/react-query';
+import { clientScope, queryOrganization, tenantQueryFilter, removeOtherTenantQueries, retainOrganization } from '../lib/tenantCache';
+import { CURRENT_USER_KEY } from '../hooks/useCurrentUser';
+
+function seed() {
+  const queryClient = new QueryClient();
+  queryClient.setQueryData(['modelIndex', 'posts', null, 'acme', {}], { data: [] });
+  queryClient.setQueryData(['modelShow', 'posts', null, 1, 'acme', {}], { id: 1 });
+  queryClient.setQueryData(['modelIndex', 'posts', null, 'globex', {}], { data: [] });
+  queryClient.setQueryData(['modelAudit', 'posts', null, 1, 'globex', {}], { data: [] });
+  queryClient.setQueryData(['invitations', null, 'globex', 'all'], []);
+  queryClient.setQueryData(['roles', null, 'globex'], []);
+  queryClient.setQueryData(CURRENT_USER_KEY, { id: 7 });
+  return queryClient;
+}
+
+describe('clientScope', () => {
+  it('should name a client by its cacheKey, else its baseURL', () => {
+    expect(clientScope({ defaults: { baseURL: 'https://billing.test/api' } })).toBe('https://billing.test/api');
+    expect(clientScope({ defaults: { baseURL: 'https://api.internal', cacheKey: '/api' } })).toBe('/api');
+    expect(clientScope({ defaults: {} })).toBeNull();
+  });
+});
+
+describe('queryOrganization', () => {
+  it('should read the slug from each organization-scoped key', () => {
+    expect(queryOrganization(['modelIndex', 'posts', null, 'acme', {}])).toBe('acme');
+    expect(queryOrganization(['modelTrashed', 'posts', null, 'acme', {}])).toBe('acme');
+    expect(queryOrganization(['modelShow', 'posts', null, 1, 'acme', {}])).toBe('acme');
+    expect(queryOrganization(['modelAudit', 'posts', null, 1, 'acme', {}])).toBe('acme');
+    expect(queryOrganization(['invitations', null, 'acme', 'all'])).toBe('acme');
+    expect(queryOrganization(['owner', null, 'acme'])).toBe('acme');
+    expect(queryOrganization(['roles', null, 'acme'])).toBe('acme');
+  });
+
+  it('should return undefined for keys without an organization', () => {
+    expect(queryOrganization(CURRENT_USER_KEY)).toBeUndefined();
+    expect(queryOrganization(['custom', 'acme'])).toBeUndefined();
+  });
+});
+
+describe('tenantQueryFilter', () => {
+  it('should match only the given organization within the key prefix', () => {
+    const queryClient = seed();
+
+    const matches = queryClient.getQueryCache().findAll(tenantQueryFilter('acme', ['modelIndex', 'posts']));
+
+    expect(matches.map((query) => query.queryKey)).toEqual([['modelIndex', 'posts', null, 'acme', {}]]);
+  });
+
+  it('should match every query of the organization without a prefix', () => {
+    const queryClient = seed();
+
+    const matches = queryClient.getQueryCache().findAll(tenantQueryFilter('globex'));
+
+    expect(matches).toHaveLength(4);
+  });
+});
+
+describe('removeOtherTenantQueries', () => {
+  it('should remove the queries of other organizations only', () => {
+    const queryClient = seed();
+
+    removeOtherTenantQueries(queryClient, 'acme');
+
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'acme', {}])).toEqual({ data: [] });
+    expect(queryClient.getQueryData(['modelShow', 'posts', null, 1, 'acme', {}])).toEqual({ id: 1 });
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'globex', {}])).toBeUndefined();
+    expect(queryClient.getQueryData(['modelAudit', 'posts', null, 1, 'globex', {}])).toBeUndefined();
+    expect(queryClient.getQueryData(['invitations', null, 'globex', 'all'])).toBeUndefined();
+    expect(queryClient.getQueryData(['roles', null, 'globex'])).toBeUndefined();
+    expect(queryClient.getQueryData(CURRENT_USER_KEY)).toEqual({ id: 7 });
+  });
+
+  it('should remove every organization-scoped query without an organization', () => {
+    const queryClient = seed();
+
+    removeOtherTenantQueries(queryClient, null);
+
+    expect(queryClient.getQueryCache().getAll().map((query) => query.queryKey)).toEqual([CURRENT_USER_KEY]);
+  });
+
+  it('should keep retained organizations until they are released', () => {
+    const queryClient = seed();
+    const release = retainOrganization('globex');
+
+    removeOtherTenantQueries(queryClient, 'acme');
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'globex', {}])).toEqual({ data: [] });
+
+    release();
+    removeOtherTenantQueries(queryClient, 'acme');
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'globex', {}])).toBeUndefined();
+  });
+
+  it('should remove retained organizations without an organization', () => {
+    const queryClient = seed();
+    const release = retainOrganization('globex');
+
+    removeOtherTenantQueries(queryClient, null);
+
+    release();
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'globex', {}])).toBeUndefined();
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { createElement } from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+
+vi.mock('../lib/axios', () => ({
+  default: {
+    get: vi.fn(),
+    put: vi.fn(),
+  },
+}));
+
+import api from '../lib/axios';
+import { useCurrentUser } from '../hooks/useCurrentUser';
+import { LuminaProvider } from '../context/LuminaContext';
+
+function createWrapper() {
+  const queryClient = new QueryClient({
+    defaultOptions: { queries: { retry: false }, mutations: { retry: false } },
+  });
+  return ({ children }) => createElement(QueryClientProvider, { client: queryClient }, children);
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  localStorage.clear();
+});
+
+describe('useCurrentUser', () => {
+  it('should not call /auth/me without a token', () => {
+    const { result } = renderHook(() => useCurrentUser(), { wrapper: createWrapper() });
+
+    expect(result.current.user).toBeNull();
+    expect(api.get).not.toHaveBeenCalled();
+  });
+
+  it('should start from the stored user and refresh it from /auth/me', async () => {
+    localStorage.setItem('token', 'tok');
+    localStorage.setItem('user', JSON.stringify({ id: 1, name: 'Old name' }));
+    api.get.mockResolvedValue({ data: { id: 1, name: 'New name' } });
+
+    const { result } = renderHook(() => useCurrentUser(), { wrapper: createWrapper() });
+
+    expect(result.current.user).toEqual({ id: 1, name: 'Old name' });
+    await waitFor(() => expect(result.current.user).toEqual({ id: 1, name: 'New name' }));
+    expect(api.get).toHaveBeenCalledWith('/auth/me', { skipUnauthorized: false, signal: expect.any(AbortSignal) });
+    expect(JSON.parse(localStorage.getItem('user'))).toEqual({ id: 1, name: 'New name' });
+  });
+
+  it('should accept a { user } envelope', async () => {
+    localStorage.setItem('token', 'tok');
+    api.get.mockResolvedValue({ data: { user: { id: 2 } } });
+
+    const { result } = renderHook(() => useCurrentUser(), { wrapper: createWrapper() });
+
+    await waitFor(() => expect(result.current.user).toEqual({ id: 2 }));
+  });
+
+  it('should resolve to null on 401', async () => {
+    localStorage.setItem('token', 'expired');
+    localStorage.setItem('user', JSON.stringify({ id: 1 }));
+    api.get.mockRejectedValue({ response: { status: 401 } });
+
+    const { result } = renderHook(() => useCurrentUser(), { wrapper: createWrapper() });
+
+    await waitFor(() => expect(result.current.user).toBeNull());
+    expect(result.current.isError).toBe(false);
+    expect(localStorage.getItem('user')).toBeNull();
+  });
+
+  it('should surface other errors', async () => {
+    localStorage.setItem('token', 'tok');
+    api.get.mockRejectedValue(new Error('Network Error'));
+
+    const { result } = renderHook(() => useCurrentUser(), { wrapper: createWrapper() });
+
+    await waitFor(() => expect(result.current.isError).toBe(true));
+  });
+
+  it('should refetch on demand', async () => {
+    localStorage.setItem('token', 'tok');
+    api.get.mockResolvedValueOnce({ data: { id: 1, name: 'A' } }).mockResolvedValueOnce({ data: { id: 1, name: 'B' } });
+
+    const { result } = renderHook(() => useCurrentUser(), { wrapper: createWrapper() });
+    await waitFor(() => expect(result.current.user?.name).toBe('A'));
+
+    await act(async () => {
+      await result.current.refetch();
+    });
+
+    await waitFor(() => expect(result.current.user.name).toBe('B'));
+  });
+
+  it('should update the user with PUT /auth/me', async () => {
+    localStorage.setItem('token', 'tok');
+    api.get.mockResolvedValue({ data: { id: 1, name: 'A' } });
+    api.put.mockResolvedValue({ data: { id: 1, name: 'Renamed' } });
+
+    const { result } = renderHook(() => useCurrentUser(), { wrapper: createWrapper() });
+    await waitFor(() => expect(result.current.user?.name).toBe('A'));
+
+    await act(async () => {
+      await result.current.update.mutateAsync({ name: 'Renamed' });
+    });
+
+    expect(api.put).toHaveBeenCalledWith('/auth/me', { name: 'Renamed' });
+    await waitFor(() => expect(result.current.user.name).toBe('Renamed'));
+    expect(JSON.parse(localStorage.getItem('user')).name).toBe('Renamed');
+  });
+
+  it('should keep a separate user per API client on a shared QueryClient', async () => {
+    localStorage.setItem('token', 'tok');
+    const queryClient = new QueryClient({ defaultOptions: { queries: { retry: false } } });
+    const main = { defaults: { baseURL: 'https://api.acme.test' }, get: vi.fn().mockResolvedValue({ data: { id: 1, name: 'Main' } }) };
+    const billing = { defaults: { baseURL: 'https://billing.acme.test' }, get: vi.fn().mockResolvedValue({ data: { id: 9, name: 'Billing' } }) };
+    const wrapperFor = (client) => ({ children }) =>
+      createElement(QueryClientProvider, { client: queryClient }, createElement(LuminaProvider, { client }, children));
+
+    const { result: mainUser } = renderHook(() => useCurrentUser(), { wrapper: wrapperFor(main) });
+    const { result: billingUser } = renderHook(() => useCurrentUser(), { wrapper: wrapperFor(billing) });
+
+    await waitFor(() => expect(mainUser.current.user).toEqual({ id: 1, name: 'Main' }));
+    await waitFor(() => expect(billingUser.current.user).toEqual({ id: 9, name: 'Billing' }));
+    expect(mainUser.current.user).toEqual({ id: 1, name: 'Main' });
+  });
+});
@@ -58,7 +58,7 @@ describe('useInvitations – edge cases', () => {
     renderHook(() => useInvitations(), { wrapper: createWrapper() });
 
     await waitFor(() => expect(api.get).toHaveBeenCalled());
-    expect(api.get).toHaveBeenCalledWith('/my-org/invitations');
+    expect(api.get).toHaveBeenCalledWith('/my-org/invitations', { signal: expect.any(AbortSignal) });
   });
 
   it('should fetch invitations with pending status filter', async () => {
@@ -68,7 +68,7 @@ describe('useInvitations – edge cases', () => {
     renderHook(() => useInvitations('pending'), { wrapper: createWrapper() });
 
     await waitFor(() => expect(api.get).toHaveBeenCalled());
-    expect(api.get).toHaveBeenCalledWith('/my-org/invitations?status=pending');
+    expect(api.get).toHaveBeenCalledWith('/my-org/invitations?status=pending', { signal: expect.any(AbortSignal) });
   });
 
   it('should fetch invitations with accepted status filter', async () => {
@@ -78,7 +78,7 @@ describe('useInvitations – edge cases', () => {
     renderHook(() => useInvitations('accepted'), { wrapper: createWrapper() });
 
     await waitFor(() => expect(api.get).toHaveBeenCalled());
-    expect(api.get).toHaveBeenCalledWith('/my-org/invitations?status=accepted');
+    expect(api.get).toHaveBeenCalledWith('/my-org/invitations?status=accepted', { signal: expect.any(AbortSignal) });
   });
 
   it('should fetch invitations with expired status filter', async () => {
@@ -88,7 +88,7 @@ describe('useInvitations – edge cases', () => {
     renderHook(() => useInvitations('expired'), { wrapper: createWrapper() });
 
     await waitFor(() => expect(api.get).toHaveBeenCalled());
-    expect(api.get).toHaveBeenCalledWith('/my-org/invitations?status=expired');
+    expect(api.get).toHaveBeenCalledWith('/my-org/invitations?status=expired', { signal: expect.any(AbortSignal) });
   });
 
   it('should fetch invitations with cancelled status filter', async () => {
@@ -98,7 +98,7 @@ describe('useInvitations – edge cases', () => {
     renderHook(() => useInvitations('cancelled'), { wrapper: createWrapper() });
 
     await waitFor(() => expect(api.get).toHaveBeenCalled());
-    expect(api.get).toHaveBeenCalledWith('/my-org/invitations?status=cancelled');
+    expect(api.get).toHaveBeenCalledWith('/my-org/invitations?status=cancelled', { signal: expect.any(AbortSignal) });
   });
 
   it('should return data from API response', async () => {
@@ -196,7 +196,7 @@ describe('useInviteUser – edge cases', () => {
       await result.current.mutateAsync({ email: 'a@b.com', role_id: 1 });
     });
 
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['invitations', 'my-org'] });
+    expect(spy).toHaveBeenCalledWith({ queryKey: ['invitations', null, 'my-org'] });
   });
 });
 
@@ -304,7 +304,7 @@ describe('useCancelInvitation – edge cases', () => {
       await result.current.mutateAsync(1);
     });
 
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['invitations', 'my-org'] });
+    expect(spy).toHaveBeenCalledWith({ queryKey: ['invitations', null, 'my-org'] });
   });
 });
 
@@ -356,7 +356,7 @@ describe('useAcceptInvitation – edge cases', () => {
       await result.current.mutateAsync('token-123');
     });
 
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelIndex', 'users'] });
+    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelIndex', 'users', null] });
   });
 
   it('should handle expired token error', async () => {
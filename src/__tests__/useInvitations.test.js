@@ -57,7 +57,7 @@ describe('useInvitations', () => {
     renderHook(() => useInvitations(), { wrapper: createWrapper() });
 
     await waitFor(() => expect(api.get).toHaveBeenCalled());
-    expect(api.get).toHaveBeenCalledWith('/my-org/invitations');
+    expect(api.get).toHaveBeenCalledWith('/my-org/invitations', { signal: expect.any(AbortSignal) });
   });
 
   it('should GET /org/invitations with status param when filtered', async () => {
@@ -67,7 +67,7 @@ describe('useInvitations', () => {
     renderHook(() => useInvitations('pending'), { wrapper: createWrapper() });
 
     await waitFor(() => expect(api.get).toHaveBeenCalled());
-    expect(api.get).toHaveBeenCalledWith('/my-org/invitations?status=pending');
+    expect(api.get).toHaveBeenCalledWith('/my-org/invitations?status=pending', { signal: expect.any(AbortSignal) });
   });
 
   it('should not call api when organization is null', () => {
@@ -119,7 +119,7 @@ describe('useInviteUser', () => {
       await result.current.mutateAsync({ email: 'user@test.com', role_id: 2 });
     });
 
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['invitations', 'my-org'] });
+    expect(spy).toHaveBeenCalledWith({ queryKey: ['invitations', null, 'my-org'] });
   });
 });
 
@@ -162,7 +162,7 @@ describe('useResendInvitation', () => {
       await result.current.mutateAsync(5);
     });
 
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['invitations', 'my-org'] });
+    expect(spy).toHaveBeenCalledWith({ queryKey: ['invitations', null, 'my-org'] });
   });
 });
 
@@ -205,7 +205,7 @@ describe('useCancelInvitation', () => {
       await result.current.mutateAsync(5);
     });
 
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['invitations', 'my-org'] });
+    expect(spy).toHaveBeenCalledWith({ queryKey: ['invitations', null, 'my-org'] });
   });
 });
 
@@ -241,6 +241,6 @@ describe('useAcceptInvitation', () => {
       await result.current.mutateAsync('abc-token-123');
     });
 
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelIndex', 'users'] });
+    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelIndex', 'users', null] });
   });
 });
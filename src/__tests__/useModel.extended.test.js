@@ -25,6 +25,7 @@ import { useOrganization } from '../hooks/useOrganization';
 import { extractPaginationFromHeaders } from '../lib/pagination';
 import {
   useModelIndex,
+  useModelInfiniteIndex,
   useModelShow,
   useModelStore,
   useModelUpdate,
@@ -35,6 +36,13 @@ import {
   useNestedOperations,
   useModelAudit,
 } from '../hooks/useModel';
+import { LuminaValidationError } from '../lib/errors';
+
+function validationError(data) {
+  const error = new Error('Request failed with status code 422');
+  error.response = { status: 422, data };
+  return error;
+}
 
 function createWrapper(queryClient = null) {
   const qc = queryClient || new QueryClient({
@@ -63,7 +71,7 @@ describe('useModelIndex – edge cases', () => {
     });
 
     await waitFor(() => expect(api.get).toHaveBeenCalled());
-    expect(api.get).toHaveBeenCalledWith('/my-org/users');
+    expect(api.get).toHaveBeenCalledWith('/my-org/users', { signal: expect.any(AbortSignal) });
   });
 
   it('should include search parameter alone', async () => {
@@ -209,7 +217,7 @@ describe('useModelShow – edge cases', () => {
     renderHook(() => useModelShow('users', 'uuid-123'), { wrapper: createWrapper() });
 
     await waitFor(() => expect(api.get).toHaveBeenCalled());
-    expect(api.get).toHaveBeenCalledWith('/org-1/users/uuid-123');
+    expect(api.get).toHaveBeenCalledWith('/org-1/users/uuid-123', { signal: expect.any(AbortSignal) });
   });
 
   it('should build URL with sort parameter', async () => {
@@ -315,6 +323,33 @@ describe('useModelStore – edge cases', () => {
 
     expect(api.post).toHaveBeenCalledWith('/org-1/posts', payload);
   });
+
+  it('should reject a 422 with LuminaValidationError and expose fieldErrors', async () => {
+    useOrganization.mockReturnValue('org-1');
+    api.post.mockRejectedValue(validationError({
+      message: 'The title field is required.',
+      errors: { title: ['The title field is required.'] },
+    }));
+
+    const { result } = renderHook(() => useModelStore('posts'), {
+      wrapper: createWrapper(),
+    });
+
+    expect(result.current.fieldErrors).toEqual({});
+
+    let thrown;
+    await act(async () => {
+      await result.current.mutateAsync({ title: '' }).catch((error) => {
+        thrown = error;
+      });
+    });
+
+    expect(thrown).toBeInstanceOf(LuminaValidationError);
+    expect(thrown.response.data.errors).toEqual({ title: ['The title field is required.'] });
+    await waitFor(() =>
+      expect(result.current.fieldErrors).toEqual({ title: ['The title field is required.'] }),
+    );
+  });
 });
 
 // ─── useModelUpdate – Extended ─────────────────────────────────────────────────
@@ -364,6 +399,26 @@ describe('useModelUpdate – edge cases', () => {
       }),
     ).rejects.toThrow('Forbidden');
   });
+
+  it('should expose fieldErrors from a 422 response', async () => {
+    useOrganization.mockReturnValue('org-1');
+    api.put.mockRejectedValue(validationError({
+      errors: { email: ['The email has already been taken.'] },
+    }));
+
+    const { result } = renderHook(() => useModelUpdate('users'), {
+      wrapper: createWrapper(),
+    });
+
+    act(() => {
+      result.current.mutate({ id: 1, data: { email: 'taken@example.com' } });
+    });
+
+    await waitFor(() =>
+      expect(result.current.fieldErrors).toEqual({ email: ['The email has already been taken.'] }),
+    );
+    expect(result.current.error).toBeInstanceOf(LuminaValidationError);
+  });
 });
 
 // ─── useModelDelete – Extended ─────────────────────────────────────────────────
@@ -560,6 +615,32 @@ describe('useNestedOperations – edge cases', () => {
     ).rejects.toThrow('Transaction failed');
   });
 
+  it('should map validation errors back to the failed operation', async () => {
+    useOrganization.mockReturnValue('org-1');
+    api.post.mockRejectedValue(validationError({
+      message: 'The operations.1.data.title field is required.',
+      errors: { 'operations.1.data.title': ['The title field is required.'] },
+    }));
+
+    const { result } = renderHook(() => useNestedOperations(), {
+      wrapper: createWrapper(),
+    });
+
+    await act(async () => {
+      await result.current.mutateAsync({
+        operations: [
+          { action: 'create', model: 'blogs', data: { title: 'Blog' } },
+          { action: 'create', model: 'posts', data: {} },
+        ],
+      }).catch(() => {});
+    });
+
+    await waitFor(() => expect(result.current.error).toBeInstanceOf(LuminaValidationError));
+    expect(result.current.error.operationIndex).toBe(1);
+    expect(result.current.error.operationErrors[1]).toEqual({ title: ['The title field is required.'] });
+    expect(result.current.fieldErrors).toEqual({ 'operations.1.data.title': ['The title field is required.'] });
+  });
+
   it('should handle mixed operation types', async () => {
     useOrganization.mockReturnValue('org-1');
     api.post.mockResolvedValue({ data: [] });
@@ -584,9 +665,9 @@ describe('useNestedOperations – edge cases', () => {
     });
 
     // Should invalidate 3 unique models
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelIndex', 'users'] });
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelIndex', 'posts'] });
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelIndex', 'comments'] });
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelIndex', 'users', null] }));
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelIndex', 'posts', null] }));
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelIndex', 'comments', null] }));
   });
 });
 
@@ -650,3 +731,410 @@ describe('useModelAudit – edge cases', () => {
     expect(result.current.error.message).toBe('Forbidden');
   });
 });
+
+// ─── Filter operators ──────────────────────────────────────────────────────────
+
+describe('filter operators', () => {
+  const filters = {
+    status: ['draft', 'review'],
+    views: { gte: 100 },
+    published_at: { null: true },
+  };
+
+  function expectOperatorFilters(url) {
+    expect(url).toContain('filter%5Bstatus%5D=draft%2Creview');
+    expect(url).toContain('filter%5Bviews%5D%5Bgte%5D=100');
+    expect(url).toContain('filter%5Bpublished_at%5D%5Bnull%5D=1');
+  }
+
+  it('should serialize operator filters in useModelIndex', async () => {
+    useOrganization.mockReturnValue('org-1');
+    api.get.mockResolvedValue({ data: [], headers: {} });
+    extractPaginationFromHeaders.mockReturnValue(null);
+
+    renderHook(() => useModelIndex('posts', { filters }), { wrapper: createWrapper() });
+
+    await waitFor(() => expect(api.get).toHaveBeenCalled());
+    expectOperatorFilters(api.get.mock.calls[0][0]);
+  });
+
+  it('should serialize operator filters in useModelShow', async () => {
+    useOrganization.mockReturnValue('org-1');
+    api.get.mockResolvedValue({ data: { id: 1 } });
+
+    renderHook(() => useModelShow('posts', 1, { filters }), { wrapper: createWrapper() });
+
+    await waitFor(() => expect(api.get).toHaveBeenCalled());
+    expectOperatorFilters(api.get.mock.calls[0][0]);
+  });
+
+  it('should serialize operator filters in useModelTrashed', async () => {
+    useOrganization.mockReturnValue('org-1');
+    api.get.mockResolvedValue({ data: [], headers: {} });
+    extractPaginationFromHeaders.mockReturnValue(null);
+
+    renderHook(() => useModelTrashed('posts', { filters }), { wrapper: createWrapper() });
+
+    await waitFor(() => expect(api.get).toHaveBeenCalled());
+    expectOperatorFilters(api.get.mock.calls[0][0]);
+  });
+});
+
+// ─── Shared query serialization ────────────────────────────────────────────────
+
+describe('shared query serialization', () => {
+  const options = {
+    filters: { action: 'updated' },
+    includes: ['user'],
+    sort: '-created_at',
+    page: 2,
+    perPage: 10,
+  };
+
+  async function urlFor(hook) {
+    renderHook(hook, { wrapper: createWrapper() });
+    await waitFor(() => expect(api.get).toHaveBeenCalled());
+    return api.get.mock.calls[0][0];
+  }
+
+  beforeEach(() => {
+    useOrganization.mockReturnValue('org-1');
+    api.get.mockResolvedValue({ data: [], headers: {} });
+    extractPaginationFromHeaders.mockReturnValue(null);
+  });
+
+  it('should send identical query strings from index, show, trashed and audit', async () => {
+    const index = await urlFor(() => useModelIndex('posts', options));
+    vi.clearAllMocks();
+    api.get.mockResolvedValue({ data: [], headers: {} });
+    const show = await urlFor(() => useModelShow('posts', 7, options));
+    vi.clearAllMocks();
+    api.get.mockResolvedValue({ data: [], headers: {} });
+    const trashed = await urlFor(() => useModelTrashed('posts', options));
+    vi.clearAllMocks();
+    api.get.mockResolvedValue({ data: [], headers: {} });
+    const audit = await urlFor(() => useModelAudit('posts', 7, options));
+
+    const query = index.split('?')[1];
+    expect(index).toBe(`/org-1/posts?${query}`);
+    expect(show).toBe(`/org-1/posts/7?${query}`);
+    expect(trashed).toBe(`/org-1/posts/trashed?${query}`);
+    expect(audit).toBe(`/org-1/posts/7/audit?${query}`);
+  });
+
+  it('should apply filters and sort to useModelAudit', async () => {
+    const url = await urlFor(() => useModelAudit('posts', 7, { filters: { action: 'deleted' }, sort: 'created_at' }));
+
+    expect(url).toContain('filter%5Baction%5D=deleted');
+    expect(url).toContain('sort=created_at');
+  });
+
+  it('should not fetch trashed models for a blank organization', async () => {
+    useOrganization.mockReturnValue('   ');
+    const { result } = renderHook(() => useModelTrashed('posts'), { wrapper: createWrapper() });
+
+    await waitFor(() => expect(result.current.isError).toBe(true));
+    expect(api.get).not.toHaveBeenCalled();
+    expect(result.current.error.message).toContain('Organization slug is required');
+  });
+});
+
+// ─── Optimistic mutations ──────────────────────────────────────────────────────
+
+describe('optimistic mutations', () => {
+  function createSeededClient() {
+    const queryClient = new QueryClient({
+      defaultOptions: { queries: { retry: false }, mutations: { retry: false } },
+    });
+    queryClient.setQueryData(['modelIndex', 'posts', null, 'org-1', {}], {
+      data: [{ id: 1, title: 'First' }, { id: 2, title: 'Second' }],
+      pagination: { currentPage: 1, lastPage: 1, perPage: 15, total: 2 },
+    });
+    queryClient.setQueryData(['modelShow', 'posts', null, 1, 'org-1', {}], { id: 1, title: 'First' });
+    queryClient.setQueryData(['modelIndex', 'posts', null, 'org-2', {}], {
+      data: [{ id: 1, title: 'Other tenant' }],
+      pagination: null,
+    });
+    return queryClient;
+  }
+
+  function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  }
+
+  it('should patch index and show entries before useModelUpdate resolves', async () => {
+    useOrganization.mockReturnValue('org-1');
+    const request = deferred();
+    api.put.mockReturnValue(request.promise);
+    const queryClient = createSeededClient();
+
+    const { result } = renderHook(() => useModelUpdate('posts', { optimistic: true }), {
+      wrapper: createWrapper(queryClient),
+    });
+
+    act(() => {
+      result.current.mutate({ id: 1, data: { title: 'Edited' } });
+    });
+
+    await waitFor(() =>
+      expect(queryClient.getQueryData(['modelShow', 'posts', null, 1, 'org-1', {}])).toEqual({ id: 1, title: 'Edited' }),
+    );
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'org-1', {}]).data[0]).toEqual({ id: 1, title: 'Edited' });
+    // Other tenants are left untouched
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'org-2', {}]).data[0].title).toBe('Other tenant');
+
+    await act(async () => {
+      request.resolve({ data: { id: 1, title: 'Edited', updated_at: 'now' } });
+    });
+
+    await waitFor(() => expect(result.current.isSuccess).toBe(true));
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'org-1', {}]).data[0]).toEqual({
+      id: 1,
+      title: 'Edited',
+      updated_at: 'now',
+    });
+  });
+
+  it('should roll back useModelUpdate on error', async () => {
+    useOrganization.mockReturnValue('org-1');
+    api.put.mockRejectedValue(new Error('Validation failed'));
+    const queryClient = createSeededClient();
+
+    const { result } = renderHook(() => useModelUpdate('posts', { optimistic: true }), {
+      wrapper: createWrapper(queryClient),
+    });
+
+    await act(async () => {
+      await result.current.mutateAsync({ id: 1, data: { title: 'Edited' } }).catch(() => {});
+    });
+
+    expect(queryClient.getQueryData(['modelShow', 'posts', null, 1, 'org-1', {}])).toEqual({ id: 1, title: 'First' });
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'org-1', {}]).data[0]).toEqual({ id: 1, title: 'First' });
+  });
+
+  it('should not touch the cache when optimistic mode is off', async () => {
+    useOrganization.mockReturnValue('org-1');
+    const request = deferred();
+    api.put.mockReturnValue(request.promise);
+    const queryClient = createSeededClient();
+
+    const { result } = renderHook(() => useModelUpdate('posts'), {
+      wrapper: createWrapper(queryClient),
+    });
+
+    act(() => {
+      result.current.mutate({ id: 1, data: { title: 'Edited' } });
+    });
+
+    await waitFor(() => expect(api.put).toHaveBeenCalled());
+    expect(queryClient.getQueryData(['modelShow', 'posts', null, 1, 'org-1', {}])).toEqual({ id: 1, title: 'First' });
+
+    await act(async () => {
+      request.resolve({ data: { id: 1, title: 'Edited' } });
+    });
+  });
+
+  it('should remove the row and decrement total on useModelDelete', async () => {
+    useOrganization.mockReturnValue('org-1');
+    const request = deferred();
+    api.delete.mockReturnValue(request.promise);
+    const queryClient = createSeededClient();
+
+    const { result } = renderHook(() => useModelDelete('posts', { optimistic: true }), {
+      wrapper: createWrapper(queryClient),
+    });
+
+    act(() => {
+      result.current.mutate('2');
+    });
+
+    await waitFor(() =>
+      expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'org-1', {}]).data).toEqual([{ id: 1, title: 'First' }]),
+    );
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'org-1', {}]).pagination.total).toBe(1);
+
+    await act(async () => {
+      request.reject(new Error('Forbidden'));
+    });
+
+    await waitFor(() => expect(result.current.isError).toBe(true));
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'org-1', {}]).data).toHaveLength(2);
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'org-1', {}]).pagination.total).toBe(2);
+  });
+
+  it('should insert a temporary row on useModelStore and swap in the server row', async () => {
+    useOrganization.mockReturnValue('org-1');
+    const request = deferred();
+    api.post.mockReturnValue(request.promise);
+    const queryClient = createSeededClient();
+
+    const { result } = renderHook(() => useModelStore('posts', { optimistic: true }), {
+      wrapper: createWrapper(queryClient),
+    });
+
+    act(() => {
+      result.current.mutate({ title: 'Draft' });
+    });
+
+    await waitFor(() =>
+      expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'org-1', {}]).data).toHaveLength(3),
+    );
+    const tempRow = queryClient.getQueryData(['modelIndex', 'posts', null, 'org-1', {}]).data[0];
+    expect(tempRow.title).toBe('Draft');
+    expect(String(tempRow.id)).toMatch(/^temp-/);
+
+    await act(async () => {
+      request.resolve({ data: { id: 99, title: 'Draft' } });
+    });
+
+    await waitFor(() => expect(result.current.isSuccess).toBe(true));
+    const rows = queryClient.getQueryData(['modelIndex', 'posts', null, 'org-1', {}]).data;
+    expect(rows[0]).toEqual({ id: 99, title: 'Draft' });
+    expect(rows).toHaveLength(3);
+  });
+
+  it('should drop the temporary row when useModelStore fails', async () => {
+    useOrganization.mockReturnValue('org-1');
+    api.post.mockRejectedValue(new Error('Server error'));
+    const queryClient = createSeededClient();
+
+    const { result } = renderHook(() => useModelStore('posts', { optimistic: true }), {
+      wrapper: createWrapper(queryClient),
+    });
+
+    await act(async () => {
+      await result.current.mutateAsync({ title: 'Draft' }).catch(() => {});
+    });
+
+    const index = queryClient.getQueryData(['modelIndex', 'posts', null, 'org-1', {}]);
+    expect(index.data).toHaveLength(2);
+    expect(index.pagination.total).toBe(2);
+  });
+
+  it('should add the temporary row only to first pages of lists it could belong to', async () => {
+    useOrganization.mockReturnValue('org-1');
+    api.post.mockReturnValue(deferred().promise);
+    const queryClient = createSeededClient();
+    const page3 = ['modelIndex', 'posts', null, 'org-1', { page: 3 }];
+    const filtered = ['modelIndex', 'posts', null, 'org-1', { filters: { status: 'archived' } }];
+    const searched = ['modelIndex', 'posts', null, 'org-1', { search: 'release' }];
+    [page3, filtered, searched].forEach((key) =>
+      queryClient.setQueryData(key, {
+        data: [{ id: 7, title: 'Older' }],
+        pagination: { currentPage: 1, lastPage: 3, perPage: 1, total: 3 },
+      }),
+    );
+
+    const { result } = renderHook(() => useModelStore('posts', { optimistic: true }), {
+      wrapper: createWrapper(queryClient),
+    });
+
+    act(() => {
+      result.current.mutate({ title: 'Draft' });
+    });
+
+    await waitFor(() =>
+      expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'org-1', {}]).data).toHaveLength(3),
+    );
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'org-1', {}]).pagination.total).toBe(3);
+    [page3, filtered, searched].forEach((key) => {
+      expect(queryClient.getQueryData(key).data).toEqual([{ id: 7, title: 'Older' }]);
+      expect(queryClient.getQueryData(key).pagination.total).toBe(3);
+    });
+  });
+
+  it('should only decrement the total of lists that contained the deleted row', async () => {
+    useOrganization.mockReturnValue('org-1');
+    api.delete.mockReturnValue(deferred().promise);
+    const queryClient = createSeededClient();
+    const page2 = ['modelIndex', 'posts', null, 'org-1', { page: 2 }];
+    queryClient.setQueryData(page2, {
+      data: [{ id: 3, title: 'Third' }],
+      pagination: { currentPage: 2, lastPage: 2, perPage: 2, total: 3 },
+    });
+
+    const { result } = renderHook(() => useModelDelete('posts', { optimistic: true }), {
+      wrapper: createWrapper(queryClient),
+    });
+
+    act(() => {
+      result.current.mutate(1);
+    });
+
+    await waitFor(() =>
+      expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'org-1', {}]).pagination.total).toBe(1),
+    );
+    expect(queryClient.getQueryData(page2).data).toHaveLength(1);
+    expect(queryClient.getQueryData(page2).pagination.total).toBe(3);
+  });
+
+  describe('infinite feeds', () => {
+    async function renderFeed(mutationHook) {
+      useOrganization.mockReturnValue('org-1');
+      const pages = {
+        1: { data: [{ id: 1 }, { id: 2 }], pagination: { currentPage: 1, lastPage: 2, perPage: 2, total: 3 } },
+        2: { data: [{ id: 3 }], pagination: { currentPage: 2, lastPage: 2, perPage: 2, total: 3 } },
+      };
+      api.get.mockImplementation(async (url) => {
+        const page = url.includes('page=2') ? 2 : 1;
+        return { data: pages[page].data, headers: { page } };
+      });
+      extractPaginationFromHeaders.mockImplementation((response) => pages[response.headers.page].pagination);
+      const queryClient = new QueryClient({
+        defaultOptions: { queries: { retry: false }, mutations: { retry: false } },
+      });
+
+      const { result } = renderHook(
+        () => ({ feed: useModelInfiniteIndex('posts'), mutation: mutationHook() }),
+        { wrapper: createWrapper(queryClient) },
+      );
+      await waitFor(() => expect(result.current.feed.hasNextPage).toBe(true));
+      await act(async () => {
+        await result.current.feed.fetchNextPage();
+      });
+      await waitFor(() => expect(result.current.feed.items.map((row) => row.id)).toEqual([1, 2, 3]));
+
+      return result;
+    }
+
+    it('should remove the row from loaded pages on an optimistic useModelDelete', async () => {
+      const request = deferred();
+      api.delete.mockReturnValue(request.promise);
+      const result = await renderFeed(() => useModelDelete('posts', { optimistic: true }));
+
+      act(() => {
+        result.current.mutation.mutate(3);
+      });
+
+      await waitFor(() => expect(result.current.feed.items.map((row) => row.id)).toEqual([1, 2]));
+      expect(result.current.feed.total).toBe(2);
+
+      await act(async () => {
+        request.reject(new Error('Forbidden'));
+      });
+
+      await waitFor(() => expect(result.current.mutation.isError).toBe(true));
+      expect(result.current.feed.items.map((row) => row.id)).toEqual([1, 2, 3]);
+      expect(result.current.feed.total).toBe(3);
+    });
+
+    it('should prepend an optimistic useModelStore row to the first page only', async () => {
+      api.post.mockReturnValue(deferred().promise);
+      const result = await renderFeed(() => useModelStore('posts', { optimistic: true }));
+
+      act(() => {
+        result.current.mutation.mutate({ title: 'Draft' });
+      });
+
+      await waitFor(() => expect(result.current.feed.items).toHaveLength(4));
+      expect(result.current.feed.items[0].title).toBe('Draft');
+      expect(result.current.feed.items.slice(1).map((row) => row.id)).toEqual([1, 2, 3]);
+    });
+  });
+});
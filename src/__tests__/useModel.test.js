@@ -26,6 +26,7 @@ import { useOrganization } from '../hooks/useOrganization';
 import { extractPaginationFromHeaders } from '../lib/pagination';
 import {
   useModelIndex,
+  useModelInfiniteIndex,
   useModelShow,
   useModelStore,
   useModelUpdate,
@@ -33,6 +34,10 @@ import {
   useModelTrashed,
   useModelRestore,
   useModelForceDelete,
+  useModelBulkDelete,
+  useModelBulkRestore,
+  useModelBulkForceDelete,
+  useModelBulkUpdate,
   useNestedOperations,
   useModelAudit,
 } from '../hooks/useModel';
@@ -72,7 +77,27 @@ describe('useModelIndex', () => {
     const { result } = renderHook(() => useModelIndex('users'), { wrapper: createWrapper() });
 
     await waitFor(() => expect(api.get).toHaveBeenCalled());
-    expect(api.get).toHaveBeenCalledWith('/my-org/users');
+    expect(api.get).toHaveBeenCalledWith('/my-org/users', { signal: expect.any(AbortSignal) });
+  });
+
+  it('should abort the previous request when the options change', async () => {
+    useOrganization.mockReturnValue('my-org');
+    api.get.mockReturnValueOnce(new Promise(() => {}));
+    api.get.mockResolvedValue({ data: [], headers: {} });
+    extractPaginationFromHeaders.mockReturnValue(null);
+
+    const { rerender } = renderHook(({ search }) => useModelIndex('users', { search }), {
+      wrapper: createWrapper(),
+      initialProps: { search: 'jo' },
+    });
+    await waitFor(() => expect(api.get).toHaveBeenCalledTimes(1));
+    const firstSignal = api.get.mock.calls[0][1].signal;
+
+    rerender({ search: 'john' });
+
+    await waitFor(() => expect(api.get).toHaveBeenCalledTimes(2));
+    expect(firstSignal.aborted).toBe(true);
+    expect(api.get.mock.calls[1][1].signal.aborted).toBe(false);
   });
 
   it('should build URL with filters', async () => {
@@ -151,6 +176,91 @@ describe('useModelIndex', () => {
   });
 });
 
+// ─── useModelInfiniteIndex ───────────────────────────────────────────────────
+
+describe('useModelInfiniteIndex', () => {
+  it('should return disabled state when organization is null', () => {
+    useOrganization.mockReturnValue(null);
+    const { result } = renderHook(() => useModelInfiniteIndex('posts'), { wrapper: createWrapper() });
+
+    expect(api.get).not.toHaveBeenCalled();
+    expect(result.current.items).toEqual([]);
+    expect(result.current.total).toBe(0);
+  });
+
+  it('should request the first page with the index query string', async () => {
+    useOrganization.mockReturnValue('my-org');
+    api.get.mockResolvedValue({ data: [], headers: {} });
+    extractPaginationFromHeaders.mockReturnValue(null);
+
+    renderHook(
+      () => useModelInfiniteIndex('posts', { filters: { status: 'published' }, sort: '-created_at', perPage: 20 }),
+      { wrapper: createWrapper() },
+    );
+
+    await waitFor(() => expect(api.get).toHaveBeenCalled());
+    const url = api.get.mock.calls[0][0];
+    expect(url).toContain('/my-org/posts?');
+    expect(url).toContain('filter%5Bstatus%5D=published');
+    expect(url).toContain('sort=-created_at');
+    expect(url).toContain('page=1');
+    expect(url).toContain('per_page=20');
+  });
+
+  it('should flatten pages and follow pagination headers', async () => {
+    useOrganization.mockReturnValue('my-org');
+    api.get
+      .mockResolvedValueOnce({ data: [{ id: 1 }, { id: 2 }], headers: {} })
+      .mockResolvedValueOnce({ data: [{ id: 3 }], headers: {} });
+    extractPaginationFromHeaders
+      .mockReturnValueOnce({ currentPage: 1, lastPage: 2, perPage: 2, total: 3 })
+      .mockReturnValueOnce({ currentPage: 2, lastPage: 2, perPage: 2, total: 3 });
+
+    const { result } = renderHook(() => useModelInfiniteIndex('posts', { perPage: 2 }), {
+      wrapper: createWrapper(),
+    });
+
+    await waitFor(() => expect(result.current.items).toHaveLength(2));
+    expect(result.current.hasNextPage).toBe(true);
+    expect(result.current.total).toBe(3);
+
+    await act(async () => {
+      await result.current.fetchNextPage();
+    });
+
+    await waitFor(() => expect(result.current.items).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]));
+    expect(api.get.mock.calls[1][0]).toContain('page=2');
+    expect(result.current.hasNextPage).toBe(false);
+  });
+
+  it('should start from options.page and expose the previous page', async () => {
+    useOrganization.mockReturnValue('my-org');
+    api.get.mockResolvedValue({ data: [{ id: 5 }], headers: {} });
+    extractPaginationFromHeaders.mockReturnValue({ currentPage: 3, lastPage: 3, perPage: 1, total: 3 });
+
+    const { result } = renderHook(() => useModelInfiniteIndex('posts', { page: 3 }), {
+      wrapper: createWrapper(),
+    });
+
+    await waitFor(() => expect(result.current.items).toHaveLength(1));
+    expect(api.get.mock.calls[0][0]).toContain('page=3');
+    expect(result.current.hasNextPage).toBe(false);
+    expect(result.current.hasPreviousPage).toBe(true);
+  });
+
+  it('should report no next page when the response is not paginated', async () => {
+    useOrganization.mockReturnValue('my-org');
+    api.get.mockResolvedValue({ data: [{ id: 1 }], headers: {} });
+    extractPaginationFromHeaders.mockReturnValue(null);
+
+    const { result } = renderHook(() => useModelInfiniteIndex('posts'), { wrapper: createWrapper() });
+
+    await waitFor(() => expect(result.current.items).toHaveLength(1));
+    expect(result.current.hasNextPage).toBe(false);
+    expect(result.current.total).toBe(1);
+  });
+});
+
 // ─── useModelShow ────────────────────────────────────────────────────────────
 
 describe('useModelShow', () => {
@@ -179,7 +289,7 @@ describe('useModelShow', () => {
     renderHook(() => useModelShow('users', 42), { wrapper: createWrapper() });
 
     await waitFor(() => expect(api.get).toHaveBeenCalled());
-    expect(api.get).toHaveBeenCalledWith('/my-org/users/42');
+    expect(api.get).toHaveBeenCalledWith('/my-org/users/42', { signal: expect.any(AbortSignal) });
   });
 
   it('should build URL with includes and filters', async () => {
@@ -268,8 +378,34 @@ describe('useModelStore', () => {
       await result.current.mutateAsync({ name: 'John' });
     });
 
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelIndex', 'users'] });
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelShow', 'users'] });
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelIndex', 'users', null] }));
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelShow', 'users', null] }));
+  });
+
+  it('should only invalidate the active organization\'s queries', async () => {
+    useOrganization.mockReturnValue('my-org');
+    api.post.mockResolvedValue({ data: { id: 1 } });
+
+    const queryClient = new QueryClient({
+      defaultOptions: { queries: { retry: false }, mutations: { retry: false } },
+    });
+    queryClient.setQueryData(['modelIndex', 'users', null, 'my-org', {}], { data: [] });
+    queryClient.setQueryData(['modelShow', 'users', null, 1, 'my-org', {}], { id: 1 });
+    queryClient.setQueryData(['modelIndex', 'users', null, 'other-org', {}], { data: [] });
+    queryClient.setQueryData(['modelShow', 'users', null, 1, 'other-org', {}], { id: 1 });
+    const wrapper = ({ children }) => createElement(QueryClientProvider, { client: queryClient }, children);
+
+    const { result } = renderHook(() => useModelStore('users'), { wrapper });
+
+    await act(async () => {
+      await result.current.mutateAsync({ name: 'John' });
+    });
+
+    const isInvalidated = (queryKey) => queryClient.getQueryState(queryKey).isInvalidated;
+    expect(isInvalidated(['modelIndex', 'users', null, 'my-org', {}])).toBe(true);
+    expect(isInvalidated(['modelShow', 'users', null, 1, 'my-org', {}])).toBe(true);
+    expect(isInvalidated(['modelIndex', 'users', null, 'other-org', {}])).toBe(false);
+    expect(isInvalidated(['modelShow', 'users', null, 1, 'other-org', {}])).toBe(false);
   });
 });
 
@@ -326,8 +462,8 @@ describe('useModelUpdate', () => {
       await result.current.mutateAsync({ id: 42, data: { name: 'Updated' } });
     });
 
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelIndex', 'users'] });
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelShow', 'users'] });
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelIndex', 'users', null] }));
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelShow', 'users', null] }));
   });
 });
 
@@ -370,8 +506,8 @@ describe('useModelDelete', () => {
       await result.current.mutateAsync(42);
     });
 
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelIndex', 'users'] });
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelShow', 'users'] });
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelIndex', 'users', null] }));
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelShow', 'users', null] }));
   });
 });
 
@@ -395,7 +531,7 @@ describe('useModelTrashed', () => {
     renderHook(() => useModelTrashed('users'), { wrapper: createWrapper() });
 
     await waitFor(() => expect(api.get).toHaveBeenCalled());
-    expect(api.get).toHaveBeenCalledWith('/my-org/users/trashed');
+    expect(api.get).toHaveBeenCalledWith('/my-org/users/trashed', { signal: expect.any(AbortSignal) });
   });
 
   it('should build URL with query options', async () => {
@@ -476,9 +612,9 @@ describe('useModelRestore', () => {
       await result.current.mutateAsync(42);
     });
 
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelIndex', 'users'] });
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelTrashed', 'users'] });
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelShow', 'users'] });
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelIndex', 'users', null] }));
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelTrashed', 'users', null] }));
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelShow', 'users', null] }));
   });
 });
 
@@ -521,9 +657,121 @@ describe('useModelForceDelete', () => {
       await result.current.mutateAsync(42);
     });
 
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelTrashed', 'users'] });
-    expect(spy).not.toHaveBeenCalledWith({ queryKey: ['modelIndex', 'users'] });
-    expect(spy).not.toHaveBeenCalledWith({ queryKey: ['modelShow', 'users'] });
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelTrashed', 'users', null] }));
+    expect(spy).not.toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelIndex', 'users', null] }));
+    expect(spy).not.toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelShow', 'users', null] }));
+  });
+});
+
+// ─── Bulk mutations ──────────────────────────────────────────────────────────
+
+describe('bulk mutations', () => {
+  function createSpiedWrapper() {
+    const queryClient = new QueryClient({
+      defaultOptions: { queries: { retry: false }, mutations: { retry: false } },
+    });
+    const spy = vi.spyOn(queryClient, 'invalidateQueries');
+    const wrapper = ({ children }) => createElement(QueryClientProvider, { client: queryClient }, children);
+    return { wrapper, spy };
+  }
+
+  it('should throw when organization is null', () => {
+    useOrganization.mockReturnValue(null);
+    expect(() => {
+      renderHook(() => useModelBulkDelete('posts'), { wrapper: createWrapper() });
+    }).toThrow('Organization slug is required');
+  });
+
+  it('should POST all ids to the bulk-delete endpoint in one request', async () => {
+    useOrganization.mockReturnValue('my-org');
+    api.post.mockResolvedValue({ data: null });
+    const { wrapper, spy } = createSpiedWrapper();
+
+    const { result } = renderHook(() => useModelBulkDelete('posts'), { wrapper });
+
+    let data;
+    await act(async () => {
+      data = await result.current.mutateAsync({ ids: [1, 2, 3] });
+    });
+
+    expect(api.post).toHaveBeenCalledTimes(1);
+    expect(api.post).toHaveBeenCalledWith('/my-org/posts/bulk-delete', { ids: [1, 2, 3] });
+    expect(data).toEqual({ succeeded: [1, 2, 3], failed: [] });
+    expect(spy).toHaveBeenCalledTimes(3);
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelIndex', 'posts', null] }));
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelShow', 'posts', null] }));
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelTrashed', 'posts', null] }));
+  });
+
+  it('should report partial results from a failed list', async () => {
+    useOrganization.mockReturnValue('my-org');
+    api.post.mockResolvedValue({
+      data: { succeeded: [1], failed: [{ id: 2, message: 'Not found' }] },
+    });
+
+    const { result } = renderHook(() => useModelBulkRestore('posts'), { wrapper: createWrapper() });
+
+    let data;
+    await act(async () => {
+      data = await result.current.mutateAsync({ ids: [1, 2] });
+    });
+
+    expect(api.post).toHaveBeenCalledWith('/my-org/posts/bulk-restore', { ids: [1, 2] });
+    expect(data).toEqual({ succeeded: [1], failed: [{ id: 2, message: 'Not found' }] });
+  });
+
+  it('should map a failed object keyed by id back to the requested ids', async () => {
+    useOrganization.mockReturnValue('my-org');
+    api.post.mockResolvedValue({ data: { failed: { 2: 'Still referenced' } } });
+    const { wrapper, spy } = createSpiedWrapper();
+
+    const { result } = renderHook(() => useModelBulkForceDelete('posts'), { wrapper });
+
+    let data;
+    await act(async () => {
+      data = await result.current.mutateAsync({ ids: [1, 2] });
+    });
+
+    expect(api.post).toHaveBeenCalledWith('/my-org/posts/bulk-force-delete', { ids: [1, 2] });
+    expect(data).toEqual({ succeeded: [1], failed: [{ id: 2, message: 'Still referenced' }] });
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelTrashed', 'posts', null] }));
+  });
+
+  it('should PUT ids and data to the bulk-update endpoint', async () => {
+    useOrganization.mockReturnValue('my-org');
+    api.put.mockResolvedValue({ data: [] });
+    const { wrapper, spy } = createSpiedWrapper();
+
+    const { result } = renderHook(() => useModelBulkUpdate('posts'), { wrapper });
+
+    await act(async () => {
+      await result.current.mutateAsync({ ids: [4, 5], data: { status: 'archived' } });
+    });
+
+    expect(api.put).toHaveBeenCalledWith('/my-org/posts/bulk-update', {
+      ids: [4, 5],
+      data: { status: 'archived' },
+    });
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelIndex', 'posts', null] }));
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelShow', 'posts', null] }));
+  });
+
+  it('should not invalidate when the request fails', async () => {
+    useOrganization.mockReturnValue('my-org');
+    api.post.mockRejectedValue(new Error('Server error'));
+    const { wrapper, spy } = createSpiedWrapper();
+
+    const { result } = renderHook(() => useModelBulkDelete('posts'), { wrapper });
+
+    await act(async () => {
+      await result.current.mutateAsync({ ids: [1] }).catch(() => {});
+    });
+
+    await waitFor(() => expect(result.current.isError).toBe(true));
+    expect(result.current.error.message).toBe('Server error');
+    expect(spy).not.toHaveBeenCalled();
   });
 });
 
@@ -577,10 +825,10 @@ describe('useNestedOperations', () => {
       await result.current.mutateAsync({ operations });
     });
 
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelIndex', 'blogs'] });
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelShow', 'blogs'] });
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelIndex', 'posts'] });
-    expect(spy).toHaveBeenCalledWith({ queryKey: ['modelShow', 'posts'] });
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelIndex', 'blogs', null] }));
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelShow', 'blogs', null] }));
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelIndex', 'posts', null] }));
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ queryKey: ['modelShow', 'posts', null] }));
     // blogs should only be invalidated once per key type despite 2 operations
     const blogIndexCalls = spy.mock.calls.filter(
       (c) => c[0].queryKey[0] === 'modelIndex' && c[0].queryKey[1] === 'blogs',
@@ -618,7 +866,7 @@ describe('useModelAudit', () => {
     renderHook(() => useModelAudit('users', 42), { wrapper: createWrapper() });
 
     await waitFor(() => expect(api.get).toHaveBeenCalled());
-    expect(api.get).toHaveBeenCalledWith('/my-org/users/42/audit');
+    expect(api.get).toHaveBeenCalledWith('/my-org/users/42/audit', { signal: expect.any(AbortSignal) });
   });
 
   it('should build URL with page and perPage', async () => {
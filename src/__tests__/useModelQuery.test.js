@@ -71,7 +71,7 @@ describe('useModelQuery (deprecated wrapper)', () => {
     renderHook(() => useModelQuery('users'), { wrapper: createWrapper() });
 
     await waitFor(() => expect(api.get).toHaveBeenCalled());
-    expect(api.get).toHaveBeenCalledWith('/my-org/users');
+    expect(api.get).toHaveBeenCalledWith('/my-org/users', { signal: expect.any(AbortSignal) });
   });
 
   it('should return disabled state when org is null', () => {
@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { createElement } from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { LuminaProvider } from '../context/LuminaContext';
+import { useOfflineQueue } from '../hooks/useOfflineQueue';
+import { useModelStore, useModelUpdate, useModelDelete } from '../hooks/useModel';
+import { configureOfflineQueue } from '../lib/offlineQueue';
+import { createMemoryConnectivity } from '../lib/connectivity';
+import { LuminaNotFoundError } from '../lib/errors';
+
+function setup() {
+  const client = {
+    get: vi.fn().mockResolvedValue({ data: [], headers: {} }),
+    post: vi.fn().mockResolvedValue({ data: { id: 99, title: 'Draft' } }),
+    put: vi.fn().mockResolvedValue({ data: {} }),
+    delete: vi.fn().mockResolvedValue({ data: {} }),
+  };
+  const connectivity = createMemoryConnectivity(false);
+  configureOfflineQueue(client, { connectivity });
+
+  const queryClient = new QueryClient({
+    defaultOptions: { queries: { retry: false }, mutations: { retry: false } },
+  });
+  const wrapper = ({ children }) =>
+    createElement(LuminaProvider, { client }, createElement(QueryClientProvider, { client: queryClient }, children));
+
+  return { client, connectivity, queryClient, wrapper };
+}
+
+describe('useOfflineQueue', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('organization_slug', 'acme');
+  });
+
+  it('should queue offline writes and list them as pending', async () => {
+    const { client, wrapper } = setup();
+
+    const { result } = renderHook(
+      () => ({ queue: useOfflineQueue(), store: useModelStore('posts', { offline: true }) }),
+      { wrapper },
+    );
+
+    let created;
+    await act(async () => {
+      created = await result.current.store.mutateAsync({ title: 'Draft' });
+    });
+
+    expect(client.post).not.toHaveBeenCalled();
+    expect(created).toEqual({ title: 'Draft', id: '$0.id' });
+    expect(result.current.queue.isOnline).toBe(false);
+    expect(result.current.queue.pending).toEqual([
+      expect.objectContaining({ method: 'post', url: '/acme/posts', model: 'posts', organization: 'acme', action: 'store' }),
+    ]);
+  });
+
+  it('should replay queued writes with resolved references on reconnect', async () => {
+    const { client, connectivity, wrapper } = setup();
+
+    const { result } = renderHook(
+      () => ({
+        queue: useOfflineQueue(),
+        store: useModelStore('posts', { offline: true }),
+        update: useModelUpdate('posts', { offline: true }),
+        remove: useModelDelete('posts', { offline: true }),
+      }),
+      { wrapper },
+    );
+
+    await act(async () => {
+      const created = await result.current.store.mutateAsync({ title: 'Draft' });
+      await result.current.update.mutateAsync({ id: created.id, data: { title: 'Final' } });
+      await result.current.remove.mutateAsync(created.id);
+    });
+    expect(result.current.queue.pending).toHaveLength(3);
+
+    act(() => {
+      connectivity.setOnline(true);
+    });
+
+    await waitFor(() => expect(result.current.queue.entries).toEqual([]));
+    expect(client.post).toHaveBeenCalledWith('/acme/posts', { title: 'Draft' });
+    expect(client.put).toHaveBeenCalledWith('/acme/posts/99', { title: 'Final' });
+    expect(client.delete).toHaveBeenCalledWith('/acme/posts/99');
+  });
+
+  it('should invalidate the model queries of replayed writes', async () => {
+    const { connectivity, queryClient, wrapper } = setup();
+    queryClient.setQueryData(['modelIndex', 'posts', null, 'acme', {}], { data: [] });
+
+    const { result } = renderHook(
+      () => ({ queue: useOfflineQueue(), store: useModelStore('posts', { offline: true }) }),
+      { wrapper },
+    );
+
+    await act(async () => {
+      await result.current.store.mutateAsync({ title: 'Draft' });
+    });
+    expect(queryClient.getQueryState(['modelIndex', 'posts', null, 'acme', {}]).isInvalidated).toBe(false);
+
+    act(() => {
+      connectivity.setOnline(true);
+    });
+
+    await waitFor(() =>
+      expect(queryClient.getQueryState(['modelIndex', 'posts', null, 'acme', {}]).isInvalidated).toBe(true),
+    );
+  });
+
+  it('should surface conflicts and let them be discarded', async () => {
+    const { client, connectivity, wrapper } = setup();
+    client.put.mockRejectedValueOnce(new LuminaNotFoundError(undefined, { status: 404 }));
+
+    const { result } = renderHook(
+      () => ({ queue: useOfflineQueue(), update: useModelUpdate('posts', { offline: true }) }),
+      { wrapper },
+    );
+
+    await act(async () => {
+      await result.current.update.mutateAsync({ id: 7, data: { title: 'Gone' } });
+    });
+    act(() => {
+      connectivity.setOnline(true);
+    });
+
+    await waitFor(() => expect(result.current.queue.conflicts).toHaveLength(1));
+    expect(result.current.queue.conflicts[0].error).toMatchObject({ status: 404 });
+
+    act(() => {
+      result.current.queue.discard(result.current.queue.conflicts[0].id);
+    });
+
+    expect(result.current.queue.entries).toEqual([]);
+  });
+
+  it('should send directly while online', async () => {
+    const { client, connectivity, wrapper } = setup();
+    connectivity.setOnline(true);
+
+    const { result } = renderHook(() => useModelStore('posts', { offline: true }), { wrapper });
+
+    let created;
+    await act(async () => {
+      created = await result.current.mutateAsync({ title: 'Draft' });
+    });
+
+    expect(client.post).toHaveBeenCalledWith('/acme/posts', { title: 'Draft' });
+    expect(created).toEqual({ id: 99, title: 'Draft' });
+  });
+});
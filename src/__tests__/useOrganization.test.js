@@ -51,4 +51,12 @@ describe('useOrganization', () => {
     setOrganization(null);
     expect(localStorage.getItem('organization_slug')).toBeNull();
   });
+
+  it('setOrganization should remember the slug as last_organization', () => {
+    setOrganization('stored-org');
+    expect(localStorage.getItem('last_organization')).toBe('stored-org');
+
+    setOrganization(null);
+    expect(localStorage.getItem('last_organization')).toBeNull();
+  });
 });
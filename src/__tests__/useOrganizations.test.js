@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { createElement } from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { useOrganizations, storeMemberships } from '../hooks/useOrganizations';
+import { currentUserKey } from '../hooks/useCurrentUser';
+import api from '../lib/axios';
+
+const acme = { id: 1, slug: 'acme', name: 'Acme' };
+const globex = { id: 2, slug: 'globex', name: 'Globex' };
+
+function createQueryClient() {
+  return new QueryClient({ defaultOptions: { queries: { retry: false } } });
+}
+
+function createWrapper(queryClient) {
+  return ({ children }) => createElement(QueryClientProvider, { client: queryClient }, children);
+}
+
+describe('useOrganizations', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should return no memberships when nothing is known', () => {
+    const { result } = renderHook(() => useOrganizations(), { wrapper: createWrapper(createQueryClient()) });
+
+    expect(result.current.organizations).toEqual([]);
+    expect(result.current.organization).toBeNull();
+    expect(result.current.currentOrganization).toBeNull();
+  });
+
+  it('should list the memberships stored at login', () => {
+    localStorage.setItem('organization_slug', 'globex');
+    storeMemberships([acme, globex]);
+
+    const { result } = renderHook(() => useOrganizations(), { wrapper: createWrapper(createQueryClient()) });
+
+    expect(result.current.organizations).toEqual([acme, globex]);
+    expect(result.current.currentOrganization).toEqual(globex);
+  });
+
+  it('should prefer the organizations of the current user', () => {
+    storeMemberships([acme]);
+    const queryClient = createQueryClient();
+    queryClient.setQueryData(currentUserKey(api), { id: 7, organizations: [globex] });
+
+    const { result } = renderHook(() => useOrganizations(), { wrapper: createWrapper(queryClient) });
+
+    expect(result.current.organizations).toEqual([globex]);
+  });
+
+  it('should follow memberships stored after mount', () => {
+    const { result } = renderHook(() => useOrganizations(), { wrapper: createWrapper(createQueryClient()) });
+
+    act(() => {
+      storeMemberships([acme, globex]);
+    });
+
+    expect(result.current.organizations).toEqual([acme, globex]);
+  });
+
+  it('should switch organization and drop the previous tenant cache', () => {
+    localStorage.setItem('organization_slug', 'acme');
+    storeMemberships([acme, globex]);
+    const queryClient = createQueryClient();
+    queryClient.setQueryData(['modelIndex', 'posts', null, 'acme', {}], { data: [{ id: 1 }] });
+    queryClient.setQueryData(['owner', null, 'acme'], acme);
+    queryClient.setQueryData(['modelIndex', 'posts', null, 'globex', {}], { data: [{ id: 2 }] });
+    queryClient.setQueryData(currentUserKey(api), null);
+
+    const { result } = renderHook(() => useOrganizations(), { wrapper: createWrapper(queryClient) });
+
+    act(() => {
+      result.current.switchOrganization('globex');
+    });
+
+    expect(result.current.organization).toBe('globex');
+    expect(result.current.currentOrganization).toEqual(globex);
+    expect(localStorage.getItem('organization_slug')).toBe('globex');
+    expect(localStorage.getItem('last_organization')).toBe('globex');
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'acme', {}])).toBeUndefined();
+    expect(queryClient.getQueryData(['owner', null, 'acme'])).toBeUndefined();
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'globex', {}])).toEqual({ data: [{ id: 2 }] });
+  });
+
+  it('should leave the cache alone when switching to the current organization', () => {
+    localStorage.setItem('organization_slug', 'acme');
+    const queryClient = createQueryClient();
+    queryClient.setQueryData(['owner', null, 'acme'], acme);
+
+    const { result } = renderHook(() => useOrganizations(), { wrapper: createWrapper(queryClient) });
+
+    act(() => {
+      result.current.switchOrganization('acme');
+    });
+
+    expect(queryClient.getQueryData(['owner', null, 'acme'])).toEqual(acme);
+  });
+});
@@ -146,6 +146,6 @@ describe('useOwner – extended', () => {
 
     const queries = queryClient.getQueryCache().findAll();
     expect(queries.length).toBeGreaterThan(0);
-    expect(queries[0].queryKey).toEqual(['owner', 'my-org']);
+    expect(queries[0].queryKey).toEqual(['owner', null, 'my-org']);
   });
 });
@@ -0,0 +1,225 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { createElement } from 'react';
+import { QueryClient, QueryClientProvider, HydrationBoundary } from '@tanstack/react-query';
+
+vi.mock('../lib/axios', () => ({
+  default: {
+    get: vi.fn(),
+    post: vi.fn(),
+    put: vi.fn(),
+    delete: vi.fn(),
+  },
+}));
+
+vi.mock('../hooks/useOrganization', () => ({
+  useOrganization: vi.fn(),
+  getOrganization: vi.fn(),
+}));
+
+vi.mock('../lib/pagination', () => ({
+  extractPaginationFromHeaders: vi.fn(),
+}));
+
+import api from '../lib/axios';
+import { useOrganization, getOrganization } from '../hooks/useOrganization';
+import { extractPaginationFromHeaders } from '../lib/pagination';
+import { useModelIndex, useModelShow } from '../hooks/useModel';
+import { prefetchModelIndex, prefetchModelShow, dehydrateModelQueries, usePrefetchModel } from '../hooks/usePrefetchModel';
+
+function createQueryClient() {
+  return new QueryClient({
+    defaultOptions: {
+      queries: { retry: false },
+      mutations: { retry: false },
+    },
+  });
+}
+
+function createWrapper(queryClient) {
+  return ({ children }) => createElement(QueryClientProvider, { client: queryClient }, children);
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  extractPaginationFromHeaders.mockReturnValue(null);
+});
+
+// ─── prefetchModelIndex ──────────────────────────────────────────────────────
+
+describe('prefetchModelIndex', () => {
+  it('should fetch with the stored organization and cache under the useModelIndex key', async () => {
+    getOrganization.mockReturnValue('my-org');
+    api.get.mockResolvedValue({ data: [{ id: 1 }], headers: {} });
+    const queryClient = createQueryClient();
+    const options = { filters: { status: 'published' }, page: 2 };
+
+    await prefetchModelIndex(queryClient, 'posts', options);
+
+    expect(api.get).toHaveBeenCalledWith('/my-org/posts?filter%5Bstatus%5D=published&page=2', { signal: expect.any(AbortSignal) });
+    expect(queryClient.getQueryData(['modelIndex', 'posts', null, 'my-org', options])).toEqual({
+      data: [{ id: 1 }],
+      pagination: null,
+    });
+  });
+
+  it('should let useModelIndex render from the prefetched entry', async () => {
+    getOrganization.mockReturnValue('my-org');
+    useOrganization.mockReturnValue('my-org');
+    api.get.mockResolvedValue({ data: [{ id: 1 }], headers: {} });
+    const queryClient = createQueryClient();
+
+    await prefetchModelIndex(queryClient, 'posts', { sort: '-created_at' }, { staleTime: 60_000 });
+    const { result } = renderHook(() => useModelIndex('posts', { sort: '-created_at' }), {
+      wrapper: createWrapper(queryClient),
+    });
+
+    // Rendered from cache on the first pass, before any refetch resolves
+    expect(result.current.data).toEqual({ data: [{ id: 1 }], pagination: null });
+    expect(result.current.isLoading).toBe(false);
+  });
+
+  it('should skip the request while the cached entry is fresh', async () => {
+    getOrganization.mockReturnValue('my-org');
+    api.get.mockResolvedValue({ data: [], headers: {} });
+    const queryClient = createQueryClient();
+
+    await prefetchModelIndex(queryClient, 'posts', {}, { staleTime: 60_000 });
+    await prefetchModelIndex(queryClient, 'posts', {}, { staleTime: 60_000 });
+
+    expect(api.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('should prefer an explicit organization', async () => {
+    getOrganization.mockReturnValue('stored-org');
+    api.get.mockResolvedValue({ data: [], headers: {} });
+
+    await prefetchModelIndex(createQueryClient(), 'posts', {}, { organization: 'other-org' });
+
+    expect(api.get).toHaveBeenCalledWith('/other-org/posts', { signal: expect.any(AbortSignal) });
+  });
+
+  it('should do nothing without an organization', async () => {
+    getOrganization.mockReturnValue(null);
+
+    await prefetchModelIndex(createQueryClient(), 'posts');
+
+    expect(api.get).not.toHaveBeenCalled();
+  });
+});
+
+// ─── prefetchModelShow ───────────────────────────────────────────────────────
+
+describe('prefetchModelShow', () => {
+  it('should cache under the useModelShow key', async () => {
+    getOrganization.mockReturnValue('my-org');
+    useOrganization.mockReturnValue('my-org');
+    api.get.mockResolvedValue({ data: { id: 5, title: 'Hello' } });
+    const queryClient = createQueryClient();
+    const options = { includes: ['author'] };
+
+    await prefetchModelShow(queryClient, 'posts', 5, options, { staleTime: 60_000 });
+
+    expect(api.get).toHaveBeenCalledWith('/my-org/posts/5?include=author', { signal: expect.any(AbortSignal) });
+    const { result } = renderHook(() => useModelShow('posts', 5, { includes: ['author'] }), {
+      wrapper: createWrapper(queryClient),
+    });
+    expect(result.current.data).toEqual({ id: 5, title: 'Hello' });
+    expect(result.current.isLoading).toBe(false);
+  });
+
+  it('should do nothing without an id', async () => {
+    getOrganization.mockReturnValue('my-org');
+
+    await prefetchModelShow(createQueryClient(), 'posts', null);
+
+    expect(api.get).not.toHaveBeenCalled();
+  });
+});
+
+// ─── dehydrateModelQueries ───────────────────────────────────────────────────
+
+describe('dehydrateModelQueries', () => {
+  it('should fetch with the explicit organization and token without reading storage', async () => {
+    api.get.mockImplementation((url) =>
+      Promise.resolve(url.includes('/posts/5') ? { data: { id: 5 } } : { data: [{ id: 5 }], headers: {} })
+    );
+
+    const state = await dehydrateModelQueries(
+      [{ model: 'posts', options: { page: 1 } }, { model: 'posts', id: 5 }],
+      { organization: 'acme', token: 'secret' }
+    );
+
+    const auth = { headers: { Authorization: 'Bearer secret' } };
+    expect(api.get).toHaveBeenCalledWith('/acme/posts?page=1', { ...auth, signal: expect.any(AbortSignal) });
+    expect(api.get).toHaveBeenCalledWith('/acme/posts/5', { ...auth, signal: expect.any(AbortSignal) });
+    expect(getOrganization).not.toHaveBeenCalled();
+    expect(state.queries.map((q) => q.queryKey)).toEqual([
+      ['modelIndex', 'posts', null, 'acme', { page: 1 }],
+      ['modelShow', 'posts', null, 5, 'acme', {}],
+    ]);
+  });
+
+  it('should hydrate into useModelIndex on the client', async () => {
+    api.get.mockResolvedValue({ data: [{ id: 1 }], headers: {} });
+    const state = await dehydrateModelQueries([{ model: 'posts' }], { organization: 'acme' });
+    api.get.mockClear();
+
+    useOrganization.mockReturnValue('acme');
+    const queryClient = createQueryClient();
+    const wrapper = ({ children }) =>
+      createElement(QueryClientProvider, { client: queryClient }, createElement(HydrationBoundary, { state }, children));
+    const { result } = renderHook(() => useModelIndex('posts'), { wrapper });
+
+    expect(result.current.data).toEqual({ data: [{ id: 1 }], pagination: null });
+    expect(result.current.isLoading).toBe(false);
+  });
+
+  it('should leave failed queries out of the dehydrated state', async () => {
+    api.get.mockRejectedValue(new Error('Network Error'));
+
+    const state = await dehydrateModelQueries([{ model: 'posts' }], { organization: 'acme' });
+
+    expect(state.queries).toEqual([]);
+  });
+
+  it('should require an organization', async () => {
+    await expect(dehydrateModelQueries([{ model: 'posts' }], {})).rejects.toThrow('Organization slug is required');
+  });
+});
+
+// ─── usePrefetchModel ────────────────────────────────────────────────────────
+
+describe('usePrefetchModel', () => {
+  it('should prefetch index and show entries for the current organization', async () => {
+    useOrganization.mockReturnValue('my-org');
+    api.get.mockResolvedValue({ data: [], headers: {} });
+    const queryClient = createQueryClient();
+
+    const { result } = renderHook(() => usePrefetchModel('posts'), { wrapper: createWrapper(queryClient) });
+
+    await act(async () => {
+      await result.current.prefetchIndex({ page: 2 });
+      await result.current.prefetchShow(9);
+    });
+
+    expect(api.get).toHaveBeenCalledWith('/my-org/posts?page=2', { signal: expect.any(AbortSignal) });
+    expect(api.get).toHaveBeenCalledWith('/my-org/posts/9', { signal: expect.any(AbortSignal) });
+    expect(queryClient.getQueryState(['modelIndex', 'posts', null, 'my-org', { page: 2 }])).toBeTruthy();
+    expect(queryClient.getQueryState(['modelShow', 'posts', null, 9, 'my-org', {}])).toBeTruthy();
+    expect(getOrganization).not.toHaveBeenCalled();
+  });
+
+  it('should not fetch when there is no organization', async () => {
+    useOrganization.mockReturnValue(null);
+    const { result } = renderHook(() => usePrefetchModel('posts'), {
+      wrapper: createWrapper(createQueryClient()),
+    });
+
+    await act(async () => {
+      await result.current.prefetchShow(1);
+    });
+
+    expect(api.get).not.toHaveBeenCalled();
+  });
+});
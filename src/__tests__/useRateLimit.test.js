@@ -0,0 +1,64 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { createElement } from 'react';
+import { AxiosError } from 'axios';
+import { createLuminaClient } from '../lib/axios';
+import { LuminaProvider } from '../context/LuminaContext';
+import { useRateLimit } from '../hooks/useRateLimit';
+
+function createClient(status, headers) {
+  const client = createLuminaClient({ onUnauthorized: vi.fn() });
+  client.defaults.adapter = (config) => {
+    const response = { data: {}, status, statusText: '', headers, config };
+    return status < 400
+      ? Promise.resolve(response)
+      : Promise.reject(new AxiosError('Too Many Attempts.', 'ERR_BAD_REQUEST', config, null, response));
+  };
+  return client;
+}
+
+function wrapperFor(client) {
+  return ({ children }) => createElement(LuminaProvider, { client }, children);
+}
+
+describe('useRateLimit', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should start without rate-limit information', () => {
+    const { result } = renderHook(() => useRateLimit(), { wrapper: wrapperFor(createClient(200, {})) });
+
+    expect(result.current).toEqual({ limit: null, remaining: null, resetAt: null, isLimited: false });
+  });
+
+  it('should follow the headers of the client responses', async () => {
+    const client = createClient(200, { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '3' });
+    const { result } = renderHook(() => useRateLimit(), { wrapper: wrapperFor(client) });
+
+    await act(async () => {
+      await client.get('/posts');
+    });
+
+    await waitFor(() => expect(result.current.remaining).toBe(3));
+    expect(result.current.limit).toBe(60);
+  });
+
+  it('should report a 429 until its reset time passes', async () => {
+    vi.useFakeTimers({ now: 0, toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+    const client = createClient(429, { 'retry-after': '5' });
+    const { result } = renderHook(() => useRateLimit(), { wrapper: wrapperFor(client) });
+
+    await act(async () => {
+      await client.get('/posts').catch(() => {});
+    });
+
+    expect(result.current).toMatchObject({ isLimited: true, remaining: 0, resetAt: 5000 });
+
+    act(() => {
+      vi.advanceTimersByTime(5000);
+    });
+
+    expect(result.current.isLimited).toBe(false);
+  });
+});
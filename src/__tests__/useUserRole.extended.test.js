@@ -38,6 +38,11 @@ function createWrapper() {
   return ({ children }) => createElement(QueryClientProvider, { client: queryClient }, children);
 }
 
+// Only the login-time user is stored; no token, so useCurrentUser doesn't call /auth/me
+function mockStoredUser(user) {
+  storage.getItem.mockImplementation((key) => (key === 'user' ? JSON.stringify(user) : null));
+}
+
 beforeEach(() => {
   vi.clearAllMocks();
 });
@@ -61,7 +66,7 @@ describe('useUserRole – role resolution', () => {
 
   it('should match user roles from org users', async () => {
     const user = { id: 42, name: 'Alice' };
-    storage.getItem.mockReturnValue(JSON.stringify(user));
+    mockStoredUser(user);
     useOrganization.mockReturnValue('my-org');
     useOwner.mockReturnValue({
       data: {
@@ -88,7 +93,7 @@ describe('useUserRole – role resolution', () => {
 
   it('should handle user with multiple roles', async () => {
     const user = { id: 1 };
-    storage.getItem.mockReturnValue(JSON.stringify(user));
+    mockStoredUser(user);
     useOrganization.mockReturnValue('org');
     useOwner.mockReturnValue({
       data: {
@@ -118,7 +123,7 @@ describe('useUserRole – role resolution', () => {
   });
 
   it('should return empty when organization has no users', async () => {
-    storage.getItem.mockReturnValue(JSON.stringify({ id: 1 }));
+    mockStoredUser({ id: 1 });
     useOrganization.mockReturnValue('org');
     useOwner.mockReturnValue({ data: { users: null }, isLoading: false });
     api.get.mockResolvedValue({ data: [] });
@@ -131,7 +136,7 @@ describe('useUserRole – role resolution', () => {
   });
 
   it('should return empty when user has no pivot data', async () => {
-    storage.getItem.mockReturnValue(JSON.stringify({ id: 1 }));
+    mockStoredUser({ id: 1 });
     useOrganization.mockReturnValue('org');
     useOwner.mockReturnValue({
       data: { users: [{ id: 1 }] }, // no pivot
@@ -147,7 +152,7 @@ describe('useUserRole – role resolution', () => {
   });
 
   it('should fetch roles from /{org}/roles endpoint', async () => {
-    storage.getItem.mockReturnValue(JSON.stringify({ id: 1 }));
+    mockStoredUser({ id: 1 });
     useOrganization.mockReturnValue('acme');
     useOwner.mockReturnValue({ data: null, isLoading: false });
     api.get.mockResolvedValue({ data: [] });
@@ -155,11 +160,11 @@ describe('useUserRole – role resolution', () => {
     renderHook(() => useUserRole(), { wrapper: createWrapper() });
 
     await waitFor(() => expect(api.get).toHaveBeenCalled());
-    expect(api.get).toHaveBeenCalledWith('/acme/roles');
+    expect(api.get).toHaveBeenCalledWith('/acme/roles', { signal: expect.any(AbortSignal) });
   });
 
   it('should handle non-array response from roles API', async () => {
-    storage.getItem.mockReturnValue(JSON.stringify({ id: 1 }));
+    mockStoredUser({ id: 1 });
     useOrganization.mockReturnValue('org');
     useOwner.mockReturnValue({ data: null, isLoading: false });
     api.get.mockResolvedValue({ data: 'not an array' });
@@ -174,7 +179,7 @@ describe('useUserRole – role resolution', () => {
 describe('useUserRole – hasRole()', () => {
   function setupWithRoles(roles) {
     const user = { id: 1 };
-    storage.getItem.mockReturnValue(JSON.stringify(user));
+    mockStoredUser(user);
     useOrganization.mockReturnValue('org');
     useOwner.mockReturnValue({
       data: {
@@ -272,7 +277,7 @@ describe('useUserRole – hasRole()', () => {
 
 describe('useUserRole – loading states', () => {
   it('should report loading when org is loading', () => {
-    storage.getItem.mockReturnValue(JSON.stringify({ id: 1 }));
+    mockStoredUser({ id: 1 });
     useOrganization.mockReturnValue('org');
     useOwner.mockReturnValue({ data: null, isLoading: true });
     api.get.mockResolvedValue({ data: [] });
@@ -283,7 +288,7 @@ describe('useUserRole – loading states', () => {
   });
 
   it('should not fetch roles when org slug is null', () => {
-    storage.getItem.mockReturnValue(JSON.stringify({ id: 1 }));
+    mockStoredUser({ id: 1 });
     useOrganization.mockReturnValue(null);
     useOwner.mockReturnValue({ data: null, isLoading: false });
 
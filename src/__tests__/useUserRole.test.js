@@ -327,3 +327,33 @@ describe('useUserRole', () => {
     });
   });
 });
+
+describe('useUserRole – current user', () => {
+  it('should use the user from /auth/me instead of the stored one', async () => {
+    localStorage.setItem('token', 'tok');
+    localStorage.setItem('user', JSON.stringify({ id: 1, name: 'Stale' }));
+    useOrganization.mockReturnValue('my-org');
+    useOwner.mockReturnValue({
+      data: {
+        slug: 'my-org',
+        users: [
+          { id: 1, pivot: { role_id: 10 } },
+          { id: 2, pivot: { role_id: 20 } },
+        ],
+      },
+      isLoading: false,
+    });
+    api.get.mockImplementation((url) =>
+      Promise.resolve(
+        url === '/auth/me'
+          ? { data: { id: 2, name: 'Switched' } }
+          : { data: [{ id: 10, name: 'Admin' }, { id: 20, name: 'Editor' }] }
+      )
+    );
+
+    const { result } = renderHook(() => useUserRole(), { wrapper: createWrapper() });
+
+    await waitFor(() => expect(result.current.roleIds).toEqual([20]));
+    expect(result.current.hasRole('editor')).toBe(true);
+  });
+});
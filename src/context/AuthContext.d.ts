@@ -1,19 +1,42 @@
 import { ReactNode, ReactElement } from 'react';
+import type { AuthMode } from '../lib/axios';
+import type { AuthResult, LoginResult, RegisterData, ResetPasswordData, TwoFactorCode, VerifyEmailParams } from '../types';
 
-export interface LoginResult {
-  success: boolean;
-  user?: any;
-  organization?: any;
-  organization_slug?: string;
-  error?: string;
-}
+export type { AuthResult, LoginResult };
 
 export interface AuthContextValue {
+  /** Always null in cookie mode */
   token: string | null;
   isAuthenticated: boolean;
+  /** True while cookie mode checks the session with /auth/me */
+  isLoading: boolean;
+  authMode: AuthMode;
+  /** A login is waiting for submitTwoFactorCode() */
+  requiresTwoFactor: boolean;
+  /** The authenticated user from /auth/me (seeded from the login response) */
+  user: any | null;
+  /** Re-fetch the user from /auth/me */
+  refetchUser: () => Promise<unknown>;
+  /** PUT /auth/me and return the updated user */
+  updateUser: (data: Record<string, any>) => Promise<any>;
   login: (email: string, password: string) => Promise<LoginResult>;
+  /** POST /auth/two-factor-challenge, then finish the login */
+  submitTwoFactorCode: (code: TwoFactorCode) => Promise<LoginResult>;
   logout: () => Promise<void>;
+  /** POST /auth/register; logs in when the response carries a session */
+  register: (data: RegisterData) => Promise<LoginResult>;
+  /** POST /auth/forgot-password */
+  forgotPassword: (email: string) => Promise<AuthResult>;
+  /** POST /auth/reset-password */
+  resetPassword: (data: ResetPasswordData) => Promise<AuthResult>;
+  /** POST /auth/email/verification-notification */
+  resendVerificationEmail: () => Promise<AuthResult>;
+  /** GET /auth/email/verify/{id}/{hash} with the signed link parameters */
+  verifyEmail: (params: VerifyEmailParams) => Promise<AuthResult>;
+  /** Store the organization slug (also remembered for the next login) */
   setOrganization: (slug: string | null) => void;
+  /** setOrganization plus removal of other organizations' cached queries */
+  switchOrganization: (slug: string) => void;
 }
 
 export function AuthProvider(props: { children: ReactNode }): ReactElement;
@@ -1,107 +1,321 @@
 import { createContext, useContext, useState, useEffect } from 'react';
-import api from '../lib/axios';
+import { QueryClient, QueryClientContext } from '@tanstack/react-query';
 import { storage } from '../lib/storage';
 import { events } from '../lib/events';
+import { useLuminaClient } from './LuminaContext';
+import { useCurrentUser, currentUserKey } from '../hooks/useCurrentUser';
+import { setOrganization, switchOrganization, getLastOrganization } from '../hooks/useOrganization';
+import { storeMemberships } from '../hooks/useOrganizations';
+import { removeOtherTenantQueries } from '../lib/tenantCache';
+import { clearOfflineQueue } from '../lib/offlineQueue';
 
 const AuthContext = createContext(null);
 
+/**
+ * Request config for Sanctum's CSRF cookie route, which lives at the app root
+ * rather than under the API prefix (e.g. https://app.test/sanctum/csrf-cookie for https://app.test/api).
+ */
+function csrfCookieRequest(baseURL) {
+  let origin = '';
+  try {
+    origin = new URL(baseURL).origin;
+  } catch {
+    // Relative baseURL ('/api'): same origin as the page
+  }
+  return ['/sanctum/csrf-cookie', { baseURL: origin }];
+}
+
+/**
+ * Failure result for the auth methods: the API message, plus Laravel's
+ * per-field messages when the request failed validation (422).
+ */
+function authFailure(error, fallbackMessage) {
+  const data = error.response?.data;
+  const result = {
+    success: false,
+    error: data?.message || fallbackMessage,
+  };
+  if (error.response?.status === 422 && data?.errors) {
+    result.fieldErrors = data.errors;
+  }
+  return result;
+}
+
+function isTwoFactorChallenge(data) {
+  return !!(data && (data.two_factor === true || data.requires_two_factor === true) && !data.token);
+}
+
 export function AuthProvider({ children }) {
-  const [token, setToken] = useState(() => storage.getItem('token'));
-  const [isAuthenticated, setIsAuthenticated] = useState(!!storage.getItem('token'));
+  const client = useLuminaClient();
+  const authMode = client.defaults?.authMode === 'cookie' ? 'cookie' : 'token';
+  const [token, setToken] = useState(() => (authMode === 'cookie' ? null : storage.getItem('token')));
+  const [hasToken, setHasToken] = useState(() => authMode === 'token' && !!storage.getItem('token'));
+  // Pending two-factor challenge after a login that needs a code: { token } or null
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+
+  // AuthProvider may be rendered above QueryClientProvider; give it its own client then
+  const contextQueryClient = useContext(QueryClientContext);
+  const [ownQueryClient] = useState(() => (contextQueryClient ? null : new QueryClient()));
+  const queryClient = contextQueryClient || ownQueryClient;
+  const currentUser = useCurrentUser(queryClient);
 
+  // Cookie mode: the session cookie is httpOnly, so /auth/me decides
+  const isAuthenticated = authMode === 'cookie' ? !!currentUser.user : hasToken;
+  const isLoading = authMode === 'cookie' && currentUser.isLoading;
+
+  // Follow token changes made outside the provider (refresh, 401 logout).
+  // Queued offline writes are dropped with the session they were made in
+  useEffect(() => {
+    return events.subscribe('token', (newToken) => {
+      if (!newToken) {
+        queryClient.setQueryData(currentUserKey(client), null);
+        clearOfflineQueue(client);
+      }
+      if (authMode === 'token') {
+        setToken(newToken || null);
+      }
+    });
+  }, [authMode, client, queryClient]);
+
+  // Keep only the active organization's data cached: evict the other tenants
+  // whenever this tab changes the slug (setOrganization, logout). Another tab's
+  // switch must not evict what this tab shows; OrganizationProvider scopes are kept too
   useEffect(() => {
+    return events.subscribe('organization_slug', (slug, { crossTab } = {}) => {
+      if (crossTab) return;
+      removeOtherTenantQueries(queryClient, slug || null);
+    });
+  }, [queryClient]);
+
+  useEffect(() => {
+    if (authMode === 'cookie') return;
     if (token) {
       storage.setItem('token', token);
-      setIsAuthenticated(true);
+      setHasToken(true);
     } else {
       storage.removeItem('token');
-      setIsAuthenticated(false);
+      setHasToken(false);
     }
-  }, [token]);
+  }, [token, authMode]);
 
-  const login = async (email, password) => {
-    try {
-      const response = await api.post('/auth/login', { email, password });
-      const { token: newToken, user, organization, organization_slug, organizations } = response.data || {};
+  // Sanctum SPA: every state-changing auth request needs the XSRF-TOKEN cookie first
+  const ensureCsrfCookie = async () => {
+    if (authMode === 'cookie') {
+      await client.get(...csrfCookieRequest(client.defaults.baseURL));
+    }
+  };
+
+  // Store the session from a login/register response and pick its organization
+  const startSession = async (data) => {
+    const { token: newToken, user, organization, organization_slug, organizations } = data || {};
+    if (authMode === 'token') {
+      if (newToken) {
+        // Written now (not only in the effect) so the current-user query sees the session
+        storage.setItem('token', newToken);
+      }
       setToken(newToken);
+    }
 
-      // Store user data if provided in login response
-      if (user) {
-        storage.setItem('user', JSON.stringify(user));
+    // Store user data if provided in login response
+    if (user) {
+      storage.setItem('user', JSON.stringify(user));
+      queryClient.setQueryData(currentUserKey(client), user);
+    } else if (authMode === 'cookie') {
+      await currentUser.refetch();
+    }
+
+    // Keep every membership for useOrganizations()
+    const memberships = Array.isArray(organizations) ? organizations : user?.organizations;
+    storeMemberships(memberships);
+
+    // Prefer the organization from the previous session while the user still belongs to it
+    const lastOrganization = getLastOrganization();
+    let firstOrganizationSlug = null;
+    if (lastOrganization && memberships?.some((org) => org.slug === lastOrganization)) {
+      firstOrganizationSlug = lastOrganization;
+    } else if (organization_slug) {
+      firstOrganizationSlug = organization_slug;
+    } else if (organization && organization.slug) {
+      firstOrganizationSlug = organization.slug;
+    } else if (organizations && organizations.length > 0) {
+      firstOrganizationSlug = organizations[0].slug;
+    } else if (user) {
+      // Fallback: check user object for organization
+      if (user.organization_slug) {
+        firstOrganizationSlug = user.organization_slug;
+      } else if (user.organizations && user.organizations.length > 0) {
+        firstOrganizationSlug = user.organizations[0].slug;
+      } else if (user.organization && user.organization.slug) {
+        firstOrganizationSlug = user.organization.slug;
       }
+    }
 
-      // Extract first organization from login response (backend returns first org user is part of)
-      let firstOrganizationSlug = null;
-      if (organization_slug) {
-        firstOrganizationSlug = organization_slug;
-      } else if (organization && organization.slug) {
-        firstOrganizationSlug = organization.slug;
-      } else if (organizations && organizations.length > 0) {
-        firstOrganizationSlug = organizations[0].slug;
-      } else if (user) {
-        // Fallback: check user object for organization
-        if (user.organization_slug) {
-          firstOrganizationSlug = user.organization_slug;
-        } else if (user.organizations && user.organizations.length > 0) {
-          firstOrganizationSlug = user.organizations[0].slug;
-        } else if (user.organization && user.organization.slug) {
-          firstOrganizationSlug = user.organization.slug;
-        }
+    // Store organization for future use
+    if (firstOrganizationSlug) {
+      setOrganization(firstOrganizationSlug);
+    }
+
+    return {
+      success: true,
+      user: user || null,
+      organization: firstOrganizationSlug ? { slug: firstOrganizationSlug } : null,
+      organization_slug: firstOrganizationSlug
+    };
+  };
+
+  const login = async (email, password) => {
+    try {
+      await ensureCsrfCookie();
+      const response = await client.post('/auth/login', { email, password });
+
+      // Fortify answers { two_factor: true } instead of a session when 2FA is enabled
+      if (isTwoFactorChallenge(response.data)) {
+        setTwoFactorChallenge({ token: response.data.two_factor_token });
+        return { success: false, requiresTwoFactor: true };
       }
 
-      // Store organization for future use
-      if (firstOrganizationSlug) {
-        storage.setItem('last_organization', firstOrganizationSlug);
-        storage.setItem('organization_slug', firstOrganizationSlug);
+      setTwoFactorChallenge(null);
+      return await startSession(response.data);
+    } catch (error) {
+      return authFailure(error, 'Login failed');
+    }
+  };
+
+  /**
+   * Finish a login that returned `requiresTwoFactor` with an authenticator code
+   * (string or { code }) or a recovery code ({ recoveryCode }).
+   */
+  const submitTwoFactorCode = async (input) => {
+    if (!twoFactorChallenge) {
+      return { success: false, error: 'No two-factor challenge is pending. Log in first.' };
+    }
+
+    const { code, recoveryCode } = typeof input === 'string' ? { code: input } : input || {};
+    const payload = recoveryCode ? { recovery_code: recoveryCode } : { code };
+    if (twoFactorChallenge.token) {
+      payload.two_factor_token = twoFactorChallenge.token;
+    }
+
+    try {
+      const response = await client.post('/auth/two-factor-challenge', payload);
+      setTwoFactorChallenge(null);
+      return await startSession(response.data);
+    } catch (error) {
+      // Keep the challenge so the user can retry with another code
+      return { ...authFailure(error, 'Invalid two-factor code'), requiresTwoFactor: true };
+    }
+  };
+
+  /**
+   * Create an account. Logs the user in when the response carries a session
+   * (a token, or cookie mode); otherwise, e.g. when email verification comes first,
+   * only returns the created user.
+   */
+  const register = async (data) => {
+    try {
+      await ensureCsrfCookie();
+      const response = await client.post('/auth/register', data);
+      if (authMode === 'cookie' || response.data?.token) {
+        return await startSession(response.data);
       }
+      return { success: true, user: response.data?.user || null };
+    } catch (error) {
+      return authFailure(error, 'Registration failed');
+    }
+  };
 
-      return {
-        success: true,
-        user: user || null,
-        organization: firstOrganizationSlug ? { slug: firstOrganizationSlug } : null,
-        organization_slug: firstOrganizationSlug
-      };
+  const forgotPassword = async (email) => {
+    try {
+      await ensureCsrfCookie();
+      const response = await client.post('/auth/forgot-password', { email });
+      return { success: true, message: response.data?.message };
     } catch (error) {
-      return {
-        success: false,
-        error: error.response?.data?.message || 'Login failed',
-      };
+      return authFailure(error, 'Could not send the password reset link');
+    }
+  };
+
+  const resetPassword = async ({ token: resetToken, email, password, password_confirmation }) => {
+    try {
+      await ensureCsrfCookie();
+      const response = await client.post('/auth/reset-password', {
+        token: resetToken,
+        email,
+        password,
+        password_confirmation,
+      });
+      return { success: true, message: response.data?.message };
+    } catch (error) {
+      return authFailure(error, 'Password reset failed');
+    }
+  };
+
+  const resendVerificationEmail = async () => {
+    try {
+      await ensureCsrfCookie();
+      const response = await client.post('/auth/email/verification-notification');
+      return { success: true, message: response.data?.message };
+    } catch (error) {
+      return authFailure(error, 'Could not resend the verification email');
+    }
+  };
+
+  /**
+   * Confirm an email address from the signed link parameters
+   * (`/verify-email/{id}/{hash}?expires=...&signature=...`).
+   */
+  const verifyEmail = async ({ id, hash, expires, signature }) => {
+    try {
+      const response = await client.get(`/auth/email/verify/${id}/${hash}`, {
+        params: { expires, signature },
+      });
+      // Pick up email_verified_at
+      if (currentUser.user) {
+        await currentUser.refetch();
+      }
+      return { success: true, message: response.data?.message };
+    } catch (error) {
+      return authFailure(error, 'Email verification failed');
     }
   };
 
   const logout = async () => {
     try {
-      await api.post('/auth/logout');
+      await client.post('/auth/logout');
     } catch (error) {
       // Continue with logout even if API call fails
       console.error('Logout error:', error);
     } finally {
       setToken(null);
-      // Clear user data and organization on logout
+      setTwoFactorChallenge(null);
+      queryClient.setQueryData(currentUserKey(client), null);
+      clearOfflineQueue(client);
+      // Clear user data and organization on logout; last_organization is kept for the next login
       storage.removeItem('user');
-      storage.removeItem('last_organization');
-      storage.removeItem('organization_slug');
-    }
-  };
-
-  const setOrganization = (slug) => {
-    if (slug) {
-      storage.setItem('organization_slug', slug);
-      storage.setItem('last_organization', slug);
-    } else {
+      storeMemberships(null);
       storage.removeItem('organization_slug');
-      storage.removeItem('last_organization');
+      events.emit('organization_slug', null);
     }
-    // Notify other components about the organization change
-    events.emit('organization_slug', slug);
   };
 
   const value = {
     token,
     isAuthenticated,
+    isLoading,
+    authMode,
+    requiresTwoFactor: !!twoFactorChallenge,
+    user: currentUser.user,
+    refetchUser: currentUser.refetch,
+    updateUser: currentUser.update.mutateAsync,
     login,
+    submitTwoFactorCode,
     logout,
+    register,
+    forgotPassword,
+    resetPassword,
+    resendVerificationEmail,
+    verifyEmail,
     setOrganization,
+    switchOrganization: (slug) => switchOrganization(slug, queryClient),
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,5 @@
+import { ReactNode, ReactElement } from 'react';
+import { AxiosInstance } from 'axios';
+
+export function LuminaProvider(props: { client: AxiosInstance; children: ReactNode }): ReactElement;
+export function useLuminaClient(): AxiosInstance;
@@ -0,0 +1,28 @@
+import { createContext, useContext } from 'react';
+import api from '../lib/axios';
+
+const LuminaContext = createContext(null);
+
+/**
+ * Provide an API client (from createLuminaClient) to the hooks below it.
+ * Hooks outside any LuminaProvider use the default client configured by configureApi().
+ *
+ * @example
+ * const billing = createLuminaClient({ baseURL: 'https://billing.example.com/api' });
+ *
+ * <LuminaProvider client={billing}>
+ *   <Invoices />
+ * </LuminaProvider>
+ */
+export function LuminaProvider({ client, children }) {
+  return <LuminaContext.Provider value={client}>{children}</LuminaContext.Provider>;
+}
+
+/**
+ * Get the API client for the current component: the nearest LuminaProvider's
+ * client, or the default client.
+ * @returns {import('axios').AxiosInstance}
+ */
+export function useLuminaClient() {
+  return useContext(LuminaContext) || api;
+}
@@ -0,0 +1,13 @@
+import { ReactNode, ReactElement } from 'react';
+
+/** Hook returning the organization slug for the current render, or null */
+export type OrganizationResolver = () => string | null | undefined;
+
+export function OrganizationProvider(props: {
+  /** Explicit organization slug for the subtree */
+  slug?: string | null;
+  /** Hook resolving the slug, used when `slug` is not given */
+  resolver?: OrganizationResolver;
+  children: ReactNode;
+}): ReactElement;
+export function useScopedOrganization(): string | undefined;
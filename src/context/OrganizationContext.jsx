@@ -0,0 +1,50 @@
+import { createContext, useContext, useEffect } from 'react';
+import { retainOrganization } from '../lib/tenantCache';
+
+const OrganizationContext = createContext(undefined);
+
+/**
+ * Scope the organization of the hooks below it. Pass either an explicit
+ * `slug` or a `resolver`: a hook returning the slug, e.g. one made by
+ * createPathResolver() or createParamsResolver(). The resolver is called
+ * during render, so it must be the same hook on every render.
+ *
+ * When neither yields a slug, the enclosing provider's organization (or
+ * the stored one) is used.
+ *
+ * While mounted, the cached queries of its organization are kept when the
+ * stored organization changes (switchOrganization, another tab).
+ *
+ * @example
+ * <OrganizationProvider slug="acme">
+ *   <Posts />
+ * </OrganizationProvider>
+ *
+ * // React Router: <Route path="/:organization/*" element={<OrganizationLayout />} />
+ * const useRouteOrganization = createParamsResolver(useParams);
+ *
+ * function OrganizationLayout() {
+ *   return (
+ *     <OrganizationProvider resolver={useRouteOrganization}>
+ *       <Outlet />
+ *     </OrganizationProvider>
+ *   );
+ * }
+ */
+export function OrganizationProvider({ slug, resolver, children }) {
+  const parent = useContext(OrganizationContext);
+  const resolved = slug !== undefined ? slug : resolver?.();
+  const value = resolved || parent;
+
+  useEffect(() => (value ? retainOrganization(value) : undefined), [value]);
+
+  return <OrganizationContext.Provider value={value}>{children}</OrganizationContext.Provider>;
+}
+
+/**
+ * Organization of the nearest OrganizationProvider, or undefined outside of one.
+ * @returns {string|undefined}
+ */
+export function useScopedOrganization() {
+  return useContext(OrganizationContext);
+}
@@ -4,21 +4,42 @@
 
 // Authentication
 export { useAuth } from './useAuth';
+export { useCurrentUser, currentUserKey } from './useCurrentUser';
+
+// API Client
+export { useLuminaClient } from './useLuminaClient';
+export { useRateLimit } from './useRateLimit';
+export { useOfflineQueue } from './useOfflineQueue';
 
 // Organization
-export { useOrganization } from './useOrganization';
+export {
+  useOrganization,
+  switchOrganization,
+  createPathResolver,
+  createParamsResolver,
+} from './useOrganization';
+export { useOrganizations } from './useOrganizations';
 export { useOwner } from './useOwner';
 export { useOrganizationExists } from './useOrganizationExists';
 
 // Model CRUD Operations
 export {
   useModelIndex,
+  useModelInfiniteIndex,
   useModelShow,
   useModelStore,
   useModelUpdate,
   useModelDelete,
 } from './useModel';
 
+// Bulk Operations
+export {
+  useModelBulkDelete,
+  useModelBulkRestore,
+  useModelBulkForceDelete,
+  useModelBulkUpdate,
+} from './useModel';
+
 // Soft Delete Operations
 export {
   useModelTrashed,
@@ -26,6 +47,14 @@ export {
   useModelForceDelete,
 } from './useModel';
 
+// Prefetching
+export {
+  prefetchModelIndex,
+  prefetchModelShow,
+  dehydrateModelQueries,
+  usePrefetchModel,
+} from './usePrefetchModel';
+
 // Advanced Operations
 export {
   useNestedOperations,
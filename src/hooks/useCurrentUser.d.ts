@@ -0,0 +1,13 @@
+import { QueryClient, UseMutationResult, UseQueryResult } from '@tanstack/react-query';
+import type { AxiosInstance } from 'axios';
+import type { User } from '../types';
+
+export declare const CURRENT_USER_KEY: readonly ['currentUser'];
+export function currentUserKey(client: AxiosInstance): readonly ['currentUser', string | null];
+
+export function useCurrentUser<T = User>(queryClient?: QueryClient): UseQueryResult<T | null, Error> & {
+  /** The authenticated user, or null when logged out */
+  user: T | null;
+  /** PUT /auth/me and store the returned user */
+  update: UseMutationResult<T, Error, Partial<T>>;
+};
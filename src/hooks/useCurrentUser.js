@@ -0,0 +1,109 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { storage } from '../lib/storage';
+import { registerStorageKeys } from '../lib/storageKeys';
+import { useLuminaClient } from './useLuminaClient';
+import { clientScope } from '../lib/tenantCache';
+
+registerStorageKeys('user');
+
+/** Query key prefix of the current user of every API client */
+export const CURRENT_USER_KEY = ['currentUser'];
+
+/**
+ * Query key of the current user of one API client (shared by useCurrentUser
+ * and AuthProvider), so clients of different backends sharing a QueryClient
+ * keep their own user.
+ * @param {import('axios').AxiosInstance} client
+ * @returns {Array}
+ */
+export function currentUserKey(client) {
+  return [...CURRENT_USER_KEY, clientScope(client)];
+}
+
+function readStoredUser() {
+  const json = storage.getItem('user');
+  if (!json) return undefined;
+  try {
+    return JSON.parse(json);
+  } catch {
+    return undefined;
+  }
+}
+
+function writeStoredUser(user) {
+  if (user) {
+    storage.setItem('user', JSON.stringify(user));
+  } else {
+    storage.removeItem('user');
+  }
+}
+
+// Accept both a bare user and a `{ user }` envelope
+function unwrapUser(data) {
+  return data && typeof data.user === 'object' && data.user !== null ? data.user : data;
+}
+
+/**
+ * Hook to fetch and update the authenticated user through `/auth/me`.
+ *
+ * Starts from the user stored at login, then refreshes it from the API. Returns
+ * `user: null` when nobody is logged in (including a 401 from `/auth/me`).
+ * `update` is a mutation that sends `PUT /auth/me` and stores the response.
+ *
+ * @param {import('@tanstack/react-query').QueryClient} [queryClient] - Query client to use
+ *   instead of the one from QueryClientProvider
+ * @returns {Object} React Query result plus `user` and the `update` mutation
+ *
+ * @example
+ * const { user, isLoading, refetch, update } = useCurrentUser();
+ * update.mutate({ name: 'New name' });
+ */
+export function useCurrentUser(queryClient) {
+  const client = useLuminaClient();
+  const resolvedQueryClient = useQueryClient(queryClient);
+  const cookieMode = client.defaults?.authMode === 'cookie';
+
+  const query = useQuery(
+    {
+      queryKey: currentUserKey(client),
+      queryFn: async ({ signal }) => {
+        try {
+          // In cookie mode a 401 only means "not logged in", not an expired session
+          const response = await client.get('/auth/me', { skipUnauthorized: cookieMode, signal });
+          const user = unwrapUser(response.data);
+          writeStoredUser(user);
+          return user;
+        } catch (error) {
+          if (error?.response?.status === 401) {
+            writeStoredUser(null);
+            return null;
+          }
+          throw error;
+        }
+      },
+      initialData: readStoredUser,
+      // The stored user is only a placeholder until /auth/me answers
+      initialDataUpdatedAt: 0,
+      // Token mode needs a token; in cookie mode only the API knows
+      enabled: cookieMode || !!storage.getItem('token'),
+    },
+    queryClient,
+  );
+
+  const update = useMutation(
+    {
+      mutationFn: (data) => client.put('/auth/me', data).then((res) => unwrapUser(res.data)),
+      onSuccess: (user) => {
+        writeStoredUser(user);
+        resolvedQueryClient.setQueryData(currentUserKey(client), user);
+      },
+    },
+    queryClient,
+  );
+
+  return {
+    ...query,
+    user: query.data ?? null,
+    update,
+  };
+}
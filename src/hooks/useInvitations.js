@@ -1,6 +1,7 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import api from '../lib/axios';
 import { useOrganization } from './useOrganization';
+import { useLuminaClient } from './useLuminaClient';
+import { clientScope } from '../lib/tenantCache';
 
 /**
  * Hook to fetch invitations for the current organization
@@ -9,6 +10,7 @@ import { useOrganization } from './useOrganization';
  */
 export function useInvitations(status = 'all') {
   const organization = useOrganization();
+  const client = useLuminaClient();
   
   if (!organization) {
     return {
@@ -23,8 +25,8 @@ export function useInvitations(status = 'all') {
   const url = `/${organization}/invitations${status !== 'all' ? `?status=${status}` : ''}`;
   
   return useQuery({
-    queryKey: ['invitations', organization, status],
-    queryFn: () => api.get(url).then((res) => res.data),
+    queryKey: ['invitations', clientScope(client), organization, status],
+    queryFn: ({ signal }) => client.get(url, { signal }).then((res) => res.data),
     enabled: !!organization,
   });
 }
@@ -35,6 +37,7 @@ export function useInvitations(status = 'all') {
  */
 export function useInviteUser() {
   const organization = useOrganization();
+  const client = useLuminaClient();
   const queryClient = useQueryClient();
   
   if (!organization) {
@@ -44,10 +47,10 @@ export function useInviteUser() {
   return useMutation({
     mutationFn: ({ email, role_id }) => {
       const url = `/${organization}/invitations`;
-      return api.post(url, { email, role_id }).then((res) => res.data);
+      return client.post(url, { email, role_id }).then((res) => res.data);
     },
     onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['invitations', organization] });
+      queryClient.invalidateQueries({ queryKey: ['invitations', clientScope(client), organization] });
     },
   });
 }
@@ -58,6 +61,7 @@ export function useInviteUser() {
  */
 export function useResendInvitation() {
   const organization = useOrganization();
+  const client = useLuminaClient();
   const queryClient = useQueryClient();
   
   if (!organization) {
@@ -67,10 +71,10 @@ export function useResendInvitation() {
   return useMutation({
     mutationFn: (id) => {
       const url = `/${organization}/invitations/${id}/resend`;
-      return api.post(url).then((res) => res.data);
+      return client.post(url).then((res) => res.data);
     },
     onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['invitations', organization] });
+      queryClient.invalidateQueries({ queryKey: ['invitations', clientScope(client), organization] });
     },
   });
 }
@@ -81,6 +85,7 @@ export function useResendInvitation() {
  */
 export function useCancelInvitation() {
   const organization = useOrganization();
+  const client = useLuminaClient();
   const queryClient = useQueryClient();
   
   if (!organization) {
@@ -90,10 +95,10 @@ export function useCancelInvitation() {
   return useMutation({
     mutationFn: (id) => {
       const url = `/${organization}/invitations/${id}`;
-      return api.delete(url).then((res) => res.data);
+      return client.delete(url).then((res) => res.data);
     },
     onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['invitations', organization] });
+      queryClient.invalidateQueries({ queryKey: ['invitations', clientScope(client), organization] });
     },
   });
 }
@@ -104,15 +109,16 @@ export function useCancelInvitation() {
  */
 export function useAcceptInvitation() {
   const queryClient = useQueryClient();
+  const client = useLuminaClient();
   
   return useMutation({
     mutationFn: (token) => {
       const url = '/invitations/accept';
-      return api.post(url, { token }).then((res) => res.data);
+      return client.post(url, { token }).then((res) => res.data);
     },
     onSuccess: () => {
       // Invalidate user-related queries after accepting invitation
-      queryClient.invalidateQueries({ queryKey: ['modelIndex', 'users'] });
+      queryClient.invalidateQueries({ queryKey: ['modelIndex', 'users', clientScope(client)] });
     },
   });
 }
@@ -0,0 +1 @@
+export { useLuminaClient } from '../context/LuminaContext';
@@ -1,14 +1,44 @@
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useMemo } from 'react';
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import api from '../lib/axios';
 import { useOrganization } from './useOrganization';
+import { useLuminaClient } from './useLuminaClient';
 import { extractPaginationFromHeaders } from '../lib/pagination';
-import type { AxiosResponse } from 'axios';
-import type { ModelQueryOptions, QueryResponse, AuditLog, NestedOperation } from '../types';
+import { buildQueryPath } from '../lib/query';
+import { LuminaValidationError, toValidationError } from '../lib/errors';
+import { clientScope, tenantQueryFilter } from '../lib/tenantCache';
+import { sendOrQueue } from '../lib/offlineQueue';
+import type { OfflineRequest, OfflineQueueEntry } from '../lib/offlineQueue';
+import type { FieldErrors } from '../lib/errors';
+import type { AxiosInstance, AxiosRequestConfig, AxiosResponse } from 'axios';
+import type { QueryClient, QueryKey, InfiniteData, QueryFunctionContext } from '@tanstack/react-query';
+import type {
+  ModelQueryOptions,
+  ModelMutationOptions,
+  ModelName,
+  ModelQueryOptionsFor,
+  ResolveModelRow,
+  QueryResponse,
+  AuditLog,
+  NestedOperation,
+  BulkResult,
+  BulkFailure,
+} from '../types';
 
 /**
- * Helper to build query URL with filters, includes, etc.
+ * Helper to build a model URL under the organization, with the query string
+ * produced by the configured serializer.
+ *
+ * @example
+ * buildQueryUrl('posts', 'acme', { sort: '-id' });            // /acme/posts?sort=-id
+ * buildQueryUrl('posts', 'acme', {}, [1, 'audit']);           // /acme/posts/1/audit
  */
-function buildQueryUrl(model: string, organization: string, options: ModelQueryOptions = {}): string {
+function buildQueryUrl(
+  model: string,
+  organization: string | null | undefined,
+  options: ModelQueryOptions<any> = {},
+  segments: Array<string | number> = [],
+): string {
   if (!organization) {
     throw new Error('Organization slug is required');
   }
@@ -18,40 +48,260 @@ function buildQueryUrl(model: string, organization: string, options: ModelQueryO
     throw new Error('Organization slug is required and must be a non-empty string');
   }
 
-  let url = `/${orgSlug}/${model}`;
-  const params = new URLSearchParams();
+  const path = [orgSlug, model, ...segments].join('/');
+  return buildQueryPath(`/${path}`, options);
+}
+
+/**
+ * Query key and fetcher for a model index page. Shared by useModelIndex and the
+ * prefetch helpers so both hit the same cache entry. `requestConfig` is passed
+ * to the client (e.g. an explicit Authorization header when fetching on the server),
+ * together with the query's abort signal.
+ */
+export function modelIndexQuery<Row>(
+  model: string,
+  organization: string | null | undefined,
+  options: ModelQueryOptions<any> = {},
+  client: AxiosInstance = api,
+  requestConfig?: AxiosRequestConfig,
+) {
+  return {
+    queryKey: ['modelIndex', model, clientScope(client), organization, options] as QueryKey,
+    queryFn: async ({ signal }: QueryFunctionContext): Promise<QueryResponse<Row>> => {
+      const url = buildQueryUrl(model, organization, options);
+      const response = await client.get(url, { ...requestConfig, signal });
+      const pagination = extractPaginationFromHeaders(response);
+
+      return {
+        data: response.data as Row[],
+        pagination,
+      };
+    },
+  };
+}
+
+/**
+ * Query key and fetcher for a single model. Shared by useModelShow and the
+ * prefetch helpers so both hit the same cache entry.
+ */
+export function modelShowQuery<Row>(
+  model: string,
+  id: string | number | null | undefined,
+  organization: string | null | undefined,
+  options: ModelQueryOptions<any> = {},
+  client: AxiosInstance = api,
+  requestConfig?: AxiosRequestConfig,
+) {
+  return {
+    queryKey: ['modelShow', model, clientScope(client), id, organization, options] as QueryKey,
+    queryFn: async ({ signal }: QueryFunctionContext): Promise<Row> => {
+      const url = buildQueryUrl(model, organization, options, [id!]);
+      const response = await client.get(url, { ...requestConfig, signal });
+      return response.data as Row;
+    },
+  };
+}
+
+type CacheSnapshot = Array<[QueryKey, unknown]>;
+
+interface OptimisticContext {
+  snapshot: CacheSnapshot;
+  tempId?: string;
+}
+
+let tempIdCounter = 0;
+
+/**
+ * Generate a client-side id for an optimistically created row
+ */
+function createTempId(): string {
+  tempIdCounter += 1;
+  return `temp-${Date.now()}-${tempIdCounter}`;
+}
 
-  if (options.filters) {
-    Object.entries(options.filters).forEach(([key, value]) => {
-      params.append(`filter[${key}]`, value);
+function isSameId(a: unknown, b: unknown): boolean {
+  return a != null && b != null && String(a) === String(b);
+}
+
+function isIndexQuery(queryKey: QueryKey, model: string, client: AxiosInstance, organization: string): boolean {
+  return (
+    queryKey[0] === 'modelIndex' &&
+    queryKey[1] === model &&
+    queryKey[2] === clientScope(client) &&
+    queryKey[3] === organization
+  );
+}
+
+function isShowQuery(queryKey: QueryKey, model: string, client: AxiosInstance, organization: string, id?: unknown): boolean {
+  return (
+    queryKey[0] === 'modelShow' &&
+    queryKey[1] === model &&
+    queryKey[2] === clientScope(client) &&
+    queryKey[4] === organization &&
+    (id === undefined || isSameId(queryKey[3], id))
+  );
+}
+
+/**
+ * Cancel in-flight fetches and snapshot every cached index/show entry of a model
+ * for the client and current organization, so an optimistic patch can be rolled back.
+ */
+async function snapshotModelCache(
+  queryClient: QueryClient,
+  model: string,
+  client: AxiosInstance,
+  organization: string,
+): Promise<CacheSnapshot> {
+  const predicate = ({ queryKey }: { queryKey: QueryKey }) =>
+    isIndexQuery(queryKey, model, client, organization) || isShowQuery(queryKey, model, client, organization);
+
+  await queryClient.cancelQueries({ predicate });
+  return queryClient.getQueriesData({ predicate });
+}
+
+function restoreModelCache(queryClient: QueryClient, snapshot: CacheSnapshot) {
+  snapshot.forEach(([queryKey, data]) => {
+    queryClient.setQueryData(queryKey, data);
+  });
+}
+
+function isInfiniteData<T>(data: unknown): data is InfiniteData<QueryResponse<T>> {
+  return !!data && Array.isArray((data as InfiniteData<unknown>).pages);
+}
+
+/**
+ * Whether a new row belongs at the top of a cached list: only on its first
+ * page, and not when filters or a search could exclude it.
+ */
+function acceptsNewRow(pageIndex: number, options: ModelQueryOptions | undefined): boolean {
+  const hasFilters = !!options?.filters && Object.keys(options.filters).length > 0;
+  return pageIndex === 0 && !hasFilters && !options?.search;
+}
+
+/**
+ * Apply `updater` to the rows of every cached index page of a model fetched by
+ * `client` for `organization`, including
+ * each loaded page of useModelInfiniteIndex feeds. `pageIndex` is the page's
+ * position in its list: the `page` option minus one for a useModelIndex page,
+ * the position in the feed for an infinite one. `options` are the list's query options.
+ * `totalDelta` adjusts pagination.total of the lists whose rows the updater changed in number.
+ */
+function patchIndexRows<T>(
+  queryClient: QueryClient,
+  model: string,
+  client: AxiosInstance,
+  organization: string,
+  updater: (rows: T[], pageIndex: number, options: ModelQueryOptions | undefined) => T[],
+  totalDelta = 0,
+) {
+  const withTotal = (page: QueryResponse<T>): QueryResponse<T> =>
+    page?.pagination
+      ? { ...page, pagination: { ...page.pagination, total: Math.max(0, page.pagination.total + totalDelta) } }
+      : page;
+
+  // Patch a list's pages; its total moves only when a page gained or lost rows
+  const patchPages = (pages: QueryResponse<T>[], firstPageIndex: number, options: ModelQueryOptions | undefined) => {
+    let resized = false;
+    const patched = pages.map((page, index) => {
+      if (!page || !Array.isArray(page.data)) return page;
+      const data = updater(page.data, firstPageIndex + index, options);
+      resized = resized || data.length !== page.data.length;
+      return { ...page, data };
     });
-  }
+    return totalDelta && resized ? patched.map(withTotal) : patched;
+  };
+
+  queryClient
+    .getQueriesData<QueryResponse<T> | InfiniteData<QueryResponse<T>>>({
+      predicate: ({ queryKey }) => isIndexQuery(queryKey, model, client, organization),
+    })
+    .forEach(([queryKey, current]) => {
+      if (!current) return;
+      const options = queryKey[4] as ModelQueryOptions | undefined;
+      if (isInfiniteData<T>(current)) {
+        queryClient.setQueryData(queryKey, { ...current, pages: patchPages(current.pages, 0, options) });
+      } else {
+        const [page] = patchPages([current], Math.max(1, Number(options?.page) || 1) - 1, options);
+        queryClient.setQueryData(queryKey, page);
+      }
+    });
+}
 
-  if (options.includes && options.includes.length > 0) {
-    params.append('include', options.includes.join(','));
-  }
+function patchShowEntries<T>(
+  queryClient: QueryClient,
+  model: string,
+  client: AxiosInstance,
+  organization: string,
+  id: string | number,
+  updater: (row: T) => T,
+) {
+  queryClient.setQueriesData<T>(
+    { predicate: ({ queryKey }) => isShowQuery(queryKey, model, client, organization, id) },
+    (current) => (current ? updater(current) : current),
+  );
+}
 
-  if (options.sort) {
-    params.append('sort', options.sort);
-  }
+const NO_FIELD_ERRORS: FieldErrors = Object.freeze({}) as FieldErrors;
 
-  if (options.fields && options.fields.length > 0) {
-    params.append('fields', options.fields.join(','));
-  }
+function rethrowValidationError(error: unknown): never {
+  throw toValidationError(error);
+}
 
-  if (options.search) {
-    params.append('search', options.search);
-  }
+/**
+ * Expose the messages of a LuminaValidationError as `fieldErrors` on a
+ * mutation result (an empty object while there are none).
+ */
+function withFieldErrors<R extends { error: unknown }>(mutation: R): R & { fieldErrors: FieldErrors } {
+  const { error } = mutation;
+  return {
+    ...mutation,
+    fieldErrors: error instanceof LuminaValidationError ? error.fieldErrors : NO_FIELD_ERRORS,
+  };
+}
 
-  if (options.page) {
-    params.append('page', String(options.page));
-  }
-  if (options.perPage || options.per_page) {
-    params.append('per_page', String(options.perPage || options.per_page));
+// Results of writes that were queued offline instead of sent
+const queuedResults = new WeakSet<object>();
+
+/**
+ * Send a model write. With `{ offline: true }` it goes through the client's
+ * offline queue, and a queued write resolves with `queuedData(entry)`:
+ * a stand-in row whose id is the `$<entry>.id` reference of a queued create.
+ */
+function sendWrite(
+  client: AxiosInstance,
+  mutationOptions: ModelMutationOptions,
+  request: OfflineRequest,
+  queuedData: (entry: OfflineQueueEntry) => object,
+): Promise<{ data: any }> {
+  if (mutationOptions.offline) {
+    return sendOrQueue(client, request, (entry) => {
+      const data = queuedData(entry);
+      queuedResults.add(data);
+      return data;
+    });
   }
+  const { method, url, data } = request;
+  return method === 'delete' ? client.delete(url) : client[method](url, data);
+}
+
+function isQueued(result: unknown): boolean {
+  return !!result && typeof result === 'object' && queuedResults.has(result);
+}
 
-  const queryString = params.toString();
-  return queryString ? `${url}?${queryString}` : url;
+/**
+ * Invalidate cached queries of a model for one client and organization only;
+ * other tenants' entries are left alone (they are evicted on organization switch).
+ */
+function invalidateModelQueries(
+  queryClient: QueryClient,
+  model: string,
+  client: AxiosInstance,
+  organization: string,
+  keys = ['modelIndex', 'modelShow'],
+) {
+  keys.forEach((key) => {
+    queryClient.invalidateQueries(tenantQueryFilter(organization, [key, model, clientScope(client)]));
+  });
 }
 
 /**
@@ -71,24 +321,84 @@ function buildQueryUrl(model: string, organization: string, options: ModelQueryO
  *   perPage: 20
  * });
  * const posts = response?.data || []; // Post[]
+ *
+ * // With a model registered in LuminaModels, the generic is inferred
+ * const { data: response } = useModelIndex('posts'); // QueryResponse<Post>
+ */
+export function useModelIndex<T = never, M extends ModelName = ModelName>(model: M, options: ModelQueryOptionsFor<T, M> = {}) {
+  type Row = ResolveModelRow<T, M>;
+  const organization = useOrganization();
+  const client = useLuminaClient();
+
+  return useQuery<QueryResponse<Row>>({
+    ...modelIndexQuery<Row>(model, organization, options, client),
+    enabled: !!organization,
+  });
+}
+
+/**
+ * Hook to fetch a list of models page by page (infinite scroll)
+ *
+ * Builds each page URL the same way as useModelIndex and derives the next and
+ * previous pages from the X-Current-Page / X-Last-Page headers. `options.page`
+ * sets the first page to load (defaults to 1).
+ *
+ * Pages are cached under the useModelIndex key with an `'infinite'` suffix,
+ * so mutations that invalidate a model's lists refresh the feed as well.
+ *
+ * @example
+ * const { items, total, hasNextPage, fetchNextPage, isFetchingNextPage } =
+ *   useModelInfiniteIndex<Post>('posts', { sort: '-created_at', perPage: 20 });
+ *
+ * <FlatList data={items} onEndReached={() => hasNextPage && fetchNextPage()} />
  */
-export function useModelIndex<T = Record<string, any>>(model: string, options: ModelQueryOptions = {}) {
+export function useModelInfiniteIndex<T = never, M extends ModelName = ModelName>(model: M, options: ModelQueryOptionsFor<T, M> = {}) {
+  type Row = ResolveModelRow<T, M>;
   const organization = useOrganization();
+  const client = useLuminaClient();
 
-  return useQuery<QueryResponse<T>>({
-    queryKey: ['modelIndex', model, organization, options],
-    queryFn: async () => {
-      const url = buildQueryUrl(model, organization!, options);
-      const response = await api.get(url);
+  const query = useInfiniteQuery<QueryResponse<Row>, Error, InfiniteData<QueryResponse<Row>, number>, QueryKey, number>({
+    queryKey: ['modelIndex', model, clientScope(client), organization, options, 'infinite'],
+    queryFn: async ({ pageParam, signal }) => {
+      const url = buildQueryUrl(model, organization, { ...options, page: pageParam });
+      const response = await client.get(url, { signal });
       const pagination = extractPaginationFromHeaders(response);
 
       return {
-        data: response.data as T[],
+        data: response.data as Row[],
         pagination,
       };
     },
+    initialPageParam: options.page || 1,
+    getNextPageParam: (lastPage) => {
+      const pagination = lastPage.pagination;
+      if (!pagination || pagination.currentPage >= pagination.lastPage) return undefined;
+      return pagination.currentPage + 1;
+    },
+    getPreviousPageParam: (firstPage) => {
+      const pagination = firstPage.pagination;
+      if (!pagination || pagination.currentPage <= 1) return undefined;
+      return pagination.currentPage - 1;
+    },
     enabled: !!organization,
   });
+
+  const pages = query.data?.pages;
+
+  const items = useMemo(
+    () => (pages ? pages.flatMap((page) => page.data) : []),
+    [pages],
+  );
+
+  const total = pages && pages.length > 0
+    ? pages[pages.length - 1].pagination?.total ?? items.length
+    : 0;
+
+  return {
+    ...query,
+    items,
+    total,
+  };
 }
 
 /**
@@ -104,41 +414,13 @@ export function useModelIndex<T = Record<string, any>>(model: string, options: M
  *   fields: ['id', 'title', 'content']
  * })
  */
-export function useModelShow<T = Record<string, any>>(model: string, id: string | number | null | undefined, options: ModelQueryOptions = {}) {
+export function useModelShow<T = never, M extends ModelName = ModelName>(model: M, id: string | number | null | undefined, options: ModelQueryOptionsFor<T, M> = {}) {
+  type Row = ResolveModelRow<T, M>;
   const organization = useOrganization();
+  const client = useLuminaClient();
 
-  return useQuery<T>({
-    queryKey: ['modelShow', model, id, organization, options],
-    queryFn: async () => {
-      const orgSlug = String(organization).trim();
-      if (!orgSlug) {
-        throw new Error('Organization slug is required. Please ensure you are logged in and have selected an organization.');
-      }
-
-      const params = new URLSearchParams();
-      if (options.includes && options.includes.length > 0) {
-        params.append('include', Array.isArray(options.includes) ? options.includes.join(',') : options.includes);
-      }
-      if (options.filters) {
-        Object.entries(options.filters).forEach(([key, value]) => {
-          params.append(`filter[${key}]`, value);
-        });
-      }
-      if (options.sort) {
-        params.append('sort', options.sort);
-      }
-      if (options.fields && options.fields.length > 0) {
-        params.append('fields', Array.isArray(options.fields) ? options.fields.join(',') : options.fields);
-      }
-
-      const queryString = params.toString();
-      const finalUrl = queryString
-        ? `/${orgSlug}/${model}/${id}?${queryString}`
-        : `/${orgSlug}/${model}/${id}`;
-
-      const response = await api.get(finalUrl);
-      return response.data as T;
-    },
+  return useQuery<Row>({
+    ...modelShowQuery<Row>(model, id, organization, options, client),
     enabled: !!organization && !!id && !!String(organization).trim(),
   });
 }
@@ -146,53 +428,119 @@ export function useModelShow<T = Record<string, any>>(model: string, id: string
 /**
  * Hook to update a model
  *
+ * Pass `{ optimistic: true }` to patch cached index and show entries before the
+ * request resolves. The patch is rolled back on error and replaced with the
+ * server response on success.
+ *
  * @example
  * const updatePost = useModelUpdate<Post>('posts');
  * updatePost.mutate({ id: 1, data: { title: 'Updated' } });
+ *
+ * // Optimistic
+ * const updatePost = useModelUpdate<Post>('posts', { optimistic: true });
+ *
+ * // A 422 rejects with LuminaValidationError; messages are on `fieldErrors`
+ * updatePost.fieldErrors.title?.[0];
  */
-export function useModelUpdate<T = Record<string, any>>(model: string) {
+export function useModelUpdate<T = never, M extends ModelName = ModelName>(model: M, mutationOptions: ModelMutationOptions = {}) {
+  type Row = ResolveModelRow<T, M>;
   const organization = useOrganization();
+  const client = useLuminaClient();
   const queryClient = useQueryClient();
 
   if (!organization) {
     throw new Error('Organization slug is required. All routes must include organization in the URL (e.g., /org-slug/dashboard)');
   }
 
-  return useMutation<T, Error, { id: string | number; data: Partial<T> }>({
+  return withFieldErrors(useMutation<Row, Error, { id: string | number; data: Partial<Row> }, OptimisticContext | undefined>({
     mutationFn: ({ id, data }) => {
       const url = `/${organization}/${model}/${id}`;
-      return api.put(url, data).then((res: AxiosResponse) => res.data);
+      const request: OfflineRequest = { method: 'put', url, data, model, organization, action: 'update' };
+      return sendWrite(client, mutationOptions, request, () => ({ ...data, id }))
+        .then((res) => res.data, rethrowValidationError);
     },
-    onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['modelIndex', model] });
-      queryClient.invalidateQueries({ queryKey: ['modelShow', model] });
+    onMutate: async ({ id, data }) => {
+      if (!mutationOptions.optimistic) return undefined;
+
+      const snapshot = await snapshotModelCache(queryClient, model, client, organization);
+      const merge = (row: Row) => ({ ...row, ...data });
+
+      patchIndexRows<Row>(queryClient, model, client, organization, (rows) =>
+        rows.map((row) => (isSameId((row as any)?.id, id) ? merge(row) : row)),
+      );
+      patchShowEntries<Row>(queryClient, model, client, organization, id, merge);
+
+      return { snapshot };
     },
-  });
+    onError: (_error, _variables, context) => {
+      if (context) {
+        restoreModelCache(queryClient, context.snapshot);
+      }
+    },
+    onSuccess: (result, { id }) => {
+      if (mutationOptions.optimistic && result && typeof result === 'object') {
+        patchIndexRows<Row>(queryClient, model, client, organization, (rows) =>
+          rows.map((row) => (isSameId((row as any)?.id, id) ? { ...row, ...result } : row)),
+        );
+        patchShowEntries<Row>(queryClient, model, client, organization, id, (row) => ({ ...row, ...result }));
+      }
+      if (!isQueued(result)) {
+        invalidateModelQueries(queryClient, model, client, organization);
+      }
+    },
+  }));
 }
 
 /**
  * Hook to delete a model
  *
+ * Pass `{ optimistic: true }` to remove the row from cached index pages
+ * immediately; it is restored if the request fails.
+ *
  * @example
  * const deletePost = useModelDelete<Post>('posts');
  * deletePost.mutate(postId);
  */
-export function useModelDelete<T = Record<string, any>>(model: string) {
+export function useModelDelete<T = never, M extends ModelName = ModelName>(model: M, mutationOptions: ModelMutationOptions = {}) {
+  type Row = ResolveModelRow<T, M>;
   const organization = useOrganization();
+  const client = useLuminaClient();
   const queryClient = useQueryClient();
 
   if (!organization) {
     throw new Error('Organization slug is required. All routes must include organization in the URL (e.g., /org-slug/dashboard)');
   }
 
-  return useMutation<T, Error, string | number>({
+  return useMutation<Row, Error, string | number, OptimisticContext | undefined>({
     mutationFn: (id) => {
       const url = `/${organization}/${model}/${id}`;
-      return api.delete(url).then((res: AxiosResponse) => res.data);
+      const request: OfflineRequest = { method: 'delete', url, model, organization, action: 'delete' };
+      return sendWrite(client, mutationOptions, request, () => ({ id })).then((res) => res.data);
     },
-    onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['modelIndex', model] });
-      queryClient.invalidateQueries({ queryKey: ['modelShow', model] });
+    onMutate: async (id) => {
+      if (!mutationOptions.optimistic) return undefined;
+
+      const snapshot = await snapshotModelCache(queryClient, model, client, organization);
+      patchIndexRows<Row>(
+        queryClient,
+        model,
+        client,
+        organization,
+        (rows) => rows.filter((row) => !isSameId((row as any)?.id, id)),
+        -1,
+      );
+
+      return { snapshot };
+    },
+    onError: (_error, _variables, context) => {
+      if (context) {
+        restoreModelCache(queryClient, context.snapshot);
+      }
+    },
+    onSuccess: (result) => {
+      if (!isQueued(result)) {
+        invalidateModelQueries(queryClient, model, client, organization);
+      }
     },
   });
 }
@@ -200,28 +548,73 @@ export function useModelDelete<T = Record<string, any>>(model: string) {
 /**
  * Hook to create a new model
  *
+ * Pass `{ optimistic: true }` to prepend the new row to cached index pages
+ * under a temporary id. The temporary row is swapped for the server response
+ * on success and removed on error.
+ *
+ * Pass `{ offline: true }` to queue the write while offline (see useOfflineQueue).
+ * A queued create resolves with the data and a `$<n>.id` reference as id, which
+ * later queued writes can use in their data or as the id to update or delete.
+ *
  * @example
  * const createUser = useModelStore<User>('users');
  * createUser.mutate({ name: 'John Doe', email: 'john@example.com' });
+ *
+ * // Feed a 422 into react-hook-form
+ * createUser.mutate(values, { onError: (error) => applyFieldErrors(error, setError) });
  */
-export function useModelStore<T = Record<string, any>>(model: string) {
+export function useModelStore<T = never, M extends ModelName = ModelName>(model: M, mutationOptions: ModelMutationOptions = {}) {
+  type Row = ResolveModelRow<T, M>;
   const organization = useOrganization();
+  const client = useLuminaClient();
   const queryClient = useQueryClient();
 
   if (!organization) {
     throw new Error('Organization slug is required. All routes must include organization in the URL (e.g., /org-slug/dashboard)');
   }
 
-  return useMutation<T, Error, Partial<T>>({
+  return withFieldErrors(useMutation<Row, Error, Partial<Row>, OptimisticContext | undefined>({
     mutationFn: (data) => {
       const url = `/${organization}/${model}`;
-      return api.post(url, data).then((res: AxiosResponse) => res.data);
+      const request: OfflineRequest = { method: 'post', url, data, model, organization, action: 'store' };
+      return sendWrite(client, mutationOptions, request, (entry) => ({ ...data, id: `$${entry.id}.id` }))
+        .then((res) => res.data, rethrowValidationError);
     },
-    onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['modelIndex', model] });
-      queryClient.invalidateQueries({ queryKey: ['modelShow', model] });
+    onMutate: async (data) => {
+      if (!mutationOptions.optimistic) return undefined;
+
+      const snapshot = await snapshotModelCache(queryClient, model, client, organization);
+      const tempId = createTempId();
+      const row = { ...data, id: tempId } as unknown as Row;
+
+      // Only first pages of lists the row could appear in get it
+      patchIndexRows<Row>(
+        queryClient,
+        model,
+        client,
+        organization,
+        (rows, pageIndex, options) => (acceptsNewRow(pageIndex, options) ? [row, ...rows] : rows),
+        1,
+      );
+
+      return { snapshot, tempId };
     },
-  });
+    onError: (_error, _variables, context) => {
+      if (context) {
+        restoreModelCache(queryClient, context.snapshot);
+      }
+    },
+    onSuccess: (result, _variables, context) => {
+      if (context?.tempId && result && typeof result === 'object') {
+        patchIndexRows<Row>(queryClient, model, client, organization, (rows) =>
+          rows.map((row) => ((row as any)?.id === context.tempId ? result : row)),
+        );
+      }
+      if (!isQueued(result)) {
+        invalidateModelQueries(queryClient, model, client, organization);
+      }
+    },
+  }));
 }
 
 /**
@@ -236,48 +629,20 @@ export function useModelStore<T = Record<string, any>>(model: string) {
  * });
  * const trashedPosts = response?.data || []; // Post[]
  */
-export function useModelTrashed<T = Record<string, any>>(model: string, options: ModelQueryOptions = {}) {
+export function useModelTrashed<T = never, M extends ModelName = ModelName>(model: M, options: ModelQueryOptionsFor<T, M> = {}) {
+  type Row = ResolveModelRow<T, M>;
   const organization = useOrganization();
+  const client = useLuminaClient();
 
-  return useQuery<QueryResponse<T>>({
-    queryKey: ['modelTrashed', model, organization, options],
-    queryFn: async () => {
-      const orgSlug = String(organization).trim();
-      let url = `/${orgSlug}/${model}/trashed`;
-      const params = new URLSearchParams();
-
-      if (options.filters) {
-        Object.entries(options.filters).forEach(([key, value]) => {
-          params.append(`filter[${key}]`, value);
-        });
-      }
-      if (options.includes && options.includes.length > 0) {
-        params.append('include', options.includes.join(','));
-      }
-      if (options.sort) {
-        params.append('sort', options.sort);
-      }
-      if (options.fields && options.fields.length > 0) {
-        params.append('fields', options.fields.join(','));
-      }
-      if (options.search) {
-        params.append('search', options.search);
-      }
-      if (options.page) {
-        params.append('page', String(options.page));
-      }
-      if (options.perPage || options.per_page) {
-        params.append('per_page', String(options.perPage || options.per_page));
-      }
-
-      const queryString = params.toString();
-      const finalUrl = queryString ? `${url}?${queryString}` : url;
-
-      const response = await api.get(finalUrl);
+  return useQuery<QueryResponse<Row>>({
+    queryKey: ['modelTrashed', model, clientScope(client), organization, options],
+    queryFn: async ({ signal }) => {
+      const url = buildQueryUrl(model, organization, options, ['trashed']);
+      const response = await client.get(url, { signal });
       const pagination = extractPaginationFromHeaders(response);
 
       return {
-        data: response.data as T[],
+        data: response.data as Row[],
         pagination,
       };
     },
@@ -292,23 +657,23 @@ export function useModelTrashed<T = Record<string, any>>(model: string, options:
  * const restoreUser = useModelRestore<User>('users');
  * restoreUser.mutate(userId);
  */
-export function useModelRestore<T = Record<string, any>>(model: string) {
+export function useModelRestore<T = never, M extends ModelName = ModelName>(model: M) {
+  type Row = ResolveModelRow<T, M>;
   const organization = useOrganization();
+  const client = useLuminaClient();
   const queryClient = useQueryClient();
 
   if (!organization) {
     throw new Error('Organization slug is required. All routes must include organization in the URL (e.g., /org-slug/dashboard)');
   }
 
-  return useMutation<T, Error, string | number>({
+  return useMutation<Row, Error, string | number>({
     mutationFn: (id) => {
       const url = `/${organization}/${model}/${id}/restore`;
-      return api.post(url).then((res: AxiosResponse) => res.data);
+      return client.post(url).then((res: AxiosResponse) => res.data);
     },
     onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['modelIndex', model] });
-      queryClient.invalidateQueries({ queryKey: ['modelTrashed', model] });
-      queryClient.invalidateQueries({ queryKey: ['modelShow', model] });
+      invalidateModelQueries(queryClient, model, client, organization, ['modelIndex', 'modelTrashed', 'modelShow']);
     },
   });
 }
@@ -320,25 +685,140 @@ export function useModelRestore<T = Record<string, any>>(model: string) {
  * const forceDeleteUser = useModelForceDelete<User>('users');
  * forceDeleteUser.mutate(userId);
  */
-export function useModelForceDelete<T = Record<string, any>>(model: string) {
+export function useModelForceDelete<T = never, M extends ModelName = ModelName>(model: M) {
+  type Row = ResolveModelRow<T, M>;
   const organization = useOrganization();
+  const client = useLuminaClient();
   const queryClient = useQueryClient();
 
   if (!organization) {
     throw new Error('Organization slug is required. All routes must include organization in the URL (e.g., /org-slug/dashboard)');
   }
 
-  return useMutation<T, Error, string | number>({
+  return useMutation<Row, Error, string | number>({
     mutationFn: (id) => {
       const url = `/${organization}/${model}/${id}/force-delete`;
-      return api.delete(url).then((res: AxiosResponse) => res.data);
+      return client.delete(url).then((res: AxiosResponse) => res.data);
+    },
+    onSuccess: () => {
+      invalidateModelQueries(queryClient, model, client, organization, ['modelTrashed']);
+    },
+  });
+}
+
+type BulkAction = 'delete' | 'restore' | 'force-delete' | 'update';
+
+/**
+ * Normalize a bulk endpoint response into per-id results.
+ *
+ * The server may answer with `{ succeeded, failed }`, where `failed` is either a
+ * list of `{ id, message }` or a map of id to message. Any other payload means
+ * every id was processed.
+ */
+function normalizeBulkResult(ids: Array<string | number>, payload: any): BulkResult {
+  if (!payload || typeof payload !== 'object' || (!('failed' in payload) && !('succeeded' in payload))) {
+    return { succeeded: [...ids], failed: [] };
+  }
+
+  let failed: BulkFailure[] = [];
+  if (Array.isArray(payload.failed)) {
+    failed = payload.failed.map((entry: any) =>
+      entry && typeof entry === 'object'
+        ? { id: entry.id, message: entry.message || entry.error || 'Failed' }
+        : { id: entry, message: 'Failed' },
+    );
+  } else if (payload.failed && typeof payload.failed === 'object') {
+    failed = Object.entries(payload.failed).map(([id, message]) => ({
+      id: ids.find((candidate) => isSameId(candidate, id)) ?? id,
+      message: String(message),
+    }));
+  }
+
+  const succeeded = Array.isArray(payload.succeeded)
+    ? payload.succeeded
+    : ids.filter((id) => !failed.some((failure) => isSameId(failure.id, id)));
+
+  return { succeeded, failed };
+}
+
+/**
+ * Shared implementation of the bulk mutation hooks: one request per id-set,
+ * one round of cache invalidation per call.
+ *
+ * The `/{organization}/{model}/bulk-{action}` routes are not part of the Lumina
+ * servers; apps register them (see docs/API.md, Bulk Operations).
+ */
+function useBulkMutation<TVariables extends { ids: Array<string | number> }>(
+  model: string,
+  action: BulkAction,
+  invalidate: string[],
+) {
+  const organization = useOrganization();
+  const client = useLuminaClient();
+  const queryClient = useQueryClient();
+
+  if (!organization) {
+    throw new Error('Organization slug is required. All routes must include organization in the URL (e.g., /org-slug/dashboard)');
+  }
+
+  return useMutation<BulkResult, Error, TVariables>({
+    mutationFn: (variables) => {
+      const url = `/${organization}/${model}/bulk-${action}`;
+      const request = action === 'update' ? client.put(url, variables) : client.post(url, variables);
+      return request.then((res: AxiosResponse) => normalizeBulkResult(variables.ids, res.data));
     },
     onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['modelTrashed', model] });
+      invalidateModelQueries(queryClient, model, client, organization, invalidate);
     },
   });
 }
 
+/**
+ * Hook to soft delete several models in one request
+ *
+ * @example
+ * const bulkDelete = useModelBulkDelete('posts');
+ * const { succeeded, failed } = await bulkDelete.mutateAsync({ ids: [1, 2, 3] });
+ */
+export function useModelBulkDelete(model: ModelName) {
+  return useBulkMutation<{ ids: Array<string | number> }>(model, 'delete', ['modelIndex', 'modelShow', 'modelTrashed']);
+}
+
+/**
+ * Hook to restore several soft-deleted models in one request
+ *
+ * @example
+ * const bulkRestore = useModelBulkRestore('posts');
+ * bulkRestore.mutate({ ids: selectedIds }, {
+ *   onSuccess: ({ failed }) => failed.forEach(({ id, message }) => console.warn(id, message)),
+ * });
+ */
+export function useModelBulkRestore(model: ModelName) {
+  return useBulkMutation<{ ids: Array<string | number> }>(model, 'restore', ['modelIndex', 'modelTrashed', 'modelShow']);
+}
+
+/**
+ * Hook to permanently delete several models in one request
+ *
+ * @example
+ * const bulkForceDelete = useModelBulkForceDelete('posts');
+ * bulkForceDelete.mutate({ ids: selectedIds });
+ */
+export function useModelBulkForceDelete(model: ModelName) {
+  return useBulkMutation<{ ids: Array<string | number> }>(model, 'force-delete', ['modelTrashed']);
+}
+
+/**
+ * Hook to apply the same changes to several models in one request
+ *
+ * @example
+ * const bulkUpdate = useModelBulkUpdate<Post>('posts');
+ * bulkUpdate.mutate({ ids: [1, 2, 3], data: { status: 'archived' } });
+ */
+export function useModelBulkUpdate<T = never, M extends ModelName = ModelName>(model: M) {
+  return useBulkMutation<{ ids: Array<string | number>; data: Partial<ResolveModelRow<T, M>> }>(model, 'update', ['modelIndex', 'modelShow']);
+}
+
 /**
  * Hook to perform nested operations (multi-model transactions)
  *
@@ -351,19 +831,23 @@ export function useModelForceDelete<T = Record<string, any>>(model: string) {
  *     { action: 'create', model: 'posts', data: { title: 'New Post', blog_id: '$0.id' } }
  *   ]
  * });
+ *
+ * // On a 422, error.operationIndex is the failed operation and
+ * // error.operationErrors[index] holds its field messages
  */
 export function useNestedOperations() {
   const organization = useOrganization();
+  const client = useLuminaClient();
   const queryClient = useQueryClient();
 
   if (!organization) {
     throw new Error('Organization slug is required. All routes must include organization in the URL (e.g., /org-slug/dashboard)');
   }
 
-  return useMutation<any[], Error, { operations: NestedOperation[] }>({
+  return withFieldErrors(useMutation<any[], Error, { operations: NestedOperation[] }>({
     mutationFn: ({ operations }) => {
       const url = `/${organization}/nested-operations`;
-      return api.post(url, { operations }).then((res: AxiosResponse) => res.data);
+      return client.post(url, { operations }).then((res: AxiosResponse) => res.data, rethrowValidationError);
     },
     onSuccess: (_data, variables) => {
       const affectedModels = new Set(
@@ -371,11 +855,10 @@ export function useNestedOperations() {
       );
 
       affectedModels.forEach(model => {
-        queryClient.invalidateQueries({ queryKey: ['modelIndex', model] });
-        queryClient.invalidateQueries({ queryKey: ['modelShow', model] });
+        invalidateModelQueries(queryClient, model, client, organization);
       });
     },
-  });
+  }));
 }
 
 /**
@@ -385,27 +868,15 @@ export function useNestedOperations() {
  * const { data: response } = useModelAudit('users', 1, { page: 1, perPage: 50 });
  * const auditLogs = response?.data || []; // AuditLog[]
  */
-export function useModelAudit(model: string, id: string | number | null | undefined, options: ModelQueryOptions = {}) {
+export function useModelAudit(model: ModelName, id: string | number | null | undefined, options: ModelQueryOptions = {}) {
   const organization = useOrganization();
+  const client = useLuminaClient();
 
   return useQuery<QueryResponse<AuditLog>>({
-    queryKey: ['modelAudit', model, id, organization, options],
-    queryFn: async () => {
-      const orgSlug = String(organization).trim();
-      let url = `/${orgSlug}/${model}/${id}/audit`;
-      const params = new URLSearchParams();
-
-      if (options.page) {
-        params.append('page', String(options.page));
-      }
-      if (options.perPage || options.per_page) {
-        params.append('per_page', String(options.perPage || options.per_page));
-      }
-
-      const queryString = params.toString();
-      const finalUrl = queryString ? `${url}?${queryString}` : url;
-
-      const response = await api.get(finalUrl);
+    queryKey: ['modelAudit', model, clientScope(client), id, organization, options],
+    queryFn: async ({ signal }) => {
+      const url = buildQueryUrl(model, organization, options, [id!, 'audit']);
+      const response = await client.get(url, { signal });
       const pagination = extractPaginationFromHeaders(response);
 
       return {
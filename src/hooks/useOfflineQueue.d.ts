@@ -0,0 +1,16 @@
+import type { OfflineQueueEntry, OfflineQueueState } from '../lib/offlineQueue';
+
+export function useOfflineQueue(): OfflineQueueState & {
+  /** Entries waiting to be sent */
+  pending: OfflineQueueEntry[];
+  /** Entries the server refused; the replay waits until they are retried or discarded */
+  conflicts: OfflineQueueEntry[];
+  /** Send the queue now (it is replayed automatically on reconnect) */
+  replay: () => Promise<void>;
+  /** Mark an entry pending again, optionally with corrected data, and replay */
+  retry: (id: number, data?: unknown) => Promise<void>;
+  /** Drop an entry without sending it */
+  discard: (id: number) => void;
+  /** Drop every entry */
+  clear: () => void;
+};
@@ -0,0 +1,53 @@
+import { useEffect, useMemo, useSyncExternalStore } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { getOfflineQueue } from '../lib/offlineQueue';
+import { clientScope, tenantQueryFilter } from '../lib/tenantCache';
+import { useLuminaClient } from './useLuminaClient';
+
+/**
+ * Hook to read and manage the offline queue of the current API client: the
+ * writes made with `{ offline: true }` while there was no connection.
+ *
+ * While mounted it also refreshes the cached queries of each model once its
+ * queued writes are replayed, so render it once near the root (e.g. in a
+ * sync indicator).
+ *
+ * @returns {Object} { entries, pending, conflicts, isOnline, isReplaying, replay, retry, discard, clear }
+ *
+ * @example
+ * const { pending, conflicts, isOnline, retry, discard } = useOfflineQueue();
+ *
+ * {!isOnline && <Banner>{pending.length} changes will sync when you are back online</Banner>}
+ * {conflicts.map((entry) => (
+ *   <Conflict key={entry.id} entry={entry} onRetry={() => retry(entry.id)} onDiscard={() => discard(entry.id)} />
+ * ))}
+ */
+export function useOfflineQueue() {
+  const client = useLuminaClient();
+  const queryClient = useQueryClient();
+  const queue = getOfflineQueue(client);
+  const state = useSyncExternalStore(queue.subscribe, queue.getState, queue.getState);
+
+  useEffect(() => {
+    return queue.onReplayed((entry) => {
+      if (!entry.model || !entry.organization) return;
+      ['modelIndex', 'modelShow', 'modelTrashed'].forEach((key) => {
+        queryClient.invalidateQueries(tenantQueryFilter(entry.organization, [key, entry.model, clientScope(client)]));
+      });
+    });
+  }, [queue, queryClient, client]);
+
+  const { entries } = state;
+  const pending = useMemo(() => entries.filter((entry) => entry.status === 'pending'), [entries]);
+  const conflicts = useMemo(() => entries.filter((entry) => entry.status === 'conflict'), [entries]);
+
+  return {
+    ...state,
+    pending,
+    conflicts,
+    replay: queue.replay,
+    retry: queue.retry,
+    discard: queue.discard,
+    clear: queue.clear,
+  };
+}
@@ -1,2 +1,18 @@
+import type { QueryClient } from '@tanstack/react-query';
+import type { OrganizationResolver } from '../context/OrganizationContext';
+
 export function useOrganization(): string | null;
+export function getOrganization(): string | null;
 export function setOrganization(slug: string | null): void;
+export function getLastOrganization(): string | null;
+export function switchOrganization(slug: string, queryClient?: QueryClient): void;
+export function createPathResolver(options?: {
+  /** Index of the path segment holding the slug (default 0) */
+  segment?: number;
+  /** Prefix stripped before counting segments */
+  basePath?: string;
+}): OrganizationResolver;
+export function createParamsResolver(
+  useParams: () => Record<string, string | string[] | undefined> | null | undefined,
+  name?: string
+): OrganizationResolver;
@@ -1,19 +1,27 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useSyncExternalStore } from 'react';
 import { storage } from '../lib/storage';
+import { registerStorageKeys } from '../lib/storageKeys';
 import { events } from '../lib/events';
+import { removeOtherTenantQueries } from '../lib/tenantCache';
+import { useScopedOrganization } from '../context/OrganizationContext';
+
+registerStorageKeys('organization_slug', 'last_organization');
 
 /**
- * Gets organization slug from storage.
- * Listens for changes via the events adapter (cross-tab on web, in-memory on native).
+ * Gets the organization slug: from the nearest OrganizationProvider (explicit
+ * slug, URL or router params), otherwise from storage.
+ * Listens for storage changes via the events adapter (cross-tab on web, in-memory on native).
  * @returns {string|null} Organization slug if present, null otherwise
  *
  * @example
+ * // <OrganizationProvider slug="acme"> -> returns 'acme'
  * // storage has 'organization_slug' = 'my-org' -> returns 'my-org'
  * // storage doesn't have 'organization_slug' -> returns null
  */
 export function useOrganization() {
+  const scoped = useScopedOrganization();
   const [organization, setOrganization] = useState(() => {
-    return storage.getItem('organization_slug');
+    return getOrganization();
   });
 
   useEffect(() => {
@@ -24,18 +32,122 @@ export function useOrganization() {
     return unsubscribe;
   }, []);
 
-  return organization;
+  return scoped || organization;
+}
+
+function subscribeToHistory(onChange) {
+  window.addEventListener('popstate', onChange);
+  return () => window.removeEventListener('popstate', onChange);
+}
+
+const noHistory = () => () => {};
+
+/**
+ * Create an organization resolver that reads a segment of the page URL path,
+ * for OrganizationProvider. Re-reads the path on every render and on
+ * back/forward navigation; returns null where there is no `window.location`
+ * (server, React Native).
+ *
+ * @param {Object} [options]
+ * @param {number} [options.segment=0] - Index of the path segment holding the slug
+ * @param {string} [options.basePath=''] - Prefix stripped before counting segments
+ * @returns {() => string|null} Resolver hook
+ *
+ * @example
+ * // https://app.test/app/acme/posts -> 'acme'
+ * <OrganizationProvider resolver={createPathResolver({ basePath: '/app' })}>
+ */
+export function createPathResolver({ segment = 0, basePath = '' } = {}) {
+  const hasLocation = typeof window !== 'undefined' && !!window.location;
+
+  const readSlug = () => {
+    if (!hasLocation) return null;
+    let path = window.location.pathname;
+    if (basePath && path.startsWith(basePath)) {
+      path = path.slice(basePath.length);
+    }
+    const value = path.split('/').filter(Boolean)[segment];
+    return value ? decodeURIComponent(value) : null;
+  };
+
+  return function usePathOrganization() {
+    return useSyncExternalStore(hasLocation ? subscribeToHistory : noHistory, readSlug, () => null);
+  };
+}
+
+/**
+ * Create an organization resolver from a router's params hook, for
+ * OrganizationProvider: React Router's `useParams`, or Expo Router's
+ * `useLocalSearchParams` / `useGlobalSearchParams`.
+ *
+ * @param {() => Object} useParams - Router hook returning the route params
+ * @param {string} [name='organization'] - Param holding the slug
+ * @returns {() => string|null} Resolver hook
+ *
+ * @example
+ * import { useParams } from 'react-router-dom';
+ * const useRouteOrganization = createParamsResolver(useParams);
+ */
+export function createParamsResolver(useParams, name = 'organization') {
+  return function useParamsOrganization() {
+    const value = useParams()?.[name];
+    const slug = Array.isArray(value) ? value[0] : value;
+    return slug || null;
+  };
+}
+
+/**
+ * Reads the current organization slug from storage, outside of React.
+ * @returns {string|null} Organization slug if present, null otherwise
+ */
+export function getOrganization() {
+  return storage.getItem('organization_slug');
 }
 
 /**
  * Sets the organization slug in storage and notifies listeners.
- * @param {string} slug - Organization slug to set
+ * The slug is also remembered as `last_organization`, which survives logout
+ * and is preferred at the next login when the user is still a member.
+ * Passing null clears both.
+ * @param {string|null} slug - Organization slug to set
  */
 export function setOrganization(slug) {
   if (slug) {
     storage.setItem('organization_slug', slug);
+    storage.setItem('last_organization', slug);
   } else {
     storage.removeItem('organization_slug');
+    storage.removeItem('last_organization');
   }
   events.emit('organization_slug', slug);
 }
+
+/**
+ * Reads the organization remembered from a previous session.
+ * @returns {string|null}
+ */
+export function getLastOrganization() {
+  return storage.getItem('last_organization');
+}
+
+/**
+ * Switch to another organization: store and announce the slug like
+ * setOrganization, then drop the cached data of every other organization
+ * so it is neither shown nor kept in memory for the new tenant.
+ *
+ * @param {string} slug - Organization slug to switch to
+ * @param {import('@tanstack/react-query').QueryClient} [queryClient] - Cache to clean up
+ *
+ * @example
+ * const queryClient = useQueryClient();
+ * switchOrganization('acme', queryClient);
+ */
+export function switchOrganization(slug, queryClient) {
+  const previous = getOrganization();
+  if (previous === slug) return;
+
+  setOrganization(slug);
+  if (queryClient) {
+    removeOtherTenantQueries(queryClient, slug);
+  }
+}
@@ -0,0 +1,17 @@
+import type { Organization } from '../types';
+
+export function readMemberships(): Organization[];
+export function storeMemberships(organizations: Organization[] | null): void;
+
+export function useOrganizations<T extends { slug: string } = Organization>(): {
+  /** Organizations the user belongs to */
+  organizations: T[];
+  /** Current organization slug */
+  organization: string | null;
+  /** Membership matching the current slug, or null */
+  currentOrganization: T | null;
+  /** Store the slug, notify listeners and drop other organizations' cached queries */
+  switchOrganization: (slug: string) => void;
+  /** True while the current user is loading */
+  isLoading: boolean;
+};
@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { storage } from '../lib/storage';
+import { registerStorageKeys } from '../lib/storageKeys';
+import { events } from '../lib/events';
+import { useCurrentUser } from './useCurrentUser';
+import { useOrganization, switchOrganization } from './useOrganization';
+
+registerStorageKeys('organizations');
+
+function parseMemberships(json) {
+  if (!json) return [];
+  try {
+    const list = JSON.parse(json);
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Reads the organizations stored from the last login response.
+ * @returns {Array<Object>}
+ */
+export function readMemberships() {
+  return parseMemberships(storage.getItem('organizations'));
+}
+
+/**
+ * Stores the user's organizations (from a login response) and notifies listeners.
+ * @param {Array<Object>|null} organizations
+ */
+export function storeMemberships(organizations) {
+  const json = Array.isArray(organizations) && organizations.length > 0 ? JSON.stringify(organizations) : null;
+  if (json) {
+    storage.setItem('organizations', json);
+  } else {
+    storage.removeItem('organizations');
+  }
+  events.emit('organizations', json);
+}
+
+/**
+ * Hook to list the organizations the user belongs to and switch between them.
+ *
+ * Memberships come from `user.organizations` (see useCurrentUser), or from the
+ * `organizations` of the login response when the user object has none.
+ * `switchOrganization(slug)` stores the new slug (remembered for the next login)
+ * and removes the previous organization's cached queries.
+ *
+ * @returns {Object} { organizations, organization, currentOrganization, switchOrganization, isLoading }
+ *
+ * @example
+ * const { organizations, currentOrganization, switchOrganization } = useOrganizations();
+ *
+ * <select value={currentOrganization?.slug} onChange={(e) => switchOrganization(e.target.value)}>
+ *   {organizations.map((org) => <option key={org.slug} value={org.slug}>{org.name}</option>)}
+ * </select>
+ */
+export function useOrganizations() {
+  const queryClient = useQueryClient();
+  const { user, isLoading } = useCurrentUser(queryClient);
+  const organization = useOrganization();
+  const [stored, setStored] = useState(readMemberships);
+
+  useEffect(() => {
+    return events.subscribe('organizations', (json) => setStored(parseMemberships(json)));
+  }, []);
+
+  const organizations = Array.isArray(user?.organizations) ? user.organizations : stored;
+  const switchTo = useCallback((slug) => switchOrganization(slug, queryClient), [queryClient]);
+
+  return {
+    organizations,
+    organization,
+    currentOrganization: organizations.find((org) => org.slug === organization) || null,
+    switchOrganization: switchTo,
+    isLoading,
+  };
+}
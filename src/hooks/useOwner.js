@@ -1,6 +1,7 @@
 import { useQuery } from '@tanstack/react-query';
-import api from '../lib/axios';
 import { useOrganization } from './useOrganization';
+import { useLuminaClient } from './useLuminaClient';
+import { clientScope } from '../lib/tenantCache';
 
 /**
  * Hook to fetch the current organization/owner
@@ -9,6 +10,7 @@ import { useOrganization } from './useOrganization';
  */
 export function useOwner(slug = null) {
   const organizationFromUrl = useOrganization();
+  const client = useLuminaClient();
   const targetSlug = slug || organizationFromUrl;
   
   // If no slug available, return a disabled query result
@@ -27,9 +29,9 @@ export function useOwner(slug = null) {
   const url = `/${targetSlug}/organizations?filter[slug]=${encodeURIComponent(targetSlug)}&include=users`;
   
   return useQuery({
-    queryKey: ['owner', targetSlug],
-    queryFn: async () => {
-      const response = await api.get(url);
+    queryKey: ['owner', clientScope(client), targetSlug],
+    queryFn: async ({ signal }) => {
+      const response = await client.get(url, { signal });
       const data = response.data;
       
       // If it's an array, return the first matching organization
@@ -0,0 +1,149 @@
+import { useCallback } from 'react';
+import { QueryClient, dehydrate, useQueryClient } from '@tanstack/react-query';
+import type { DehydratedState } from '@tanstack/react-query';
+import { useOrganization, getOrganization } from './useOrganization';
+import { useLuminaClient } from './useLuminaClient';
+import { modelIndexQuery, modelShowQuery } from './useModel';
+import type {
+  DehydrateModelOptions,
+  ModelName,
+  ModelQueryDescriptor,
+  ModelQueryOptions,
+  ModelQueryOptionsFor,
+  PrefetchOptions,
+  ResolveModelRow,
+} from '../types';
+
+function requestConfigFor(token?: string) {
+  return token ? { headers: { Authorization: `Bearer ${token}` } } : undefined;
+}
+
+/**
+ * Prefetch a model list into the cache under the same key useModelIndex uses,
+ * so a later `useModelIndex(model, options)` renders from cache.
+ *
+ * Uses the organization from storage unless `prefetchOptions.organization` is given.
+ *
+ * @example
+ * // Prefetch the next page
+ * prefetchModelIndex(queryClient, 'posts', { ...options, page: page + 1 });
+ */
+export async function prefetchModelIndex<T = never, M extends ModelName = ModelName>(
+  queryClient: QueryClient,
+  model: M,
+  options: ModelQueryOptionsFor<T, M> = {},
+  prefetchOptions: PrefetchOptions = {},
+): Promise<void> {
+  const organization = prefetchOptions.organization ?? getOrganization();
+  if (!organization) return;
+
+  await queryClient.prefetchQuery({
+    ...modelIndexQuery<ResolveModelRow<T, M>>(model, organization, options, prefetchOptions.client, requestConfigFor(prefetchOptions.token)),
+    staleTime: prefetchOptions.staleTime,
+  });
+}
+
+/**
+ * Prefetch a single model into the cache under the same key useModelShow uses.
+ *
+ * Uses the organization from storage unless `prefetchOptions.organization` is given.
+ *
+ * @example
+ * prefetchModelShow(queryClient, 'posts', post.id, { includes: ['author'] });
+ */
+export async function prefetchModelShow<T = never, M extends ModelName = ModelName>(
+  queryClient: QueryClient,
+  model: M,
+  id: string | number,
+  options: ModelQueryOptionsFor<T, M> = {},
+  prefetchOptions: PrefetchOptions = {},
+): Promise<void> {
+  const organization = prefetchOptions.organization ?? getOrganization();
+  if (!organization || !id) return;
+
+  await queryClient.prefetchQuery({
+    ...modelShowQuery<ResolveModelRow<T, M>>(model, id, organization, options, prefetchOptions.client, requestConfigFor(prefetchOptions.token)),
+    staleTime: prefetchOptions.staleTime,
+  });
+}
+
+/**
+ * Fetch model queries on the server and return dehydrated state for
+ * `<HydrationBoundary state={...}>`. Queries are stored under the same keys
+ * useModelIndex/useModelShow use, so the client renders them without refetching.
+ *
+ * Nothing is read from storage: the organization (and token, if the API needs one)
+ * must be passed explicitly. Failed queries are left out of the dehydrated state.
+ * On the server, pass a `client` with an absolute baseURL: the default '/api'
+ * cannot be resolved under Node.
+ *
+ * @example
+ * // Next.js server component / loader
+ * const client = createLuminaClient({ baseURL: process.env.API_URL, cacheKey: '/api' });
+ * const state = await dehydrateModelQueries(
+ *   [
+ *     { model: 'posts', options: { page: 1, perPage: 20 } },
+ *     { model: 'posts', id: params.id, options: { includes: ['author'] } },
+ *   ],
+ *   { organization: params.org, token: session.token, client }
+ * );
+ *
+ * <HydrationBoundary state={state}><Posts /></HydrationBoundary>
+ */
+export async function dehydrateModelQueries(
+  queries: ModelQueryDescriptor[],
+  { organization, token, client, queryClient = new QueryClient() }: DehydrateModelOptions,
+): Promise<DehydratedState> {
+  if (!organization) {
+    throw new Error('Organization slug is required to dehydrate model queries');
+  }
+
+  await Promise.all(
+    queries.map(({ model, id, options = {} }) => {
+      // Checked against the descriptor's model already; widen to the loose options here
+      const queryOptions: ModelQueryOptions = { ...options };
+      return id === undefined
+        ? prefetchModelIndex<Record<string, any>>(queryClient, model, queryOptions, { organization, token, client })
+        : prefetchModelShow<Record<string, any>>(queryClient, model, id, queryOptions, { organization, token, client });
+    }),
+  );
+
+  return dehydrate(queryClient);
+}
+
+/**
+ * Hook returning prefetch callbacks bound to a model and the current organization,
+ * for hover/focus prefetching.
+ *
+ * @example
+ * const { prefetchShow } = usePrefetchModel('posts');
+ *
+ * <Link
+ *   to={`/posts/${post.id}`}
+ *   onMouseEnter={() => prefetchShow(post.id, { includes: ['author'] })}
+ * />
+ */
+export function usePrefetchModel<T = never, M extends ModelName = ModelName>(model: M, prefetchOptions: Pick<PrefetchOptions, 'staleTime'> = {}) {
+  const organization = useOrganization();
+  const client = useLuminaClient();
+  const queryClient = useQueryClient();
+  const { staleTime } = prefetchOptions;
+
+  const prefetchIndex = useCallback(
+    (options: ModelQueryOptionsFor<T, M> = {}) => {
+      if (!organization) return Promise.resolve();
+      return prefetchModelIndex<T, M>(queryClient, model, options, { organization, staleTime, client });
+    },
+    [queryClient, client, model, organization, staleTime],
+  );
+
+  const prefetchShow = useCallback(
+    (id: string | number, options: ModelQueryOptionsFor<T, M> = {}) => {
+      if (!organization) return Promise.resolve();
+      return prefetchModelShow<T, M>(queryClient, model, id, options, { organization, staleTime, client });
+    },
+    [queryClient, client, model, organization, staleTime],
+  );
+
+  return { prefetchIndex, prefetchShow };
+}
@@ -0,0 +1,3 @@
+import type { RateLimitState } from '../lib/retry';
+
+export function useRateLimit(): RateLimitState;
@@ -0,0 +1,37 @@
+import { useCallback, useEffect, useState, useSyncExternalStore } from 'react';
+import { getRateLimit, subscribeRateLimit } from '../lib/axios';
+import { useLuminaClient } from './useLuminaClient';
+
+/**
+ * Hook to read the rate-limit state of the current API client, taken from the
+ * X-RateLimit-Limit / X-RateLimit-Remaining headers of its responses and the
+ * Retry-After / X-RateLimit-Reset headers of a 429.
+ *
+ * `isLimited` is true after a 429 until `resetAt` passes (or the next
+ * successful response).
+ *
+ * @returns {{ limit: number|null, remaining: number|null, resetAt: number|null, isLimited: boolean }}
+ *
+ * @example
+ * const { isLimited, resetAt, remaining } = useRateLimit();
+ *
+ * if (isLimited) {
+ *   return <Banner>Too many requests, try again at {new Date(resetAt).toLocaleTimeString()}</Banner>;
+ * }
+ */
+export function useRateLimit() {
+  const client = useLuminaClient();
+  const subscribe = useCallback((listener) => subscribeRateLimit(client, listener), [client]);
+  const state = useSyncExternalStore(subscribe, () => getRateLimit(client), () => getRateLimit(client));
+  const [, setExpiredAt] = useState(null);
+
+  // Re-render when the limit window ends so isLimited flips back without a new response
+  useEffect(() => {
+    if (!state.isLimited || state.resetAt === null) return undefined;
+    const timer = setTimeout(() => setExpiredAt(state.resetAt), Math.max(0, state.resetAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [state]);
+
+  const expired = state.isLimited && state.resetAt !== null && state.resetAt <= Date.now();
+  return expired ? { ...state, isLimited: false } : state;
+}
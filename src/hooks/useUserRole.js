@@ -1,9 +1,10 @@
 import { useMemo } from 'react';
 import { useQuery } from '@tanstack/react-query';
-import api from '../lib/axios';
 import { useOrganization } from './useOrganization';
+import { useLuminaClient } from './useLuminaClient';
+import { clientScope } from '../lib/tenantCache';
 import { useOwner } from './useOwner';
-import { storage } from '../lib/storage';
+import { useCurrentUser } from './useCurrentUser';
 
 /**
  * Hook to get the current user's roles in the current organization.
@@ -17,21 +18,19 @@ import { storage } from '../lib/storage';
  */
 export function useUserRole() {
   const slug = useOrganization();
+  const client = useLuminaClient();
   const { data: organization, isLoading: isLoadingOrg } = useOwner();
 
   const { data: allRoles, isLoading: isLoadingRoles } = useQuery({
-    queryKey: ['roles', slug],
-    queryFn: async () => {
-      const response = await api.get(`/${slug}/roles`);
+    queryKey: ['roles', clientScope(client), slug],
+    queryFn: async ({ signal }) => {
+      const response = await client.get(`/${slug}/roles`, { signal });
       return Array.isArray(response.data) ? response.data : [];
     },
     enabled: !!slug,
   });
 
-  const currentUser = useMemo(() => {
-    const json = storage.getItem('user');
-    return json ? JSON.parse(json) : null;
-  }, []);
+  const { user: currentUser } = useCurrentUser();
 
   const roleIds = useMemo(() => {
     if (!organization?.users || !currentUser) return [];
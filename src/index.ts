@@ -13,17 +13,44 @@ export * from './lib';
 
 // Re-export context providers
 export { AuthProvider, useAuth } from './context/AuthContext';
+export { LuminaProvider } from './context/LuminaContext';
+export { OrganizationProvider } from './context/OrganizationContext';
 // Re-export storage and events adapters
-export { storage, createWebStorage, initStorage } from './lib/storage';
+export { storage, createWebStorage, createMemoryStorage, initStorage, runWithStorage, configureStorage, setStorageNamespace, configureStorageScope } from './lib/storage';
+export {
+  createSessionStorage,
+  createPrefixedStorage,
+  createAsyncStorage,
+  createEncryptedStorage,
+} from './lib/storageAdapters';
+export { registerStorageKeys } from './lib/storageKeys';
 export { events, createWebEvents } from './lib/events';
 
 // Re-export TypeScript types
 export type {
   PaginationMeta,
   ModelQueryOptions,
+  LuminaModels,
+  ModelName,
+  ModelRow,
+  ModelMutationOptions,
+  PrefetchOptions,
+  ModelQueryDescriptor,
+  DehydrateModelOptions,
+  ModelFilters,
+  FilterValue,
+  FilterOperators,
+  FilterScalar,
+  BulkResult,
+  BulkFailure,
   NestedOperation,
   AuditLog,
   LoginResult,
+  AuthResult,
+  RegisterData,
+  ResetPasswordData,
+  VerifyEmailParams,
+  TwoFactorCode,
   QueryResponse,
   InvitationStatus,
   Invitation,
@@ -31,3 +58,13 @@ export type {
   User,
   Role,
 } from './types';
+export type { QuerySerializer } from './lib/query';
+export type { AuthMode, ConfigureApiOptions, LuminaClientConfig } from './lib/axios';
+export type { RetryOptions, RateLimitState } from './lib/retry';
+export type { OfflineQueue, OfflineQueueEntry, OfflineQueueOptions, OfflineQueueState, OfflineRequest } from './lib/offlineQueue';
+export type { ConnectivityAdapter, MemoryConnectivity } from './lib/connectivity';
+export type { PersistQueryCacheOptions } from './lib/queryPersister';
+export type { StorageAdapter, StorageScope } from './lib/storage';
+export type { AsyncStore, AsyncStorageOptions, EncryptedStorageOptions } from './lib/storageAdapters';
+export type { FieldErrors, SetFieldError, LuminaErrorOptions } from './lib/errors';
+export type { OrganizationResolver } from './context/OrganizationContext';
@@ -1,11 +1,66 @@
 import { AxiosInstance } from 'axios';
+import type { QuerySerializer } from './query';
+import type { RetryOptions, RateLimitState } from './retry';
+import type { OfflineQueueOptions } from './offlineQueue';
+
+/** 'token' sends the stored bearer token; 'cookie' uses Laravel Sanctum SPA cookies */
+export type AuthMode = 'token' | 'cookie';
 
 export interface ConfigureApiOptions {
   baseURL?: string;
+  authMode?: AuthMode;
+  /** Name of the client in query keys (defaults to baseURL); give the server and browser clients of one backend the same name */
+  cacheKey?: string | null;
   onUnauthorized?: () => void;
+  /** Endpoint called once on 401 to get a new token before retrying (null disables) */
+  refreshEndpoint?: string | null;
+  /** Retry 429/5xx responses with backoff (`true` for the defaults, null/false disables) */
+  retry?: boolean | RetryOptions | null;
+  /** Default per-request timeout in ms (0 = none) */
+  timeout?: number;
+  /** Connectivity and storage key of the queue used by `{ offline: true }` mutations */
+  offline?: OfflineQueueOptions | null;
+  /** Custom query-string serializer for the model hooks (null restores the default) */
+  querySerializer?: QuerySerializer | null;
 }
 
+export interface LuminaClientConfig {
+  baseURL?: string;
+  authMode?: AuthMode;
+  /** Name of the client in query keys (defaults to baseURL); give the server and browser clients of one backend the same name */
+  cacheKey?: string | null;
+  onUnauthorized?: () => void;
+  /** Endpoint called once on 401 to get a new token before retrying */
+  refreshEndpoint?: string;
+  headers?: Record<string, string>;
+  withCredentials?: boolean;
+  /** Retry 429/5xx responses with backoff (`true` for the defaults) */
+  retry?: boolean | RetryOptions;
+  /** Per-request timeout in ms (0 = none) */
+  timeout?: number;
+  /** Connectivity and storage key of the queue used by `{ offline: true }` mutations */
+  offline?: OfflineQueueOptions;
+}
+
+export function createLuminaClient(config?: LuminaClientConfig): AxiosInstance;
 export function configureApi(options?: ConfigureApiOptions): void;
+export function getRateLimit(client: AxiosInstance): RateLimitState;
+export function subscribeRateLimit(client: AxiosInstance, listener: () => void): () => void;
 
 declare const api: AxiosInstance;
 export default api;
+
+declare module 'axios' {
+  interface AxiosRequestConfig {
+    /** How requests authenticate (set on the client defaults) */
+    authMode?: AuthMode;
+    /** Name of the client in query keys (set on the client defaults) */
+    cacheKey?: string | null;
+    /** Don't try to refresh the token when this request gets a 401 */
+    skipAuthRefresh?: boolean;
+    /** Let the caller handle a 401 (no token clearing, refresh or onUnauthorized) */
+    skipUnauthorized?: boolean;
+    /** Override the client retry policy for this request (`true` also opts in mutations) */
+    retry?: boolean | RetryOptions;
+  }
+}
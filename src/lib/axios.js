@@ -1,26 +1,303 @@
 import axios from 'axios';
 import { storage } from './storage';
+import { registerStorageKeys } from './storageKeys';
+import { events } from './events';
+import { setQuerySerializer } from './query';
+import { normalizeError } from './errors';
+import { configureOfflineQueue } from './offlineQueue';
+import {
+  EMPTY_RATE_LIMIT,
+  computeRetryDelay,
+  createRateLimitStore,
+  requestRetryPolicy,
+  resolveRetryPolicy,
+  waitForRetry,
+} from './retry';
 
-const api = axios.create({
-  baseURL: '/api',
-  withCredentials: true, // Required for Sanctum cookie-based auth
-  headers: {
-    'X-Requested-With': 'XMLHttpRequest',
-    'Accept': 'application/json',
-    'Content-Type': 'application/json',
-  },
-});
+const DEFAULT_HEADERS = {
+  'X-Requested-With': 'XMLHttpRequest',
+  'Accept': 'application/json',
+  'Content-Type': 'application/json',
+};
 
-let onUnauthorized = null;
+registerStorageKeys('token');
+
+// Per-client settings read by the interceptors, so configureApi() can update them later
+const clientSettings = new WeakMap();
+
+/**
+ * Store a token and notify listeners (AuthProvider keeps its state in sync).
+ * @param {string|null} token
+ */
+function setStoredToken(token) {
+  if (token) {
+    storage.setItem('token', token);
+  } else {
+    storage.removeItem('token');
+  }
+  events.emit('token', token);
+}
+
+function handleUnauthorized(client) {
+  // Clear token
+  setStoredToken(null);
+  // Call custom handler or default web redirect
+  const { onUnauthorized } = clientSettings.get(client);
+  if (onUnauthorized) {
+    onUnauthorized();
+  } else if (typeof window !== 'undefined') {
+    window.location.href = '/';
+  }
+}
+
+/**
+ * Call the refresh endpoint once; concurrent callers share the pending request.
+ * @returns {Promise<string>} The new token
+ */
+function refreshToken(client) {
+  const settings = clientSettings.get(client);
+
+  if (!settings.refreshing) {
+    settings.refreshing = client
+      .post(settings.refreshEndpoint, null, { skipAuthRefresh: true, _authRefresh: true })
+      .then((response) => {
+        const token = response.data?.token ?? response.data?.access_token;
+        if (!token) {
+          throw new Error('Token refresh response did not include a token');
+        }
+        setStoredToken(token);
+        return token;
+      })
+      .finally(() => {
+        settings.refreshing = null;
+      });
+  }
+
+  return settings.refreshing;
+}
+
+/**
+ * Retry a failed request if its retry policy allows it.
+ * @returns {Promise|null} The retried request, or null to let the error through
+ */
+function retryRequest(client, error) {
+  const original = error.config;
+  if (!original || !error.response) return null;
+
+  const policy = requestRetryPolicy(clientSettings.get(client).retry, original);
+  const attempt = original._retryCount || 0;
+  if (!policy || attempt >= policy.retries || !policy.statuses.includes(error.response.status)) {
+    return null;
+  }
+
+  const delay = computeRetryDelay(error.response, attempt, policy);
+  if (delay === null) return null;
+
+  original._retryCount = attempt + 1;
+  return waitForRetry(delay, original.signal).then(
+    () => client(original),
+    (cancelled) => Promise.reject(normalizeError(cancelled))
+  );
+}
+
+function readCookie(name) {
+  if (typeof document === 'undefined' || !document.cookie) return null;
+  const match = document.cookie.split('; ').find((part) => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+function attachToken(requestConfig) {
+  if (requestConfig.authMode === 'cookie') {
+    // Sanctum SPA auth: the session cookie authenticates; forward the CSRF token
+    const xsrf = readCookie('XSRF-TOKEN');
+    if (xsrf && !requestConfig.headers['X-XSRF-TOKEN']) {
+      requestConfig.headers['X-XSRF-TOKEN'] = xsrf;
+    }
+    return requestConfig;
+  }
+
+  const token = storage.getItem('token');
+  // Keep an explicit Authorization header (e.g. a token passed for server rendering)
+  if (token && !requestConfig.headers.Authorization) {
+    requestConfig.headers.Authorization = `Bearer ${token}`;
+    requestConfig._authToken = token;
+  }
+  return requestConfig;
+}
+
+/**
+ * Create an API client for one Lumina backend.
+ * Each client has its own baseURL, headers and 401 handling; the token is read from storage.
+ * Failed requests reject with a LuminaError subclass (LuminaNotFoundError, LuminaValidationError, ...).
+ * Provide it to the hooks with `<LuminaProvider client={client}>`.
+ *
+ * @param {Object} [config]
+ * @param {string} [config.baseURL='/api'] - API base URL
+ * @param {Function} [config.onUnauthorized] - Callback when a 401 response is received.
+ *   Defaults to redirecting to '/' on web.
+ * @param {string} [config.refreshEndpoint] - Endpoint to refresh the token on 401 (see configureApi)
+ * @param {'token'|'cookie'} [config.authMode='token'] - Bearer token from storage, or Sanctum SPA cookies
+ * @param {string} [config.cacheKey] - Name of the client in query keys (defaults to baseURL).
+ *   Give the server and browser clients of one backend the same name so prefetched queries hydrate.
+ * @param {Object} [config.headers] - Extra default headers
+ * @param {boolean} [config.withCredentials=true] - Send cookies with requests
+ * @param {boolean|Object} [config.retry] - Retry policy for 429/5xx responses (see configureApi)
+ * @param {number} [config.timeout=0] - Per-request timeout in ms (0 = none)
+ * @param {Object} [config.offline] - Offline queue options: `storageKey`, `connectivity` (see configureApi)
+ * @returns {import('axios').AxiosInstance}
+ *
+ * @example
+ * const billing = createLuminaClient({ baseURL: 'https://billing.example.com/api' });
+ *
+ * <LuminaProvider client={billing}>
+ *   <Invoices />
+ * </LuminaProvider>
+ */
+export function createLuminaClient(config = {}) {
+  const client = axios.create({
+    baseURL: config.baseURL || '/api',
+    withCredentials: config.withCredentials ?? true, // Required for Sanctum cookie-based auth
+    headers: { ...DEFAULT_HEADERS, ...config.headers },
+    authMode: config.authMode || 'token',
+    cacheKey: config.cacheKey ?? null,
+    timeout: config.timeout || 0,
+  });
+
+  clientSettings.set(client, {
+    onUnauthorized: config.onUnauthorized || null,
+    refreshEndpoint: config.refreshEndpoint || null,
+    refreshing: null,
+    retry: resolveRetryPolicy(config.retry),
+    rateLimit: createRateLimitStore(),
+  });
+
+  if (config.offline) {
+    configureOfflineQueue(client, config.offline);
+  }
+
+  // Request interceptor to attach token from storage
+  client.interceptors.request.use(
+    (requestConfig) => {
+      // Hold new requests while a token refresh is in flight
+      const { refreshing } = clientSettings.get(client);
+      if (refreshing && !requestConfig.skipAuthRefresh) {
+        return refreshing.then(
+          () => attachToken(requestConfig),
+          () => attachToken(requestConfig)
+        );
+      }
+      return attachToken(requestConfig);
+    },
+    (error) => {
+      return Promise.reject(error);
+    }
+  );
+
+  // Response interceptor: token refresh / 401 handling, then typed errors (see ./errors)
+  client.interceptors.response.use(
+    (response) => {
+      clientSettings.get(client).rateLimit.update(response);
+      return response;
+    },
+    (error) => {
+      clientSettings.get(client).rateLimit.update(error.response);
+
+      if (error.response?.status === 401) {
+        const original = error.config;
+
+        // A failed refresh is handled by the request that triggered it;
+        // probes (e.g. AuthProvider's /auth/me) handle their own 401
+        if (original?._authRefresh || original?.skipUnauthorized) {
+          return Promise.reject(normalizeError(error));
+        }
+
+        const { refreshEndpoint } = clientSettings.get(client);
+        const canRefresh = refreshEndpoint && original && original.authMode !== 'cookie'
+          && !original.skipAuthRefresh && !original._authRetry
+          // Requests with a caller-supplied Authorization header are not ours to refresh
+          && (original._authToken || !original.headers?.Authorization);
+
+        if (canRefresh) {
+          // Another request may already have refreshed the token this one was sent with
+          const current = storage.getItem('token');
+          const pending = current && original._authToken && current !== original._authToken
+            ? Promise.resolve(current)
+            : refreshToken(client);
+
+          return pending.then(
+            (token) => {
+              original._authRetry = true;
+              original._authToken = token;
+              original.headers.Authorization = `Bearer ${token}`;
+              return client(original);
+            },
+            () => {
+              handleUnauthorized(client);
+              return Promise.reject(normalizeError(error));
+            }
+          );
+        }
+
+        handleUnauthorized(client);
+        return Promise.reject(normalizeError(error));
+      }
+
+      return retryRequest(client, error) ?? Promise.reject(normalizeError(error));
+    }
+  );
+
+  return client;
+}
+
+/**
+ * Rate-limit state of a client, from the X-RateLimit-* and Retry-After headers
+ * of its latest responses. Clients not created by createLuminaClient have none.
+ */
+export function getRateLimit(client) {
+  return clientSettings.get(client)?.rateLimit.getState() ?? EMPTY_RATE_LIMIT;
+}
+
+/**
+ * Call `listener` whenever the rate-limit state of `client` changes.
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeRateLimit(client, listener) {
+  return clientSettings.get(client)?.rateLimit.subscribe(listener) ?? (() => {});
+}
+
+/** Default client, used by the hooks outside a LuminaProvider */
+const api = createLuminaClient();
 
 /**
- * Configure the API client base URL and behavior.
+ * Configure the default API client base URL and behavior.
  * Call this early in your app (e.g., in main.tsx) before making any API calls.
  *
  * @param {Object} options
  * @param {string} [options.baseURL] - API base URL
  * @param {Function} [options.onUnauthorized] - Callback when a 401 response is received.
  *   Defaults to redirecting to '/' on web. React Native apps should pass their own navigation logic.
+ * @param {'token'|'cookie'} [options.authMode] - 'token' (default) sends the stored bearer token;
+ *   'cookie' uses Laravel Sanctum SPA authentication: no token is stored, the XSRF-TOKEN cookie
+ *   is forwarded as X-XSRF-TOKEN, and AuthProvider fetches /sanctum/csrf-cookie before login.
+ * @param {string|null} [options.cacheKey] - Name of the client in query keys (defaults to baseURL).
+ * @param {string|null} [options.refreshEndpoint] - Endpoint (e.g. '/auth/refresh') called once on 401.
+ *   Requests that fail or start meanwhile wait for it and are retried with the new token
+ *   (read from `token` or `access_token` in the response). onUnauthorized runs only if the
+ *   refresh fails. Pass null to disable.
+ * @param {boolean|Object|null} [options.retry] - Retry 429 and 5xx responses. `true` uses the defaults;
+ *   an object overrides them: `retries` (3), `baseDelay` ms (300), `maxDelay` ms (30000),
+ *   `methods` (['get', 'head', 'options']) and `statuses` ([429, 500, 502, 503, 504]).
+ *   Delays double per attempt with jitter; Retry-After or X-RateLimit-Reset is waited out
+ *   instead when present, and the request fails if that wait exceeds maxDelay.
+ *   Mutations are only retried when their method is listed or the request sets `retry: true`.
+ *   Pass false or null to disable.
+ * @param {number} [options.timeout] - Default per-request timeout in ms (0 = none). Requests that
+ *   exceed it reject with LuminaTimeoutError; aborted requests reject with LuminaCancelledError.
+ * @param {Object} [options.offline] - Options of the queue used by `{ offline: true }` mutations:
+ *   `connectivity` (an adapter such as createMemoryConnectivity(); defaults to navigator.onLine)
+ *   and `storageKey` ('offline_queue').
+ * @param {Function|null} [options.querySerializer] - Custom `(options, defaultSerializer) => string`
+ *   used by the model hooks to build query strings. Pass null to restore the default.
  *
  * @example
  * // Web
@@ -31,52 +308,63 @@ let onUnauthorized = null;
  *   baseURL: 'https://api.example.com/api',
  *   onUnauthorized: () => navigation.navigate('Login'),
  * });
+ *
+ * // Sanctum SPA (session cookie) authentication
+ * configureApi({ baseURL: 'https://app.example.com/api', authMode: 'cookie' });
+ *
+ * // Refresh expired tokens instead of logging out
+ * configureApi({ refreshEndpoint: '/auth/refresh' });
+ *
+ * // Back off on throttled or failing GETs
+ * configureApi({ retry: { retries: 5, maxDelay: 60000 } });
+ *
+ * // Give up on requests after 15 seconds
+ * configureApi({ timeout: 15000 });
+ *
+ * // React Native: queue writes while NetInfo reports no connection
+ * const connectivity = createMemoryConnectivity();
+ * NetInfo.addEventListener((state) => connectivity.setOnline(!!state.isConnected));
+ * configureApi({ offline: { connectivity } });
+ *
+ * // Send list filters as filter[status][]=a&filter[status][]=b
+ * configureApi({
+ *   querySerializer: (options, defaultSerializer) => {
+ *     const params = new URLSearchParams(defaultSerializer({ ...options, filters: undefined }));
+ *     Object.entries(options.filters || {}).forEach(([key, value]) => {
+ *       [].concat(value).forEach((v) => params.append(`filter[${key}][]`, v));
+ *     });
+ *     return params;
+ *   },
+ * });
  */
 export function configureApi(options = {}) {
   if (options.baseURL) {
     api.defaults.baseURL = options.baseURL;
   }
+  if (options.authMode) {
+    api.defaults.authMode = options.authMode;
+  }
+  if (options.cacheKey !== undefined) {
+    api.defaults.cacheKey = options.cacheKey;
+  }
   if (options.onUnauthorized) {
-    onUnauthorized = options.onUnauthorized;
+    clientSettings.get(api).onUnauthorized = options.onUnauthorized;
   }
-}
-
-// Request interceptor to attach token from storage
-api.interceptors.request.use(
-  (config) => {
-    const token = storage.getItem('token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
-
-// Response interceptor for error handling
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    // Handle CORS errors
-    if (!error.response && error.message && error.message.includes('CORS')) {
-      console.error('CORS Error: Make sure the Laravel backend CORS config includes your frontend URL');
-      return Promise.reject(new Error('CORS Error: Backend is not allowing requests from this origin. Please check Laravel CORS configuration.'));
-    }
-
-    if (error.response?.status === 401) {
-      // Clear token
-      storage.removeItem('token');
-      // Call custom handler or default web redirect
-      if (onUnauthorized) {
-        onUnauthorized();
-      } else if (typeof window !== 'undefined') {
-        window.location.href = '/';
-      }
-    }
-    return Promise.reject(error);
+  if (options.refreshEndpoint !== undefined) {
+    clientSettings.get(api).refreshEndpoint = options.refreshEndpoint;
   }
-);
+  if (options.timeout !== undefined) {
+    api.defaults.timeout = options.timeout || 0;
+  }
+  if (options.retry !== undefined) {
+    clientSettings.get(api).retry = resolveRetryPolicy(options.retry);
+  }
+  if (options.offline !== undefined) {
+    configureOfflineQueue(api, options.offline);
+  }
+  if (options.querySerializer !== undefined) {
+    setQuerySerializer(options.querySerializer);
+  }
+}
 
 export default api;
@@ -0,0 +1,12 @@
+export interface ConnectivityAdapter {
+  isOnline(): boolean;
+  /** Called with the new state whenever connectivity changes */
+  subscribe(listener: (online: boolean) => void): () => void;
+}
+
+export interface MemoryConnectivity extends ConnectivityAdapter {
+  setOnline(online: boolean): void;
+}
+
+export function createMemoryConnectivity(online?: boolean): MemoryConnectivity;
+export function createWebConnectivity(): ConnectivityAdapter;
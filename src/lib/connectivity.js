@@ -0,0 +1,58 @@
+/**
+ * Connectivity adapters for the offline queue: `isOnline()` plus a
+ * `subscribe(listener)` that is called with the new state on changes.
+ */
+
+/**
+ * In-memory connectivity whose state is set by hand. Use it in tests, or
+ * feed it from a native source such as NetInfo.
+ *
+ * @param {boolean} [online=true] - Initial state
+ * @returns {{ isOnline: () => boolean, subscribe: (listener: Function) => Function, setOnline: (online: boolean) => void }}
+ *
+ * @example
+ * const connectivity = createMemoryConnectivity();
+ * NetInfo.addEventListener((state) => connectivity.setOnline(!!state.isConnected));
+ */
+export function createMemoryConnectivity(online = true) {
+  let current = online;
+  const listeners = new Set();
+
+  return {
+    isOnline: () => current,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    setOnline(value) {
+      const next = !!value;
+      if (next === current) return;
+      current = next;
+      listeners.forEach((listener) => listener(current));
+    },
+  };
+}
+
+/**
+ * Connectivity from `navigator.onLine` and the window `online` / `offline`
+ * events. Where those don't exist (server, React Native) it reports online.
+ * @returns {{ isOnline: () => boolean, subscribe: (listener: Function) => Function }}
+ */
+export function createWebConnectivity() {
+  const hasEvents = typeof window !== 'undefined' && typeof window.addEventListener === 'function';
+
+  return {
+    isOnline: () => (typeof navigator !== 'undefined' && typeof navigator.onLine === 'boolean' ? navigator.onLine : true),
+    subscribe(listener) {
+      if (!hasEvents) return () => {};
+      const onOnline = () => listener(true);
+      const onOffline = () => listener(false);
+      window.addEventListener('online', onOnline);
+      window.addEventListener('offline', onOffline);
+      return () => {
+        window.removeEventListener('online', onOnline);
+        window.removeEventListener('offline', onOffline);
+      };
+    },
+  };
+}
@@ -0,0 +1,60 @@
+import type { AxiosResponse } from 'axios';
+
+/** Laravel validation messages keyed by field. */
+export type FieldErrors = Record<string, string[]>;
+
+export interface LuminaErrorOptions {
+  status?: number | null;
+  /** `X-Request-Id` response header */
+  requestId?: string | null;
+  response?: AxiosResponse;
+  cause?: unknown;
+}
+
+export class LuminaError extends Error {
+  constructor(message?: string, options?: LuminaErrorOptions);
+  /** HTTP status, or null when no response was received */
+  status: number | null;
+  requestId: string | null;
+  response?: AxiosResponse;
+  cause?: unknown;
+}
+
+export class LuminaUnauthorizedError extends LuminaError {}
+export class LuminaForbiddenError extends LuminaError {}
+export class LuminaNotFoundError extends LuminaError {}
+
+export interface LuminaValidationErrorOptions extends Omit<LuminaErrorOptions, 'status'> {
+  fieldErrors?: FieldErrors;
+  operationErrors?: Record<number, FieldErrors>;
+  operationIndex?: number | null;
+}
+
+export class LuminaValidationError extends LuminaError {
+  constructor(message?: string, options?: LuminaValidationErrorOptions);
+  fieldErrors: FieldErrors;
+  /** Nested operations only: messages grouped by operation index. */
+  operationErrors: Record<number, FieldErrors>;
+  /** Nested operations only: index of the first failed operation. */
+  operationIndex: number | null;
+}
+
+export class LuminaRateLimitedError extends LuminaError {
+  constructor(message?: string, options?: LuminaErrorOptions & { retryAfter?: number | null });
+  /** Seconds from the Retry-After header, or null */
+  retryAfter: number | null;
+}
+
+export class LuminaServerError extends LuminaError {}
+export class LuminaNetworkError extends LuminaError {}
+export class LuminaTimeoutError extends LuminaError {}
+/** The request was aborted (query cancelled, component unmounted); not a failure */
+export class LuminaCancelledError extends LuminaError {}
+
+export function normalizeError<E>(error: E): E | LuminaError;
+export function toValidationError<E>(error: E): E | LuminaValidationError;
+export function shouldRetryQuery(failureCount: number, error: unknown): boolean;
+
+export type SetFieldError = (field: string, error: { type: 'server'; message: string }) => void;
+
+export function applyFieldErrors(error: unknown, setError: SetFieldError, options?: { operation?: number }): boolean;
@@ -0,0 +1,288 @@
+import axios from 'axios';
+import { readHeader, parseRetryAfter } from './retry';
+
+const OPERATION_KEY = /^operations\.(\d+)\.(?:data\.)?(.+)$/;
+
+/**
+ * Base class of the errors thrown by the API client and the hooks.
+ * Keeps the axios `response` so `error.response.data` still works.
+ */
+export class LuminaError extends Error {
+  constructor(message, { status = null, requestId = null, response, cause } = {}) {
+    super(message);
+    this.name = 'LuminaError';
+    this.status = status;
+    this.requestId = requestId;
+    this.response = response;
+    this.cause = cause;
+  }
+}
+
+/** 401 - missing or expired credentials */
+export class LuminaUnauthorizedError extends LuminaError {
+  constructor(message = 'Unauthenticated.', options) {
+    super(message, options);
+    this.name = 'LuminaUnauthorizedError';
+  }
+}
+
+/** 403 - authenticated but not allowed (policy or role) */
+export class LuminaForbiddenError extends LuminaError {
+  constructor(message = 'This action is unauthorized.', options) {
+    super(message, options);
+    this.name = 'LuminaForbiddenError';
+  }
+}
+
+/** 404 - model or route not found */
+export class LuminaNotFoundError extends LuminaError {
+  constructor(message = 'Not found.', options) {
+    super(message, options);
+    this.name = 'LuminaNotFoundError';
+  }
+}
+
+/**
+ * 422 - Laravel rejected the payload. `fieldErrors` is Laravel's `errors`
+ * object (`{ field: string[] }`).
+ *
+ * For nested operations, `operationErrors` groups the messages by the index
+ * of the operation they belong to, and `operationIndex` is the first failed one.
+ */
+export class LuminaValidationError extends LuminaError {
+  constructor(message, { fieldErrors = {}, operationErrors = {}, operationIndex = null, ...options } = {}) {
+    super(message || 'The given data was invalid.', { ...options, status: 422 });
+    this.name = 'LuminaValidationError';
+    this.fieldErrors = fieldErrors;
+    this.operationErrors = operationErrors;
+    this.operationIndex = operationIndex;
+  }
+}
+
+/** 429 - throttled. `retryAfter` is the Retry-After header in seconds, if sent. */
+export class LuminaRateLimitedError extends LuminaError {
+  constructor(message = 'Too Many Attempts.', { retryAfter = null, ...options } = {}) {
+    super(message, options);
+    this.name = 'LuminaRateLimitedError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** 5xx - the backend failed */
+export class LuminaServerError extends LuminaError {
+  constructor(message = 'Server Error', options) {
+    super(message, options);
+    this.name = 'LuminaServerError';
+  }
+}
+
+/**
+ * No response at all. Browsers report a CORS rejection the same way as an
+ * unreachable host, so both end up here.
+ */
+export class LuminaNetworkError extends LuminaError {
+  constructor(message = 'Network Error: the API could not be reached. Check the connection and the backend CORS configuration.', options) {
+    super(message, options);
+    this.name = 'LuminaNetworkError';
+  }
+}
+
+/** The request exceeded the client timeout */
+export class LuminaTimeoutError extends LuminaError {
+  constructor(message = 'The request timed out.', options) {
+    super(message, options);
+    this.name = 'LuminaTimeoutError';
+  }
+}
+
+/**
+ * The request was aborted, e.g. by React Query when a query key changes or
+ * its component unmounts. Not a failure: don't show it to the user.
+ */
+export class LuminaCancelledError extends LuminaError {
+  constructor(message = 'The request was cancelled.', options) {
+    super(message, options);
+    this.name = 'LuminaCancelledError';
+  }
+}
+
+const STATUS_ERRORS = {
+  401: LuminaUnauthorizedError,
+  403: LuminaForbiddenError,
+  404: LuminaNotFoundError,
+  429: LuminaRateLimitedError,
+};
+
+/**
+ * Group `operations.N.*` keys (or every key, when the server names the
+ * `failed_operation`) by operation index.
+ */
+function groupOperationErrors(fieldErrors, failedOperation) {
+  const operationErrors = {};
+
+  Object.entries(fieldErrors).forEach(([key, messages]) => {
+    const match = key.match(OPERATION_KEY);
+    const index = match ? Number(match[1]) : failedOperation;
+    if (index === null) return;
+
+    const field = match ? match[2] : key;
+    operationErrors[index] = { ...operationErrors[index], [field]: messages };
+  });
+
+  return operationErrors;
+}
+
+function createValidationError(data, options) {
+  const fieldErrors = data.errors && typeof data.errors === 'object' ? data.errors : {};
+  const failedOperation = Number.isInteger(data.failed_operation) ? data.failed_operation : null;
+  const operationErrors = groupOperationErrors(fieldErrors, failedOperation);
+  const indexes = Object.keys(operationErrors).map(Number);
+
+  return new LuminaValidationError(data.message, {
+    ...options,
+    fieldErrors,
+    operationErrors,
+    operationIndex: failedOperation ?? (indexes.length ? Math.min(...indexes) : null),
+  });
+}
+
+/**
+ * Convert an axios error into the matching LuminaError subclass. LuminaErrors
+ * and non-axios errors are returned unchanged.
+ *
+ * @param {unknown} error - Error thrown by the API client
+ * @returns {unknown} The typed error
+ *
+ * @example
+ * try {
+ *   await axios.get(url);
+ * } catch (error) {
+ *   throw normalizeError(error);
+ * }
+ */
+export function normalizeError(error) {
+  if (!error || error instanceof LuminaError) {
+    return error;
+  }
+  if (axios.isCancel(error)) {
+    return new LuminaCancelledError(undefined, { cause: error });
+  }
+
+  const { response } = error;
+
+  if (!response) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new LuminaTimeoutError(undefined, { cause: error });
+    }
+    if (error.request || error.code === 'ERR_NETWORK') {
+      return new LuminaNetworkError(undefined, { cause: error });
+    }
+    return error;
+  }
+
+  const { status } = response;
+  const data = response.data && typeof response.data === 'object' ? response.data : {};
+  const options = {
+    status,
+    requestId: readHeader(response.headers, 'x-request-id'),
+    response,
+    cause: error,
+  };
+  const message = typeof data.message === 'string' && data.message ? data.message : undefined;
+
+  if (status === 422) {
+    return createValidationError(data, options);
+  }
+  if (status === 429) {
+    return new LuminaRateLimitedError(message, {
+      ...options,
+      retryAfter: parseRetryAfter(readHeader(response.headers, 'retry-after')),
+    });
+  }
+  if (STATUS_ERRORS[status]) {
+    return new STATUS_ERRORS[status](message, options);
+  }
+  if (status >= 500) {
+    return new LuminaServerError(message, options);
+  }
+  return new LuminaError(message || error.message || `Request failed with status code ${status}`, options);
+}
+
+/**
+ * Convert a 422 response error into a LuminaValidationError. Any other error
+ * is returned unchanged.
+ *
+ * @param {unknown} error - Error thrown by the API client
+ * @returns {unknown} LuminaValidationError for validation failures, otherwise `error`
+ */
+export function toValidationError(error) {
+  if (error instanceof LuminaValidationError || error?.response?.status !== 422) {
+    return error;
+  }
+  return normalizeError(error);
+}
+
+/** React Query's default number of retries, kept by shouldRetryQuery */
+const QUERY_RETRIES = 3;
+
+/**
+ * `retry` function for React Query. Network failures and 5xx responses are
+ * retried up to 3 times. A 4xx response (429 included) or a cancelled request
+ * is never retried, since sending it again won't change the answer and a
+ * throttled query would only burn more of the rate limit on top of the
+ * client's own retries.
+ *
+ * @param {number} failureCount - Failures so far
+ * @param {unknown} error - Error of the last attempt
+ * @returns {boolean}
+ *
+ * @example
+ * const queryClient = new QueryClient({
+ *   defaultOptions: { queries: { retry: shouldRetryQuery } },
+ * });
+ */
+export function shouldRetryQuery(failureCount, error) {
+  if (error instanceof LuminaCancelledError) return false;
+  const status = error?.status ?? error?.response?.status;
+  if (typeof status === 'number' && status >= 400 && status < 500) return false;
+  return failureCount < QUERY_RETRIES;
+}
+
+/**
+ * Feed validation messages into a form library's `setError`. The callback
+ * receives `(field, { type: 'server', message })`, which matches
+ * react-hook-form; for Formik wrap `setFieldError`.
+ *
+ * Pass `{ operation }` to apply only the errors of one nested operation.
+ *
+ * @param {unknown} error - Error from a mutation hook
+ * @param {Function} setError - Called once per field with its first message
+ * @param {Object} [options]
+ * @param {number} [options.operation] - Nested operation index to read from
+ * @returns {boolean} Whether any field error was applied
+ *
+ * @example
+ * // react-hook-form
+ * createPost.mutate(values, { onError: (error) => applyFieldErrors(error, setError) });
+ *
+ * // Formik
+ * applyFieldErrors(error, (field, { message }) => setFieldError(field, message));
+ */
+export function applyFieldErrors(error, setError, { operation } = {}) {
+  const validationError = toValidationError(error);
+  if (!(validationError instanceof LuminaValidationError)) {
+    return false;
+  }
+
+  const fieldErrors = operation === undefined
+    ? validationError.fieldErrors
+    : validationError.operationErrors[operation] ?? {};
+  const entries = Object.entries(fieldErrors);
+
+  entries.forEach(([field, messages]) => {
+    const message = Array.isArray(messages) ? messages[0] : String(messages);
+    setError(field, { type: 'server', message });
+  });
+
+  return entries.length > 0;
+}
@@ -1,6 +1,11 @@
+export interface EventInfo {
+  /** The change was made in another browser tab (always false on React Native) */
+  crossTab: boolean;
+}
+
 export interface EventsAdapter {
   emit(key: string, value: string | null): void;
-  subscribe(key: string, callback: (value: string | null) => void): () => void;
+  subscribe(key: string, callback: (value: string | null, info: EventInfo) => void): () => void;
 }
 
 export function createWebEvents(): EventsAdapter;
@@ -2,23 +2,32 @@
  * Event emitter for web (window StorageEvent).
  * On React Native, Metro bundler will resolve events.native.js instead.
  */
+import { stripNamespace } from './storageKeys';
 
 /**
  * Create a web event emitter using window storage events.
- * Supports cross-tab synchronization via StorageEvent.
+ * Supports cross-tab synchronization via StorageEvent; subscribers receive
+ * `{ crossTab: true }` as second argument for changes made in another tab.
+ * Without a window (server rendering) events are dropped.
  * @returns {{ emit: (key: string, value: string|null) => void, subscribe: (key: string, callback: Function) => Function }}
  */
 export function createWebEvents() {
+  const hasWindow = typeof window !== 'undefined' && typeof window.dispatchEvent === 'function';
+
   return {
     emit: (key, value) => {
+      if (!hasWindow) return;
       window.dispatchEvent(
         new StorageEvent('storage', { key, newValue: value })
       );
     },
     subscribe: (key, callback) => {
+      if (!hasWindow) return () => {};
       const handler = (e) => {
-        if (e.key === key) {
-          callback(e.newValue);
+        // Changes from other tabs carry the stored (namespaced) key; emit() dispatches the library key
+        const eventKey = e.storageArea ? stripNamespace(e.key) : e.key;
+        if (eventKey === key) {
+          callback(e.newValue, { crossTab: !!e.storageArea });
         }
       };
       window.addEventListener('storage', handler);
@@ -15,7 +15,7 @@ export function createNativeEvents() {
     emit: (key, value) => {
       const keyListeners = listeners[key];
       if (keyListeners) {
-        keyListeners.forEach((cb) => cb(value));
+        keyListeners.forEach((cb) => cb(value, { crossTab: false }));
       }
     },
     subscribe: (key, callback) => {
@@ -0,0 +1,3 @@
+import type { ModelFilters } from '../types';
+
+export function serializeFilters(filters?: ModelFilters): Array<[string, string]>;
@@ -0,0 +1,105 @@
+/**
+ * Serialize ModelQueryOptions.filters into Laravel/Spatie-style query parameters.
+ *
+ * Plain values map to `filter[field]=value`, arrays to a comma-separated list
+ * (`filter[field]=a,b`), and operator objects to one parameter per operator
+ * (`filter[field][gte]=10`).
+ */
+
+/** Operator keys accepted in a filter object, mapped to their query-string name */
+const OPERATORS = {
+  gt: 'gt',
+  gte: 'gte',
+  lt: 'lt',
+  lte: 'lte',
+  like: 'like',
+  between: 'between',
+  in: 'in',
+  notIn: 'not_in',
+  null: 'null',
+  notNull: 'not_null',
+};
+
+const LIST_OPERATORS = ['between', 'in', 'notIn'];
+
+/**
+ * Convert a scalar filter value to its query-string form.
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return String(value);
+}
+
+function formatList(value) {
+  return (Array.isArray(value) ? value : [value]).map(formatValue).join(',');
+}
+
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Serialize a filters object into `[name, value]` query parameter pairs.
+ * Filters whose value is `undefined` are skipped.
+ *
+ * @param {Object} [filters] - ModelQueryOptions.filters
+ * @returns {Array<[string, string]>}
+ * @throws {Error} When a filter object contains an unknown operator
+ *
+ * @example
+ * serializeFilters({
+ *   status: 'published',
+ *   category_id: [1, 2],
+ *   created_at: { between: ['2024-01-01', '2024-12-31'] },
+ *   views: { gte: 100 },
+ *   archived_at: { null: true },
+ * });
+ * // [
+ * //   ['filter[status]', 'published'],
+ * //   ['filter[category_id]', '1,2'],
+ * //   ['filter[created_at][between]', '2024-01-01,2024-12-31'],
+ * //   ['filter[views][gte]', '100'],
+ * //   ['filter[archived_at][null]', '1'],
+ * // ]
+ */
+export function serializeFilters(filters) {
+  const pairs = [];
+  if (!filters) return pairs;
+
+  Object.entries(filters).forEach(([field, value]) => {
+    if (value === undefined) return;
+
+    if (Array.isArray(value)) {
+      pairs.push([`filter[${field}]`, formatList(value)]);
+      return;
+    }
+
+    if (!isOperatorObject(value)) {
+      pairs.push([`filter[${field}]`, value === null ? 'null' : formatValue(value)]);
+      return;
+    }
+
+    Object.entries(value).forEach(([operator, operand]) => {
+      if (!Object.prototype.hasOwnProperty.call(OPERATORS, operator)) {
+        throw new Error(`Unknown filter operator "${operator}" for filter "${field}"`);
+      }
+      if (operand === undefined) return;
+
+      if (operator === 'null' || operator === 'notNull') {
+        // { null: false } means "is not null" and vice versa
+        const isNull = operator === 'null' ? !!operand : !operand;
+        pairs.push([`filter[${field}][${isNull ? 'null' : 'not_null'}]`, '1']);
+        return;
+      }
+
+      const formatted = LIST_OPERATORS.includes(operator) ? formatList(operand) : formatValue(operand);
+      pairs.push([`filter[${field}][${OPERATORS[operator]}]`, formatted]);
+    });
+  });
+
+  return pairs;
+}
@@ -3,14 +3,49 @@
  */
 
 // API Client
-export { default as api, configureApi } from './axios';
+export { default as api, configureApi, createLuminaClient } from './axios';
 
 // Storage & Events adapters
-export { storage, createWebStorage, initStorage } from './storage';
+export { storage, createWebStorage, createMemoryStorage, initStorage, runWithStorage, configureStorage, setStorageNamespace, configureStorageScope } from './storage';
+export {
+  createSessionStorage,
+  createPrefixedStorage,
+  createAsyncStorage,
+  createEncryptedStorage,
+} from './storageAdapters';
+export { registerStorageKeys } from './storageKeys';
 export { events, createWebEvents } from './events';
 
+// Errors
+export {
+  LuminaError,
+  LuminaUnauthorizedError,
+  LuminaForbiddenError,
+  LuminaNotFoundError,
+  LuminaValidationError,
+  LuminaRateLimitedError,
+  LuminaServerError,
+  LuminaNetworkError,
+  LuminaTimeoutError,
+  LuminaCancelledError,
+  normalizeError,
+  toValidationError,
+  applyFieldErrors,
+  shouldRetryQuery,
+} from './errors';
+
+// Offline queue
+export { createOfflineQueue, getOfflineQueue } from './offlineQueue';
+export { createMemoryConnectivity, createWebConnectivity } from './connectivity';
+
+// Query cache
+export { tenantQueryFilter } from './tenantCache';
+export { persistQueryCache, clearPersistedQueryCache } from './queryPersister';
+
 // Utilities
 export { extractPaginationFromHeaders } from './pagination';
+export { serializeFilters } from './filters';
+export { serializeQuery, defaultQuerySerializer, buildQueryPath } from './query';
 export { cn } from './utils';
 
 // Cogent.js Query Builder (optional)
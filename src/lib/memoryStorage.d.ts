@@ -0,0 +1,3 @@
+import type { StorageAdapter } from './storage';
+
+export function createMemoryStorage(initial?: Record<string, string>): StorageAdapter;
@@ -0,0 +1,26 @@
+/**
+ * In-memory storage adapter.
+ * For tests, or per-request storage during server rendering (runWithStorage).
+ */
+
+/**
+ * Create a storage adapter backed by a Map.
+ * @param {Object<string, string>} [initial] - Initial key/value pairs
+ * @returns {{ getItem: (key: string) => string|null, setItem: (key: string, value: string) => void, removeItem: (key: string) => void }}
+ *
+ * @example
+ * const requestStorage = createMemoryStorage({ organization_slug: 'acme' });
+ */
+export function createMemoryStorage(initial = {}) {
+  const values = new Map(Object.entries(initial));
+
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => {
+      values.set(key, String(value));
+    },
+    removeItem: (key) => {
+      values.delete(key);
+    },
+  };
+}
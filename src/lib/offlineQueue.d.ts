@@ -0,0 +1,57 @@
+import type { AxiosInstance, AxiosResponse } from 'axios';
+import type { ConnectivityAdapter } from './connectivity';
+
+export interface OfflineQueueOptions {
+  /** Storage key of the persisted queue (default 'offline_queue') */
+  storageKey?: string;
+  /** Connectivity source (default: navigator.onLine and online/offline events) */
+  connectivity?: ConnectivityAdapter;
+}
+
+export interface OfflineRequest {
+  method: 'post' | 'put' | 'delete';
+  url: string;
+  data?: unknown;
+  model?: string;
+  organization?: string;
+  /** Hook that queued the write: 'store', 'update' or 'delete' */
+  action?: string;
+}
+
+export interface OfflineQueueEntry extends OfflineRequest {
+  /** Sequential id; `$<id>.<field>` references the result of this entry */
+  id: number;
+  status: 'pending' | 'conflict';
+  /** Why the server refused the entry, for conflicts */
+  error: { status: number | null; message: string; fieldErrors: Record<string, string[]> | null } | null;
+  createdAt: number;
+}
+
+export interface OfflineQueueState {
+  entries: OfflineQueueEntry[];
+  isOnline: boolean;
+  isReplaying: boolean;
+}
+
+export interface OfflineQueue {
+  getState(): OfflineQueueState;
+  subscribe(listener: () => void): () => void;
+  onReplayed(listener: (entry: OfflineQueueEntry, data: unknown) => void): () => void;
+  send(request: OfflineRequest): Promise<AxiosResponse>;
+  enqueue(request: OfflineRequest): OfflineQueueEntry;
+  replay(): Promise<void>;
+  retry(id: number, data?: unknown): Promise<void>;
+  discard(id: number): void;
+  clear(): void;
+  dispose(): void;
+}
+
+export function createOfflineQueue(client: AxiosInstance, options?: OfflineQueueOptions): OfflineQueue;
+export function configureOfflineQueue(client: AxiosInstance, options?: OfflineQueueOptions | null): void;
+export function getOfflineQueue(client: AxiosInstance): OfflineQueue;
+export function clearOfflineQueue(client: AxiosInstance): void;
+export function sendOrQueue<R>(
+  client: AxiosInstance,
+  request: OfflineRequest,
+  queuedData: (entry: OfflineQueueEntry) => R
+): Promise<{ data: any; queued?: OfflineQueueEntry }>;
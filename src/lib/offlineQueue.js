@@ -0,0 +1,320 @@
+/**
+ * Durable queue of model writes made while offline, replayed in order when
+ * the connection comes back (see the `offline` mutation option and useOfflineQueue).
+ */
+import { storage } from './storage';
+import { registerStorageKeys } from './storageKeys';
+import { LuminaNetworkError } from './errors';
+import { createWebConnectivity } from './connectivity';
+
+const DEFAULT_STORAGE_KEY = 'offline_queue';
+const REFERENCE = /^\$(\d+)\.(.+)$/;
+// Results of replayed entries kept so later writes can still reference them
+const MAX_RESULTS = 50;
+
+registerStorageKeys(DEFAULT_STORAGE_KEY);
+
+const queues = new WeakMap();
+const queueOptions = new WeakMap();
+
+function readPath(value, path) {
+  return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+/**
+ * Replace `$<entry>.<field>` strings, at any depth, with the field of that
+ * entry's replayed result. Unknown references are left as they are.
+ */
+function resolveReferences(value, results) {
+  if (typeof value === 'string') {
+    const match = value.match(REFERENCE);
+    if (!match || !(match[1] in results)) return value;
+    const resolved = readPath(results[match[1]], match[2]);
+    return resolved === undefined ? value : resolved;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveReferences(item, results));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolveReferences(item, results)])
+    );
+  }
+  return value;
+}
+
+function resolveUrl(url, results) {
+  return url
+    .split('/')
+    .map((segment) => String(resolveReferences(segment, results)))
+    .join('/');
+}
+
+/**
+ * The server refused the write itself (validation, missing or changed record),
+ * so sending it again unchanged won't help. Auth, throttling and server
+ * errors are retried on the next replay instead.
+ */
+function isConflict(error) {
+  const status = error?.status ?? error?.response?.status;
+  return typeof status === 'number' && status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+}
+
+function describeError(error) {
+  return {
+    status: error?.status ?? error?.response?.status ?? null,
+    message: error?.message || 'Request failed',
+    fieldErrors: error?.fieldErrors ?? error?.response?.data?.errors ?? null,
+  };
+}
+
+function keepRecentResults(results) {
+  const ids = Object.keys(results).map(Number).sort((a, b) => a - b);
+  if (ids.length <= MAX_RESULTS) return results;
+  return Object.fromEntries(ids.slice(-MAX_RESULTS).map((id) => [id, results[id]]));
+}
+
+/**
+ * Create an offline queue for `client`. Entries are persisted to storage and
+ * replayed one at a time, in order, whenever `connectivity` reports online.
+ *
+ * A write can use the result of an earlier queued create through a
+ * `$<entry>.<field>` reference (e.g. `'$0.id'`) in its data or URL, resolved
+ * just before it is sent, like nested operations do on the server.
+ *
+ * A response the server refuses (4xx other than 401, 408 and 429) marks the
+ * entry as a conflict and stops the replay until it is retried or discarded.
+ * Network failures, 5xx and the rest leave it pending for the next replay.
+ *
+ * @param {import('axios').AxiosInstance} client - Client used to replay writes
+ * @param {Object} [options]
+ * @param {string} [options.storageKey='offline_queue'] - Storage key of the persisted queue
+ * @param {Object} [options.connectivity] - Connectivity adapter (defaults to navigator.onLine)
+ */
+export function createOfflineQueue(client, { storageKey = DEFAULT_STORAGE_KEY, connectivity = createWebConnectivity() } = {}) {
+  let nextId = 0;
+  let entries = [];
+  let results = {};
+  let replaying = null;
+  let state;
+  const listeners = new Set();
+  const replayListeners = new Set();
+
+  try {
+    const saved = JSON.parse(storage.getItem(storageKey) || 'null');
+    if (saved) {
+      entries = Array.isArray(saved.entries) ? saved.entries : [];
+      results = saved.results && typeof saved.results === 'object' ? saved.results : {};
+      nextId = Number.isInteger(saved.nextId) ? saved.nextId : entries.length;
+    }
+  } catch {
+    // Unreadable queue: start empty
+  }
+
+  function refresh() {
+    state = { entries, isOnline: connectivity.isOnline(), isReplaying: !!replaying };
+    listeners.forEach((listener) => listener());
+  }
+
+  function persist() {
+    if (entries.length === 0 && Object.keys(results).length === 0) {
+      storage.removeItem(storageKey);
+    } else {
+      storage.setItem(storageKey, JSON.stringify({ nextId, entries, results }));
+    }
+    refresh();
+  }
+
+  function updateEntry(id, changes) {
+    entries = entries.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry));
+  }
+
+  /**
+   * Send a write now, with its references resolved.
+   * @returns {Promise<import('axios').AxiosResponse>}
+   */
+  function send({ method, url, data }) {
+    const resolvedUrl = resolveUrl(url, results);
+    return method === 'delete'
+      ? client.delete(resolvedUrl)
+      : client[method](resolvedUrl, resolveReferences(data, results));
+  }
+
+  async function replayEntries() {
+    while (entries.length > 0 && connectivity.isOnline()) {
+      const entry = entries[0];
+      if (entry.status === 'conflict') break;
+
+      let response;
+      try {
+        response = await send(entry);
+      } catch (error) {
+        if (isConflict(error) && entries.some(({ id }) => id === entry.id)) {
+          updateEntry(entry.id, { status: 'conflict', error: describeError(error) });
+          persist();
+        }
+        break;
+      }
+
+      // Cleared meanwhile (logout): the result belongs to the previous session
+      if (!entries.some(({ id }) => id === entry.id)) break;
+
+      results = keepRecentResults({ ...results, [entry.id]: response?.data ?? null });
+      entries = entries.filter(({ id }) => id !== entry.id);
+      persist();
+      replayListeners.forEach((listener) => listener(entry, response?.data));
+    }
+  }
+
+  const queue = {
+    getState: () => state,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    /** Call `listener(entry, data)` after each entry is replayed successfully */
+    onReplayed(listener) {
+      replayListeners.add(listener);
+      return () => replayListeners.delete(listener);
+    },
+    send,
+    /**
+     * Add a write to the end of the queue.
+     * @param {{ method: 'post'|'put'|'delete', url: string, data?: Object, model?: string, organization?: string, action?: string }} request
+     */
+    enqueue(request) {
+      const entry = {
+        ...request,
+        id: nextId,
+        status: 'pending',
+        error: null,
+        createdAt: Date.now(),
+      };
+      nextId += 1;
+      entries = [...entries, entry];
+      persist();
+      return entry;
+    },
+    /** Replay the queue now; concurrent calls share the same run */
+    replay() {
+      if (!replaying) {
+        replaying = replayEntries().finally(() => {
+          replaying = null;
+          refresh();
+        });
+        refresh();
+      }
+      return replaying;
+    },
+    /** Mark a conflicting entry pending again, optionally with corrected data, and replay */
+    retry(id, data) {
+      updateEntry(id, data === undefined ? { status: 'pending', error: null } : { status: 'pending', error: null, data });
+      persist();
+      return queue.replay();
+    },
+    /** Drop an entry without sending it */
+    discard(id) {
+      entries = entries.filter((entry) => entry.id !== id);
+      persist();
+    },
+    /** Drop every entry and remembered result */
+    clear() {
+      entries = [];
+      results = {};
+      persist();
+    },
+    dispose() {
+      unsubscribe();
+      listeners.clear();
+      replayListeners.clear();
+    },
+  };
+
+  const unsubscribe = connectivity.subscribe((online) => {
+    refresh();
+    if (online) queue.replay();
+  });
+
+  refresh();
+  if (entries.length > 0 && connectivity.isOnline()) {
+    queue.replay();
+  }
+
+  return queue;
+}
+
+/**
+ * Set the offline queue options (`storageKey`, `connectivity`) of a client.
+ * Replaces a queue that was already created for it.
+ * Used by createLuminaClient / configureApi({ offline }).
+ */
+export function configureOfflineQueue(client, options) {
+  queueOptions.set(client, options || {});
+  if (options?.storageKey) {
+    // Loaded by initStorage() when the client is configured before it
+    registerStorageKeys(options.storageKey);
+  }
+  const existing = queues.get(client);
+  if (existing) {
+    existing.dispose();
+    queues.delete(client);
+  }
+}
+
+/**
+ * The offline queue of a client, created on first use.
+ * @param {import('axios').AxiosInstance} client
+ */
+export function getOfflineQueue(client) {
+  let queue = queues.get(client);
+  if (!queue) {
+    queue = createOfflineQueue(client, queueOptions.get(client));
+    queues.set(client, queue);
+  }
+  return queue;
+}
+
+/**
+ * Drop every queued write and remembered result of a client, including a
+ * persisted queue that was not loaded yet. Called on logout so one user's
+ * writes never replay with the next user's session.
+ * @param {import('axios').AxiosInstance} client
+ */
+export function clearOfflineQueue(client) {
+  const queue = queues.get(client);
+  if (queue) {
+    queue.clear();
+  } else {
+    storage.removeItem(queueOptions.get(client)?.storageKey || DEFAULT_STORAGE_KEY);
+  }
+}
+
+/**
+ * Send a write, or queue it when the device is offline, when earlier writes
+ * are still queued (to keep their order), or when it fails without reaching
+ * the server. A queued write resolves with `{ data: queuedData(entry), queued: entry }`.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @param {Object} request - `{ method, url, data, model, organization, action }`
+ * @param {Function} queuedData - Builds the result of a queued write from its entry
+ * @returns {Promise<{ data: any, queued?: Object }>}
+ */
+export function sendOrQueue(client, request, queuedData) {
+  const queue = getOfflineQueue(client);
+  const enqueue = () => {
+    const entry = queue.enqueue(request);
+    return { data: queuedData(entry), queued: entry };
+  };
+
+  const { entries, isOnline } = queue.getState();
+  if (entries.length > 0 || !isOnline) {
+    const result = enqueue();
+    if (isOnline) queue.replay();
+    return Promise.resolve(result);
+  }
+
+  return queue.send(request).then(
+    (response) => response,
+    (error) => (error instanceof LuminaNetworkError ? enqueue() : Promise.reject(error))
+  );
+}
@@ -0,0 +1,15 @@
+import type { ModelQueryOptions } from '../types';
+
+/**
+ * Custom serializer registered via configureApi({ querySerializer }).
+ * Receives the default serializer to extend or fall back to.
+ */
+export type QuerySerializer = (
+  options: ModelQueryOptions<any>,
+  defaultSerializer: (options: ModelQueryOptions<any>) => string
+) => string | URLSearchParams;
+
+export function defaultQuerySerializer(options?: ModelQueryOptions<any>): string;
+export function setQuerySerializer(serializer: QuerySerializer | null): void;
+export function serializeQuery(options?: ModelQueryOptions<any>): string;
+export function buildQueryPath(path: string, options?: ModelQueryOptions<any>): string;
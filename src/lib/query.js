@@ -0,0 +1,92 @@
+/**
+ * Query-string serialization for model requests.
+ * Shared by useModelIndex, useModelShow, useModelTrashed and useModelAudit so
+ * every hook sends the same parameters for the same ModelQueryOptions.
+ */
+import { serializeFilters } from './filters';
+
+let customSerializer = null;
+
+function toList(value) {
+  return Array.isArray(value) ? value.join(',') : value;
+}
+
+/**
+ * Default serializer: Spatie/Laravel-style parameters.
+ *
+ * @param {Object} [options] - ModelQueryOptions
+ * @returns {string} Query string without the leading `?`
+ *
+ * @example
+ * defaultQuerySerializer({ filters: { status: 'published' }, includes: ['author'], page: 2 });
+ * // 'filter%5Bstatus%5D=published&include=author&page=2'
+ */
+export function defaultQuerySerializer(options = {}) {
+  const params = new URLSearchParams();
+
+  serializeFilters(options.filters).forEach(([key, value]) => {
+    params.append(key, value);
+  });
+
+  if (options.includes && options.includes.length > 0) {
+    params.append('include', toList(options.includes));
+  }
+
+  if (options.sort) {
+    params.append('sort', options.sort);
+  }
+
+  if (options.fields && options.fields.length > 0) {
+    params.append('fields', toList(options.fields));
+  }
+
+  if (options.search) {
+    params.append('search', options.search);
+  }
+
+  if (options.page) {
+    params.append('page', String(options.page));
+  }
+  if (options.perPage || options.per_page) {
+    params.append('per_page', String(options.perPage || options.per_page));
+  }
+
+  return params.toString();
+}
+
+/**
+ * Replace the query serializer used by the model hooks.
+ * Usually called through `configureApi({ querySerializer })`.
+ *
+ * @param {Function|null} serializer - `(options) => string | URLSearchParams`, or null to restore the default
+ */
+export function setQuerySerializer(serializer) {
+  customSerializer = serializer || null;
+}
+
+/**
+ * Serialize ModelQueryOptions with the configured serializer.
+ *
+ * @param {Object} [options] - ModelQueryOptions
+ * @returns {string} Query string without the leading `?`
+ */
+export function serializeQuery(options = {}) {
+  const serializer = customSerializer || defaultQuerySerializer;
+  const result = serializer(options, defaultQuerySerializer);
+  return String(result ?? '').replace(/^\?/, '');
+}
+
+/**
+ * Append the serialized options to a path.
+ *
+ * @param {string} path - Request path, e.g. `/acme/posts`
+ * @param {Object} [options] - ModelQueryOptions
+ * @returns {string}
+ *
+ * @example
+ * buildQueryPath('/acme/posts', { sort: '-created_at' }); // '/acme/posts?sort=-created_at'
+ */
+export function buildQueryPath(path, options = {}) {
+  const queryString = serializeQuery(options);
+  return queryString ? `${path}?${queryString}` : path;
+}
@@ -0,0 +1,17 @@
+import type { QueryClient } from '@tanstack/react-query';
+
+export interface PersistQueryCacheOptions {
+  /** Snapshots older than this (ms) are discarded (default 24 hours) */
+  maxAge?: number;
+  /** Change it to discard every snapshot, e.g. on an API schema change (default '') */
+  buster?: string;
+  /** Characters of JSON per organization; the oldest queries are left out beyond it (default 1000000) */
+  maxSize?: number;
+  /** Storage key of the persisted cache (default 'query_cache') */
+  storageKey?: string;
+  /** Wait (ms) after a cache change before writing (default 1000) */
+  throttle?: number;
+}
+
+export function persistQueryCache(queryClient: QueryClient, options?: PersistQueryCacheOptions): () => void;
+export function clearPersistedQueryCache(storageKey?: string): void;
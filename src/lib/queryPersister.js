@@ -0,0 +1,169 @@
+/**
+ * Opt-in persistence of the model queries in the React Query cache, through
+ * the storage adapter (localStorage on web, AsyncStorage on React Native).
+ */
+import { dehydrate, hydrate } from '@tanstack/react-query';
+import { storage } from './storage';
+import { registerStorageKeys } from './storageKeys';
+import { events } from './events';
+import { queryOrganization } from './tenantCache';
+
+const DEFAULT_STORAGE_KEY = 'query_cache';
+const PERSISTED_KEYS = ['modelIndex', 'modelShow', 'modelTrashed', 'modelAudit'];
+
+registerStorageKeys(DEFAULT_STORAGE_KEY);
+
+function isModelQuery(queryKey) {
+  return PERSISTED_KEYS.includes(queryKey[0]) && !!queryOrganization(queryKey);
+}
+
+/**
+ * Keep the most recently updated queries of a dehydrated state that fit in
+ * `maxSize` characters of JSON.
+ */
+function fitToSize(state, maxSize) {
+  const queries = [...state.queries].sort((a, b) => b.state.dataUpdatedAt - a.state.dataUpdatedAt);
+  const kept = [];
+  let size = 0;
+
+  queries.forEach((query) => {
+    const querySize = JSON.stringify(query).length;
+    if (size + querySize <= maxSize) {
+      kept.push(query);
+      size += querySize;
+    }
+  });
+
+  return { ...state, queries: kept };
+}
+
+/**
+ * Remove the persisted query cache (every organization).
+ * @param {string} [storageKey='query_cache']
+ */
+export function clearPersistedQueryCache(storageKey = DEFAULT_STORAGE_KEY) {
+  storage.removeItem(storageKey);
+}
+
+/**
+ * Persist the successful model queries (`useModelIndex`, `useModelShow`,
+ * trashed and audit lists) of `queryClient` to storage, one snapshot per
+ * organization, and restore the current organization's snapshot now and
+ * whenever the organization changes. Lists render from the snapshot on a
+ * cold start while React Query refetches them.
+ *
+ * The persisted cache is wiped when the organization or the token is cleared
+ * (logout, 401). On React Native call `await initStorage()` first.
+ *
+ * @param {import('@tanstack/react-query').QueryClient} queryClient
+ * @param {Object} [options]
+ * @param {number} [options.maxAge=86400000] - Snapshots older than this (ms) are discarded
+ * @param {string} [options.buster=''] - Change it (e.g. to your API schema version) to discard every snapshot
+ * @param {number} [options.maxSize=1000000] - Characters of JSON per organization; the oldest queries are left out beyond it
+ * @param {string} [options.storageKey='query_cache'] - Storage key of the persisted cache
+ * @param {number} [options.throttle=1000] - Wait (ms) after a cache change before writing
+ * @returns {Function} Stop persisting (pending changes are written first)
+ *
+ * @example
+ * const queryClient = new QueryClient({ defaultOptions: { queries: { gcTime: 24 * 60 * 60 * 1000 } } });
+ *
+ * await initStorage();
+ * persistQueryCache(queryClient, { buster: 'v2' });
+ */
+export function persistQueryCache(queryClient, {
+  maxAge = 24 * 60 * 60 * 1000,
+  buster = '',
+  maxSize = 1000000,
+  storageKey = DEFAULT_STORAGE_KEY,
+  throttle = 1000,
+} = {}) {
+  let timer = null;
+  // Data fetched before a wipe is not written back
+  let wipedAt = 0;
+
+  const shouldPersist = (query) => query.state.status === 'success'
+    && query.state.dataUpdatedAt > wipedAt
+    && isModelQuery(query.queryKey);
+
+  // Fresh snapshots by organization; stale or busted ones are dropped
+  function read() {
+    let saved = null;
+    try {
+      saved = JSON.parse(storage.getItem(storageKey) || 'null');
+    } catch {
+      // Unreadable cache: start over
+    }
+    if (!saved || saved.buster !== buster || !saved.tenants || typeof saved.tenants !== 'object') {
+      return {};
+    }
+    const now = Date.now();
+    return Object.fromEntries(
+      Object.entries(saved.tenants).filter(([, snapshot]) => now - snapshot.timestamp < maxAge)
+    );
+  }
+
+  function write() {
+    timer = null;
+    const tenants = read();
+    const organizations = new Set(
+      queryClient.getQueryCache().getAll()
+        .filter(shouldPersist)
+        .map((query) => queryOrganization(query.queryKey))
+    );
+
+    organizations.forEach((organization) => {
+      const state = dehydrate(queryClient, {
+        shouldDehydrateQuery: (query) => shouldPersist(query) && queryOrganization(query.queryKey) === organization,
+      });
+      tenants[organization] = { timestamp: Date.now(), state: fitToSize(state, maxSize) };
+    });
+
+    if (Object.keys(tenants).length === 0) {
+      storage.removeItem(storageKey);
+    } else {
+      storage.setItem(storageKey, JSON.stringify({ buster, tenants }));
+    }
+  }
+
+  function restore(organization) {
+    const snapshot = organization && read()[organization];
+    if (snapshot) {
+      hydrate(queryClient, snapshot.state);
+    }
+  }
+
+  function wipe() {
+    clearTimeout(timer);
+    timer = null;
+    wipedAt = Date.now();
+    clearPersistedQueryCache(storageKey);
+  }
+
+  restore(storage.getItem('organization_slug'));
+
+  const unsubscribeCache = queryClient.getQueryCache().subscribe((event) => {
+    if (timer === null && event.query && isModelQuery(event.query.queryKey)) {
+      timer = setTimeout(write, throttle);
+    }
+  });
+  const unsubscribeOrganization = events.subscribe('organization_slug', (slug) => {
+    if (slug) {
+      restore(slug);
+    } else {
+      wipe();
+    }
+  });
+  const unsubscribeToken = events.subscribe('token', (token) => {
+    if (!token) wipe();
+  });
+
+  return () => {
+    unsubscribeCache();
+    unsubscribeOrganization();
+    unsubscribeToken();
+    if (timer !== null) {
+      clearTimeout(timer);
+      write();
+    }
+  };
+}
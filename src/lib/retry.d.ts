@@ -0,0 +1,44 @@
+import type { AxiosRequestConfig, AxiosResponse } from 'axios';
+
+export interface RetryOptions {
+  /** Retries after the first attempt (default 3) */
+  retries?: number;
+  /** First backoff delay in ms, doubled per attempt with jitter (default 300) */
+  baseDelay?: number;
+  /** Longest delay in ms; a longer Retry-After fails the request instead (default 30000) */
+  maxDelay?: number;
+  /** Lower-case HTTP methods retried without a per-request opt-in (default GET, HEAD, OPTIONS) */
+  methods?: string[];
+  /** Response statuses that are retried (default 429, 500, 502, 503, 504) */
+  statuses?: number[];
+}
+
+export type RetryPolicy = Required<RetryOptions>;
+
+export interface RateLimitState {
+  /** X-RateLimit-Limit of the latest response */
+  limit: number | null;
+  /** X-RateLimit-Remaining of the latest response (0 after a 429) */
+  remaining: number | null;
+  /** When the limit resets (ms timestamp), known after a 429 */
+  resetAt: number | null;
+  /** A 429 was received and its reset time has not passed */
+  isLimited: boolean;
+}
+
+export interface RateLimitStore {
+  getState(): RateLimitState;
+  subscribe(listener: () => void): () => void;
+  update(response?: AxiosResponse): void;
+}
+
+export declare const DEFAULT_RETRY_POLICY: RetryPolicy;
+export declare const EMPTY_RATE_LIMIT: RateLimitState;
+
+export function readHeader(headers: unknown, name: string): string | null;
+export function parseRetryAfter(value: unknown): number | null;
+export function resolveRetryPolicy(option?: boolean | RetryOptions | null): RetryPolicy | null;
+export function computeRetryDelay(response: AxiosResponse, attempt: number, policy: RetryPolicy): number | null;
+export function requestRetryPolicy(clientPolicy: RetryPolicy | null, requestConfig: AxiosRequestConfig): RetryPolicy | null;
+export function createRateLimitStore(): RateLimitStore;
+export function waitForRetry(ms: number, signal?: AbortSignal | null): Promise<void>;
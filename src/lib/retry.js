@@ -0,0 +1,161 @@
+/**
+ * Retry policy and rate-limit tracking for the API clients (see createLuminaClient).
+ */
+import { CanceledError } from 'axios';
+
+/** Used for `retry: true` and as the base of a partial policy */
+export const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  baseDelay: 300,
+  maxDelay: 30000,
+  methods: ['get', 'head', 'options'],
+  statuses: [429, 500, 502, 503, 504],
+};
+
+export const EMPTY_RATE_LIMIT = Object.freeze({ limit: null, remaining: null, resetAt: null, isLimited: false });
+
+export function readHeader(headers, name) {
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  return value ?? null;
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into seconds.
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * When the server says the limit resets, as a timestamp in ms: Retry-After
+ * first, then Laravel's X-RateLimit-Reset (unix seconds).
+ */
+function readResetAt(headers) {
+  const retryAfter = parseRetryAfter(readHeader(headers, 'retry-after'));
+  if (retryAfter !== null) return Date.now() + retryAfter * 1000;
+
+  const reset = Number(readHeader(headers, 'x-ratelimit-reset'));
+  return Number.isFinite(reset) && reset > 0 ? reset * 1000 : null;
+}
+
+function readCount(headers, name) {
+  const value = readHeader(headers, name);
+  const count = value === null ? NaN : Number(value);
+  return Number.isFinite(count) ? count : null;
+}
+
+/**
+ * Normalize the `retry` option: `true` uses the defaults, an object is merged
+ * over them, anything falsy disables retries.
+ */
+export function resolveRetryPolicy(option) {
+  if (!option) return null;
+  return option === true ? DEFAULT_RETRY_POLICY : { ...DEFAULT_RETRY_POLICY, ...option };
+}
+
+/**
+ * Delay before retrying `response`, in ms, or null to give up. A server-given
+ * wait (Retry-After / X-RateLimit-Reset) is used as is unless it exceeds
+ * `maxDelay`; otherwise the delay is exponential with jitter.
+ *
+ * @param {Object} response - Axios response of the failed attempt
+ * @param {number} attempt - Retries already made (0 for the first)
+ * @param {Object} policy - Resolved retry policy
+ * @returns {number|null}
+ */
+export function computeRetryDelay(response, attempt, policy) {
+  const resetAt = readResetAt(response.headers);
+  if (resetAt !== null) {
+    const wait = Math.max(0, resetAt - Date.now());
+    return wait > policy.maxDelay ? null : wait;
+  }
+
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+/**
+ * Retry policy for one request. A request-level `retry` overrides the client
+ * policy; `retry: true` (or an object) on a request also opts in methods that
+ * the policy leaves out, e.g. a POST.
+ *
+ * @returns {Object|null}
+ */
+export function requestRetryPolicy(clientPolicy, requestConfig) {
+  const option = requestConfig.retry;
+  if (option === false) return null;
+  if (option === undefined) {
+    const method = (requestConfig.method || 'get').toLowerCase();
+    return clientPolicy && clientPolicy.methods.includes(method) ? clientPolicy : null;
+  }
+  const base = clientPolicy || DEFAULT_RETRY_POLICY;
+  return option === true ? base : { ...base, ...option };
+}
+
+/**
+ * Per-client store of the last rate-limit headers seen, readable with useRateLimit().
+ */
+export function createRateLimitStore() {
+  let state = EMPTY_RATE_LIMIT;
+  const listeners = new Set();
+
+  return {
+    getState: () => state,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    /** Record the rate-limit headers of a response (429 marks the client as limited) */
+    update(response) {
+      if (!response) return;
+      const { headers, status } = response;
+      const limit = readCount(headers, 'x-ratelimit-limit');
+      const remaining = readCount(headers, 'x-ratelimit-remaining');
+
+      let next;
+      if (status === 429) {
+        next = {
+          limit: limit ?? state.limit,
+          remaining: 0,
+          resetAt: readResetAt(headers),
+          isLimited: true,
+        };
+      } else if (limit !== null || remaining !== null) {
+        next = { limit, remaining, resetAt: null, isLimited: false };
+      } else {
+        return;
+      }
+
+      if (Object.keys(next).every((key) => next[key] === state[key])) return;
+      state = next;
+      listeners.forEach((listener) => listener());
+    },
+  };
+}
+
+/**
+ * Wait `ms` before a retry, rejecting with a CanceledError if the request is aborted meanwhile.
+ */
+export function waitForRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CanceledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CanceledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener?.('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener?.('abort', onAbort, { once: true });
+  });
+}
@@ -2,8 +2,21 @@ export interface StorageAdapter {
   getItem(key: string): string | null;
   setItem(key: string, value: string): void;
   removeItem(key: string): void;
+  /** Load `keys` from an asynchronous store; awaited by initStorage() */
+  hydrate?(keys: string[]): Promise<void>;
 }
 
 export function createWebStorage(): StorageAdapter;
-export function initStorage(): Promise<void>;
+export function createMemoryStorage(initial?: Record<string, string>): StorageAdapter;
+export function initStorage(extraKeys?: string[]): Promise<void>;
+/** AsyncLocalStorage-like context used by runWithStorage() to scope async work */
+export interface StorageScope {
+  run<R>(store: StorageAdapter, callback: () => R): R;
+  getStore(): StorageAdapter | undefined;
+}
+
+export function configureStorageScope(asyncLocalStorage: StorageScope | null): void;
+export function runWithStorage<T>(adapter: StorageAdapter, callback: () => T): T;
+export function configureStorage(adapter: StorageAdapter | null): void;
+export function setStorageNamespace(namespace: string | null, options?: { migrate?: boolean }): void;
 export declare const storage: StorageAdapter;
@@ -1,7 +1,15 @@
 /**
  * Storage adapter for web (localStorage).
  * On React Native, Metro bundler will resolve storage.native.js instead.
+ *
+ * When localStorage is unavailable (server rendering), the default storage is
+ * read-only and empty, so concurrent requests never share values; give a
+ * request its own adapter with runWithStorage() (async work included once
+ * configureStorageScope() is given an AsyncLocalStorage). configureStorage()
+ * replaces the default adapter and setStorageNamespace() prefixes its keys.
  */
+import { createMemoryStorage } from './memoryStorage';
+import { getStorageKeys, migrateToNamespace, namespaceKey, setKeyNamespace } from './storageKeys';
 
 /**
  * Create a web storage adapter backed by localStorage.
@@ -16,13 +24,161 @@ export function createWebStorage() {
 }
 
 /**
- * No-op on web — localStorage is synchronous and requires no initialization.
- * Provided for cross-platform compatibility with React Native's initStorage().
+ * Load the keys used by the library into the configured adapter when it is
+ * asynchronous (see configureStorage). localStorage needs no initialization,
+ * so with the default adapter this resolves immediately.
+ *
+ * @param {string[]} [extraKeys] - Other keys to load, e.g. a custom offline queue or query cache `storageKey`
  * @returns {Promise<void>}
  */
-export async function initStorage() {
-  // No-op on web — localStorage is synchronous
+export async function initStorage(extraKeys = []) {
+  const adapter = configuredStorage;
+  if (adapter && adapter.hydrate) {
+    const keys = [...new Set([...getStorageKeys(), ...extraKeys])];
+    // Un-prefixed keys are loaded too while they still have to be migrated
+    await adapter.hydrate([...keys.map(namespaceKey), ...(pendingMigration ? keys : [])]);
+    if (pendingMigration) {
+      pendingMigration = false;
+      migrateToNamespace(adapter, keys);
+    }
+  }
 }
 
-/** Default storage instance for web */
-export const storage = createWebStorage();
+function hasLocalStorage() {
+  try {
+    return typeof localStorage !== 'undefined' && localStorage !== null;
+  } catch {
+    // Accessing localStorage throws when storage is disabled (e.g. sandboxed iframes)
+    return false;
+  }
+}
+
+const webStorage = createWebStorage();
+// Server without a request scope: one module-level store would leak between
+// concurrent requests, so reads are empty and writes are dropped
+const serverStorage = {
+  getItem: () => null,
+  setItem: () => {},
+  removeItem: () => {},
+};
+let configuredStorage = null;
+let scopedStorage = null;
+let scopeContext = null;
+let pendingMigration = false;
+
+function requestStorage() {
+  return (scopeContext && scopeContext.getStore()) || scopedStorage;
+}
+
+function persistentStorage() {
+  if (configuredStorage) return configuredStorage;
+  return hasLocalStorage() ? webStorage : serverStorage;
+}
+
+/**
+ * Replace the library storage (token, user, organization, offline queue, ...).
+ * Call it once at startup, before initStorage() and before rendering.
+ *
+ * @param {{ getItem: Function, setItem: Function, removeItem: Function, hydrate?: Function }|null} adapter -
+ *   A storage adapter, or null to restore the default
+ *
+ * @example
+ * configureStorage(createSessionStorage());
+ */
+export function configureStorage(adapter) {
+  configuredStorage = adapter || null;
+}
+
+/**
+ * Store the library's keys under `namespace` ('admin' stores 'token' as
+ * 'admin:token'), so several Lumina apps on one origin keep separate sessions.
+ * Call it once at startup, after configureStorage() and before initStorage() and rendering.
+ *
+ * Values under the un-prefixed keys (written before the namespace was set) are
+ * moved into the namespace: right away for synchronous adapters, in initStorage()
+ * for asynchronous ones. Storage scoped with runWithStorage() is not prefixed.
+ *
+ * @param {string|null} namespace - Namespace, or null for un-prefixed keys
+ * @param {Object} [options]
+ * @param {boolean} [options.migrate=true] - Move existing un-prefixed values into the namespace
+ *
+ * @example
+ * setStorageNamespace('admin');
+ */
+export function setStorageNamespace(namespace, { migrate = true } = {}) {
+  setKeyNamespace(namespace);
+  pendingMigration = false;
+  if (!namespace || !migrate) return;
+
+  const adapter = persistentStorage();
+  if (adapter.hydrate) {
+    pendingMigration = true;
+  } else {
+    migrateToNamespace(adapter, getStorageKeys());
+  }
+}
+
+/**
+ * Make runWithStorage() scope asynchronous work too, through an
+ * AsyncLocalStorage instance (Node's `node:async_hooks`, or the runtime's
+ * equivalent). Call it once at server startup.
+ *
+ * @param {{ run: Function, getStore: Function }|null} asyncLocalStorage - null restores synchronous scoping
+ *
+ * @example
+ * import { AsyncLocalStorage } from 'node:async_hooks';
+ *
+ * configureStorageScope(new AsyncLocalStorage());
+ */
+export function configureStorageScope(asyncLocalStorage) {
+  scopeContext = asyncLocalStorage || null;
+}
+
+/**
+ * Run `callback` with `adapter` as the library storage of the current request,
+ * so hooks like useOrganization read (and token refreshes write) the request's
+ * values instead of shared state.
+ *
+ * Without configureStorageScope() only the synchronous part of `callback` is
+ * scoped (e.g. renderToString); with it, awaited work is scoped as well.
+ *
+ * @param {{ getItem: Function, setItem: Function, removeItem: Function }} adapter
+ * @param {Function} callback - Function to run
+ * @returns {*} The callback's return value
+ *
+ * @example
+ * const html = runWithStorage(
+ *   createMemoryStorage({ organization_slug: req.params.org }),
+ *   () => renderToString(<App />)
+ * );
+ */
+export function runWithStorage(adapter, callback) {
+  if (scopeContext) {
+    return scopeContext.run(adapter, callback);
+  }
+  const previous = scopedStorage;
+  scopedStorage = adapter;
+  try {
+    return callback();
+  } finally {
+    scopedStorage = previous;
+  }
+}
+
+/** Default storage instance for web (read-only and empty on the server outside runWithStorage) */
+export const storage = {
+  getItem: (key) => {
+    const scoped = requestStorage();
+    return scoped ? scoped.getItem(key) : persistentStorage().getItem(namespaceKey(key));
+  },
+  setItem: (key, value) => {
+    const scoped = requestStorage();
+    return scoped ? scoped.setItem(key, value) : persistentStorage().setItem(namespaceKey(key), value);
+  },
+  removeItem: (key) => {
+    const scoped = requestStorage();
+    return scoped ? scoped.removeItem(key) : persistentStorage().removeItem(namespaceKey(key));
+  },
+};
+
+export { createMemoryStorage };
@@ -2,9 +2,22 @@ export interface StorageAdapter {
   getItem(key: string): string | null;
   setItem(key: string, value: string): void;
   removeItem(key: string): void;
+  /** Load `keys` from an asynchronous store; awaited by initStorage() */
+  hydrate?(keys: string[]): Promise<void>;
 }
 
-export function initStorage(): Promise<void>;
+export function initStorage(extraKeys?: string[]): Promise<void>;
 export function createNativeStorage(): StorageAdapter;
+export function createMemoryStorage(initial?: Record<string, string>): StorageAdapter;
+/** AsyncLocalStorage-like context used by runWithStorage() to scope async work */
+export interface StorageScope {
+  run<R>(store: StorageAdapter, callback: () => R): R;
+  getStore(): StorageAdapter | undefined;
+}
+
+export function configureStorageScope(asyncLocalStorage: StorageScope | null): void;
+export function runWithStorage<T>(adapter: StorageAdapter, callback: () => T): T;
+export function configureStorage(adapter: StorageAdapter | null): void;
+export function setStorageNamespace(namespace: string | null, options?: { migrate?: boolean }): void;
 export declare const storage: StorageAdapter;
 export { createNativeStorage as createWebStorage };
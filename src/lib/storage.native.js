@@ -7,14 +7,22 @@
  * Call `await initStorage()` once at app startup before rendering.
  */
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createMemoryStorage } from './memoryStorage';
+import { getStorageKeys, migrateToNamespace, namespaceKey, setKeyNamespace } from './storageKeys';
 
 const cache = {};
-let initialized = false;
+let configuredStorage = null;
+let scopeContext = null;
+let pendingMigration = false;
+let scopedStorage = null;
 
 /**
- * Initialize storage by loading all keys from AsyncStorage into memory.
+ * Initialize storage by loading the keys used by the library from AsyncStorage
+ * (or the adapter set with configureStorage) into memory.
  * Call this once at app startup before rendering (e.g., in a splash screen).
  *
+ * @param {string[]} [extraKeys] - Other keys to load, e.g. a custom offline queue or query cache `storageKey`
+ *
  * @example
  * import { initStorage } from '@startsoft/lumina';
  *
@@ -23,23 +31,33 @@ let initialized = false;
  *   // Now render your app
  * }
  */
-export async function initStorage() {
-  const keys = ['token', 'user', 'organization_slug', 'last_organization'];
-  const pairs = await AsyncStorage.multiGet(keys);
-  for (const [key, value] of pairs) {
-    if (value !== null) {
-      cache[key] = value;
+export async function initStorage(extraKeys = []) {
+  const adapter = persistentStorage();
+  if (adapter.hydrate) {
+    const keys = [...new Set([...getStorageKeys(), ...extraKeys])];
+    // Un-prefixed keys are loaded too while they still have to be migrated
+    await adapter.hydrate([...keys.map(namespaceKey), ...(pendingMigration ? keys : [])]);
+    if (pendingMigration) {
+      pendingMigration = false;
+      migrateToNamespace(adapter, keys);
     }
   }
-  initialized = true;
 }
 
 /**
  * Create a React Native storage adapter backed by AsyncStorage with in-memory cache.
- * @returns {{ getItem: (key: string) => string|null, setItem: (key: string, value: string) => void, removeItem: (key: string) => void }}
+ * @returns {{ getItem: (key: string) => string|null, setItem: (key: string, value: string) => void, removeItem: (key: string) => void, hydrate: (keys: string[]) => Promise<void> }}
  */
 export function createNativeStorage() {
   return {
+    hydrate: async (keys) => {
+      const pairs = await AsyncStorage.multiGet(keys);
+      for (const [key, value] of pairs) {
+        if (value !== null) {
+          cache[key] = value;
+        }
+      }
+    },
     getItem: (key) => {
       return cache[key] ?? null;
     },
@@ -58,8 +76,97 @@ export function createNativeStorage() {
   };
 }
 
+/**
+ * Mirrors the web API: make runWithStorage() scope asynchronous work through
+ * an AsyncLocalStorage instance.
+ *
+ * @param {{ run: Function, getStore: Function }|null} asyncLocalStorage
+ */
+export function configureStorageScope(asyncLocalStorage) {
+  scopeContext = asyncLocalStorage || null;
+}
+
+/**
+ * Run `callback` with `adapter` as the library storage, then restore the previous one.
+ * Mirrors the web API; mostly useful in tests on React Native.
+ *
+ * @param {{ getItem: Function, setItem: Function, removeItem: Function }} adapter
+ * @param {Function} callback - Function to run
+ * @returns {*} The callback's return value
+ */
+export function runWithStorage(adapter, callback) {
+  if (scopeContext) {
+    return scopeContext.run(adapter, callback);
+  }
+  const previous = scopedStorage;
+  scopedStorage = adapter;
+  try {
+    return callback();
+  } finally {
+    scopedStorage = previous;
+  }
+}
+
+/**
+ * Replace the library storage, e.g. with Expo SecureStore for the token.
+ * Call it once at startup, before initStorage() and before rendering.
+ *
+ * @param {{ getItem: Function, setItem: Function, removeItem: Function, hydrate?: Function }|null} adapter -
+ *   A storage adapter, or null to restore AsyncStorage
+ */
+export function configureStorage(adapter) {
+  configuredStorage = adapter || null;
+}
+
+/**
+ * Store the library's keys under `namespace` ('admin' stores 'token' as 'admin:token').
+ * Call it once at startup, after configureStorage() and before initStorage(),
+ * which moves values under the un-prefixed keys into the namespace.
+ *
+ * @param {string|null} namespace - Namespace, or null for un-prefixed keys
+ * @param {Object} [options]
+ * @param {boolean} [options.migrate=true] - Move existing un-prefixed values into the namespace
+ */
+export function setStorageNamespace(namespace, { migrate = true } = {}) {
+  setKeyNamespace(namespace);
+  pendingMigration = false;
+  if (!namespace || !migrate) return;
+
+  const adapter = persistentStorage();
+  if (adapter.hydrate) {
+    pendingMigration = true;
+  } else {
+    migrateToNamespace(adapter, getStorageKeys());
+  }
+}
+
+const nativeStorage = createNativeStorage();
+
+function persistentStorage() {
+  return configuredStorage || nativeStorage;
+}
+
+function requestStorage() {
+  return (scopeContext && scopeContext.getStore()) || scopedStorage;
+}
+
 /** Default storage instance for React Native */
-export const storage = createNativeStorage();
+export const storage = {
+  getItem: (key) => {
+    const scoped = requestStorage();
+    return scoped ? scoped.getItem(key) : persistentStorage().getItem(namespaceKey(key));
+  },
+  setItem: (key, value) => {
+    const scoped = requestStorage();
+    return scoped ? scoped.setItem(key, value) : persistentStorage().setItem(namespaceKey(key), value);
+  },
+  removeItem: (key) => {
+    const scoped = requestStorage();
+    return scoped ? scoped.removeItem(key) : persistentStorage().removeItem(namespaceKey(key));
+  },
+};
+
+export { createMemoryStorage };
 
 // Re-export createNativeStorage as createWebStorage for import compatibility
 export { createNativeStorage as createWebStorage };
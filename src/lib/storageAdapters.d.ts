@@ -0,0 +1,23 @@
+import type { StorageAdapter } from './storage';
+
+/** A store whose methods may return promises (AsyncStorage, SecureStore wrappers, ...) */
+export interface AsyncStore {
+  getItem(key: string): Promise<string | null | undefined> | string | null | undefined;
+  setItem(key: string, value: string): Promise<unknown> | unknown;
+  removeItem(key: string): Promise<unknown> | unknown;
+}
+
+export interface AsyncStorageOptions {
+  encode?: (value: string) => Promise<string>;
+  decode?: (value: string) => Promise<string>;
+}
+
+export interface EncryptedStorageOptions {
+  encrypt: (value: string) => Promise<string>;
+  decrypt: (value: string) => Promise<string>;
+}
+
+export function createSessionStorage(): StorageAdapter;
+export function createPrefixedStorage<T extends StorageAdapter>(adapter: T, prefix: string): T;
+export function createAsyncStorage(store: AsyncStore, options?: AsyncStorageOptions): StorageAdapter;
+export function createEncryptedStorage(store: AsyncStore, options: EncryptedStorageOptions): StorageAdapter;
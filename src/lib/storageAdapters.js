@@ -0,0 +1,134 @@
+/**
+ * Built-in storage adapters for configureStorage().
+ *
+ * The library reads storage synchronously. Adapters over an asynchronous
+ * store (AsyncStorage, SecureStore, encryption) keep an in-memory cache,
+ * write through in the background and expose `hydrate(keys)`, which
+ * initStorage() awaits before the app renders.
+ */
+
+/**
+ * Create a storage adapter backed by sessionStorage (cleared when the tab closes).
+ * @returns {{ getItem: (key: string) => string|null, setItem: (key: string, value: string) => void, removeItem: (key: string) => void }}
+ *
+ * @example
+ * configureStorage(createSessionStorage()); // kiosk mode: forget the token with the tab
+ */
+export function createSessionStorage() {
+  return {
+    getItem: (key) => sessionStorage.getItem(key),
+    setItem: (key, value) => sessionStorage.setItem(key, value),
+    removeItem: (key) => sessionStorage.removeItem(key),
+  };
+}
+
+/**
+ * Wrap an adapter so every key is stored under `prefix`, e.g. to run several
+ * apps on one origin without sharing a token.
+ * @param {Object} adapter - Any storage adapter
+ * @param {string} prefix - Prepended to every key
+ * @returns {Object} Storage adapter (with `hydrate` when `adapter` has one)
+ *
+ * @example
+ * configureStorage(createPrefixedStorage(createWebStorage(), 'admin:'));
+ */
+export function createPrefixedStorage(adapter, prefix) {
+  const prefixed = {
+    getItem: (key) => adapter.getItem(prefix + key),
+    setItem: (key, value) => adapter.setItem(prefix + key, value),
+    removeItem: (key) => adapter.removeItem(prefix + key),
+  };
+
+  if (adapter.hydrate) {
+    prefixed.hydrate = (keys) => adapter.hydrate(keys.map((key) => prefix + key));
+  }
+
+  return prefixed;
+}
+
+/**
+ * Create a synchronous adapter over an asynchronous store (methods returning
+ * promises), such as Expo SecureStore. Values are cached in memory, so call
+ * `await initStorage()` before rendering.
+ *
+ * Writes are sent in order; a failed write is logged and the cached value is kept.
+ *
+ * @param {{ getItem: (key: string) => Promise<string|null>, setItem: (key: string, value: string) => Promise<void>, removeItem: (key: string) => Promise<void> }} store - Synchronous methods work too
+ * @param {Object} [options]
+ * @param {(value: string) => Promise<string>} [options.encode] - Applied to values before they are written
+ * @param {(value: string) => Promise<string>} [options.decode] - Applied to values read by hydrate()
+ * @returns {Object} Storage adapter with `hydrate(keys)`
+ *
+ * @example
+ * import * as SecureStore from 'expo-secure-store';
+ *
+ * configureStorage(createAsyncStorage({
+ *   getItem: SecureStore.getItemAsync,
+ *   setItem: SecureStore.setItemAsync,
+ *   removeItem: SecureStore.deleteItemAsync,
+ * }));
+ * await initStorage();
+ */
+export function createAsyncStorage(store, { encode = async (value) => value, decode = async (value) => value } = {}) {
+  const cache = new Map();
+  // Keys written since creation: hydrate() must not overwrite them with stored values
+  const written = new Set();
+  // Writes run one after another so a slow encode cannot overtake a later removal
+  let writes = Promise.resolve();
+
+  function enqueue(label, write) {
+    writes = writes.then(write).catch((err) => console.warn(`Lumina: storage ${label} failed:`, err));
+  }
+
+  return {
+    getItem: (key) => (cache.has(key) ? cache.get(key) : null),
+    setItem: (key, value) => {
+      const stored = String(value);
+      cache.set(key, stored);
+      written.add(key);
+      enqueue('setItem', async () => store.setItem(key, await encode(stored)));
+    },
+    removeItem: (key) => {
+      cache.delete(key);
+      written.add(key);
+      enqueue('removeItem', () => store.removeItem(key));
+    },
+    hydrate: async (keys) => {
+      await Promise.all(keys.map(async (key) => {
+        try {
+          const value = await store.getItem(key);
+          if (value !== null && value !== undefined && !written.has(key)) {
+            const decoded = await decode(value);
+            if (!written.has(key)) cache.set(key, decoded);
+          }
+        } catch (err) {
+          // An unreadable value (e.g. encrypted with a lost key) is treated as missing
+          console.warn(`Lumina: storage could not load "${key}":`, err);
+        }
+      }));
+    },
+  };
+}
+
+/**
+ * Create an adapter that encrypts values before writing them to `store`.
+ * `store` may be synchronous (localStorage adapter) or return promises
+ * (AsyncStorage); `encrypt` and `decrypt` are asynchronous, e.g. Web Crypto.
+ * Values are cached decrypted in memory, so call `await initStorage()` before rendering.
+ *
+ * @param {Object} store - Storage adapter or asynchronous store holding the encrypted values
+ * @param {Object} crypto
+ * @param {(value: string) => Promise<string>} crypto.encrypt
+ * @param {(value: string) => Promise<string>} crypto.decrypt
+ * @returns {Object} Storage adapter with `hydrate(keys)`
+ *
+ * @example
+ * configureStorage(createEncryptedStorage(AsyncStorage, {
+ *   encrypt: (value) => aesEncrypt(value, deviceKey),
+ *   decrypt: (value) => aesDecrypt(value, deviceKey),
+ * }));
+ * await initStorage();
+ */
+export function createEncryptedStorage(store, { encrypt, decrypt }) {
+  return createAsyncStorage(store, { encode: encrypt, decode: decrypt });
+}
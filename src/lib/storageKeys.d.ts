@@ -0,0 +1,8 @@
+import type { StorageAdapter } from './storage';
+
+export function registerStorageKeys(...names: string[]): void;
+export function getStorageKeys(): string[];
+export function setKeyNamespace(namespace: string | null): void;
+export function namespaceKey(key: string): string;
+export function stripNamespace(storedKey: string | null): string | null;
+export function migrateToNamespace(adapter: StorageAdapter, names: string[]): void;
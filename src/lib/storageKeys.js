@@ -0,0 +1,68 @@
+/**
+ * Registry of the storage keys the library reads, so initStorage() can
+ * hydrate asynchronous adapters without a hard-coded key list, and the key
+ * namespace shared by the web and React Native storage (see setStorageNamespace).
+ */
+
+const keys = new Set();
+let prefix = '';
+
+/**
+ * Declare storage keys read by the library (or by your own code through `storage`).
+ * Keys registered before `initStorage()` are loaded by it.
+ * @param {...string} names
+ */
+export function registerStorageKeys(...names) {
+  names.forEach((name) => keys.add(name));
+}
+
+/**
+ * @returns {string[]} The registered storage keys
+ */
+export function getStorageKeys() {
+  return [...keys];
+}
+
+/**
+ * Set the namespace prepended to stored keys ('admin' stores 'token' as 'admin:token').
+ * Use setStorageNamespace() from the storage module, which also migrates existing keys.
+ * @param {string|null} namespace
+ */
+export function setKeyNamespace(namespace) {
+  prefix = namespace ? `${namespace}:` : '';
+}
+
+/**
+ * @param {string} key - Key used by the library
+ * @returns {string} Key in the adapter
+ */
+export function namespaceKey(key) {
+  return prefix + key;
+}
+
+/**
+ * @param {string|null} storedKey - Key in the adapter
+ * @returns {string|null} Key used by the library, or null outside the namespace
+ */
+export function stripNamespace(storedKey) {
+  if (storedKey === null || !storedKey.startsWith(prefix)) return null;
+  return storedKey.slice(prefix.length);
+}
+
+/**
+ * Move the un-prefixed values of `names` into the namespace. A value already
+ * in the namespace is kept; the un-prefixed copy is removed either way.
+ * @param {{ getItem: Function, setItem: Function, removeItem: Function }} adapter
+ * @param {string[]} names
+ */
+export function migrateToNamespace(adapter, names) {
+  if (!prefix) return;
+  names.forEach((name) => {
+    const value = adapter.getItem(name);
+    if (value === null) return;
+    if (adapter.getItem(prefix + name) === null) {
+      adapter.setItem(prefix + name, value);
+    }
+    adapter.removeItem(name);
+  });
+}
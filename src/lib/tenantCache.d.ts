@@ -0,0 +1,15 @@
+import type { Query, QueryClient, QueryKey } from '@tanstack/react-query';
+import type { AxiosInstance } from 'axios';
+
+export function clientScope(client: AxiosInstance): string | null;
+
+export function queryOrganization(queryKey: QueryKey): string | null | undefined;
+
+export function tenantQueryFilter(
+  organization: string,
+  queryKey?: QueryKey
+): { queryKey?: QueryKey; predicate: (query: Query) => boolean };
+
+export function retainOrganization(organization: string): () => void;
+
+export function removeOtherTenantQueries(queryClient: QueryClient, organization: string | null): void;
@@ -0,0 +1,100 @@
+/**
+ * Organization scoping of the React Query cache. Every organization-scoped
+ * query key of the hooks carries the slug at a fixed position, after the
+ * scope of the API client that fetched it.
+ */
+
+/**
+ * Index of the organization slug in each organization-scoped query key:
+ * ['modelIndex', model, scope, organization, options],
+ * ['modelShow', model, scope, id, organization, options], ['roles', scope, organization]
+ */
+const ORGANIZATION_POSITION = {
+  modelIndex: 3,
+  modelTrashed: 3,
+  modelShow: 4,
+  modelAudit: 4,
+  invitations: 2,
+  owner: 2,
+  roles: 2,
+};
+
+/**
+ * Scope of an API client in query keys: its `cacheKey`, else its baseURL, so
+ * clients of different backends sharing a QueryClient keep their own cache entries.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @returns {string|null}
+ */
+export function clientScope(client) {
+  return client?.defaults?.cacheKey ?? client?.defaults?.baseURL ?? null;
+}
+
+// Organizations shown by mounted OrganizationProvider scopes, with their mount counts
+const scopedOrganizations = new Map();
+
+/**
+ * Keep the cached queries of `organization` while a scope shows it, whatever
+ * the stored organization becomes. Used by OrganizationProvider.
+ *
+ * @param {string} organization - Organization slug
+ * @returns {Function} Release the organization
+ */
+export function retainOrganization(organization) {
+  scopedOrganizations.set(organization, (scopedOrganizations.get(organization) || 0) + 1);
+  return () => {
+    const count = scopedOrganizations.get(organization) - 1;
+    if (count > 0) {
+      scopedOrganizations.set(organization, count);
+    } else {
+      scopedOrganizations.delete(organization);
+    }
+  };
+}
+
+/**
+ * Organization slug of a query key, or undefined for keys that are not
+ * organization-scoped (e.g. the current user).
+ *
+ * @param {readonly unknown[]} queryKey
+ * @returns {string|null|undefined}
+ */
+export function queryOrganization(queryKey) {
+  const position = ORGANIZATION_POSITION[queryKey[0]];
+  return position === undefined ? undefined : queryKey[position];
+}
+
+/**
+ * Query filter matching the queries of one organization, optionally narrowed
+ * by a key prefix. Use it instead of a bare prefix so other tenants' cached
+ * entries are left alone.
+ *
+ * @param {string} organization - Organization slug
+ * @param {readonly unknown[]} [queryKey] - Key prefix, e.g. ['modelIndex', 'posts']
+ * @returns {{ queryKey?: readonly unknown[], predicate: Function }}
+ *
+ * @example
+ * queryClient.invalidateQueries(tenantQueryFilter(organization, ['modelIndex', 'posts']));
+ */
+export function tenantQueryFilter(organization, queryKey) {
+  const predicate = (query) => queryOrganization(query.queryKey) === organization;
+  return queryKey ? { queryKey, predicate } : { predicate };
+}
+
+/**
+ * Cancel and remove the cached queries of every organization except
+ * `organization` and those shown by mounted OrganizationProvider scopes.
+ * With no organization (logout) every organization-scoped query is removed.
+ *
+ * @param {import('@tanstack/react-query').QueryClient} queryClient
+ * @param {string|null} organization - Organization to keep
+ */
+export function removeOtherTenantQueries(queryClient, organization) {
+  const predicate = ({ queryKey }) => {
+    const owner = queryOrganization(queryKey);
+    if (owner === undefined || owner === organization) return false;
+    return organization === null || !scopedOrganizations.has(owner);
+  };
+  queryClient.cancelQueries({ predicate });
+  queryClient.removeQueries({ predicate });
+}
@@ -2,6 +2,10 @@
  * TypeScript type definitions for @rhino/client
  */
 
+import type { QueryClient } from '@tanstack/react-query';
+import type { AxiosInstance } from 'axios';
+import type { FieldErrors } from '../lib/errors';
+
 /**
  * Pagination metadata extracted from API response headers
  */
@@ -13,17 +17,126 @@ export interface PaginationMeta {
 }
 
 /**
- * Query options for model index/list operations
+ * Registry mapping model names to their row types.
+ * Augment it with declaration merging to get typed hooks without generics:
+ *
+ * @example
+ * declare module '@startsoft/lumina' {
+ *   interface LuminaModels {
+ *     posts: Post;
+ *     users: User;
+ *   }
+ * }
+ *
+ * const { data } = useModelIndex('posts'); // QueryResponse<Post>
+ * useModelIndex('psots'); // Type error
+ */
+export interface LuminaModels {}
+
+/**
+ * Model names accepted by the hooks: the registered keys of LuminaModels,
+ * or any string while the registry is empty
+ */
+export type ModelName = [keyof LuminaModels] extends [never]
+  ? string
+  : Extract<keyof LuminaModels, string>;
+
+/**
+ * Row type registered for a model name (a loose record for unknown names)
+ */
+export type ModelRow<M> = M extends keyof LuminaModels ? LuminaModels[M] : Record<string, any>;
+
+/**
+ * Row type used by a hook: an explicit generic wins, otherwise the registry entry
  */
-export interface ModelQueryOptions {
-  /** Filter by field values */
-  filters?: Record<string, any>;
+export type ResolveModelRow<T, M> = [T] extends [never] ? ModelRow<M> : T;
+
+/**
+ * Query options typed for a hook's row, kept out of generic inference so the
+ * row always comes from the explicit generic or the model name
+ */
+export type ModelQueryOptionsFor<T, M> = ModelQueryOptions<[ResolveModelRow<T, M>][ResolveModelRow<T, M> extends any ? 0 : never]>;
+
+type ModelKey<T> = Extract<keyof T, string>;
+
+/**
+ * Relationship names accepted by `includes` (nested paths allowed)
+ */
+export type ModelIncludeKey<T> = string extends ModelKey<T>
+  ? string
+  : ModelKey<T> | `${ModelKey<T>}.${string}`;
+
+/**
+ * Field names accepted by `fields`
+ */
+export type ModelFieldKey<T> = string extends ModelKey<T> ? string : ModelKey<T>;
+
+type ModelSortField<T> = ModelKey<T> | `-${ModelKey<T>}`;
+
+/**
+ * Sort expression accepted by `sort`: a field, optionally prefixed with `-`,
+ * followed by further comma-separated fields
+ */
+export type ModelSortKey<T> = string extends ModelKey<T>
+  ? string
+  : ModelSortField<T> | `${ModelSortField<T>},${string}`;
+
+/**
+ * Scalar value accepted in a filter
+ */
+export type FilterScalar = string | number | boolean | Date;
+
+/**
+ * Operator filter, serialized as `filter[field][operator]=value`
+ *
+ * @example
+ * { created_at: { between: ['2024-01-01', '2024-12-31'] } } // filter[created_at][between]=2024-01-01,2024-12-31
+ * { views: { gte: 100, lt: 1000 } }                         // filter[views][gte]=100&filter[views][lt]=1000
+ * { status: { notIn: ['draft', 'archived'] } }              // filter[status][not_in]=draft,archived
+ * { published_at: { null: true } }                         // filter[published_at][null]=1
+ */
+export interface FilterOperators {
+  gt?: FilterScalar;
+  gte?: FilterScalar;
+  lt?: FilterScalar;
+  lte?: FilterScalar;
+  /** Partial match */
+  like?: string;
+  /** Inclusive range as [from, to] */
+  between?: [FilterScalar, FilterScalar];
+  in?: FilterScalar[];
+  notIn?: FilterScalar[];
+  /** `true` matches null values, `false` matches non-null values */
+  null?: boolean;
+  /** `true` matches non-null values, `false` matches null values */
+  notNull?: boolean;
+}
+
+/**
+ * Value of a single filter: a scalar (`filter[field]=value`), a list
+ * (`filter[field]=a,b`) or an operator object
+ */
+export type FilterValue = FilterScalar | FilterScalar[] | FilterOperators | null | undefined;
+
+/**
+ * Filters keyed by field name
+ */
+export type ModelFilters = Record<string, FilterValue>;
+
+/**
+ * Query options for model index/list operations.
+ * `includes`, `fields` and `sort` are checked against the keys of `T`
+ * when the model is typed.
+ */
+export interface ModelQueryOptions<T = Record<string, any>> {
+  /** Filter by field values, lists or operator objects */
+  filters?: ModelFilters;
   /** Eager load relationships */
-  includes?: string[];
+  includes?: ModelIncludeKey<T>[];
   /** Sort field (prefix with - for descending) */
-  sort?: string;
+  sort?: ModelSortKey<T>;
   /** Select specific fields */
-  fields?: string[];
+  fields?: ModelFieldKey<T>[];
   /** Full-text search query */
   search?: string;
   /** Page number */
@@ -34,6 +147,82 @@ export interface ModelQueryOptions {
   per_page?: number;
 }
 
+/**
+ * Options for the model mutation hooks (store, update, delete)
+ */
+export interface ModelMutationOptions {
+  /**
+   * Patch cached index/show entries before the request resolves,
+   * rolling back on error and reconciling with the server response
+   */
+  optimistic?: boolean;
+  /**
+   * Queue the write on the client's offline queue when there is no connection
+   * (or earlier writes are still queued) and replay it on reconnect
+   */
+  offline?: boolean;
+}
+
+/**
+ * Options for prefetchModelIndex / prefetchModelShow / usePrefetchModel
+ */
+export interface PrefetchOptions {
+  /** Organization slug to prefetch for (defaults to the stored organization) */
+  organization?: string;
+  /** Skip the request when cached data is younger than this (ms) */
+  staleTime?: number;
+  /** Bearer token sent instead of the stored one (e.g. on the server) */
+  token?: string;
+  /** API client to fetch with (defaults to the default client) */
+  client?: AxiosInstance;
+}
+
+/**
+ * A model query to fetch with dehydrateModelQueries(): a union over the model
+ * names, so `options` is checked against each model's registered row
+ */
+export type ModelQueryDescriptor<M extends ModelName = ModelName> = M extends ModelName
+  ? {
+      model: M;
+      /** Fetch a single record (useModelShow) instead of the list (useModelIndex) */
+      id?: string | number;
+      options?: ModelQueryOptionsFor<never, M>;
+    }
+  : never;
+
+/**
+ * Options for dehydrateModelQueries()
+ */
+export interface DehydrateModelOptions {
+  /** Organization slug (required — there is no stored organization on the server) */
+  organization: string;
+  /** Bearer token for the request's user */
+  token?: string;
+  /** Client to fill; a fresh one is created when omitted */
+  queryClient?: QueryClient;
+  /** API client to fetch with (defaults to the default client) */
+  client?: AxiosInstance;
+}
+
+/**
+ * A single id that failed in a bulk operation
+ */
+export interface BulkFailure {
+  id: string | number;
+  /** Reason reported by the server */
+  message: string;
+}
+
+/**
+ * Per-id outcome of a bulk mutation (delete, restore, force-delete, update)
+ */
+export interface BulkResult {
+  /** Ids the server processed successfully */
+  succeeded: Array<string | number>;
+  /** Ids the server rejected, with the reason */
+  failed: BulkFailure[];
+}
+
 /**
  * Nested operation for multi-model transactions
  */
@@ -70,14 +259,63 @@ export interface AuditLog {
 }
 
 /**
- * Login result from authentication
+ * Result of the useAuth() methods (register, forgotPassword, resetPassword, ...)
  */
-export interface LoginResult {
+export interface AuthResult {
   success: boolean;
-  user?: any;
-  organization?: { slug: string };
-  organization_slug?: string;
+  /** Message from the API (success or failure) */
+  message?: string;
   error?: string;
+  /** Laravel's per-field validation messages (422 responses) */
+  fieldErrors?: FieldErrors;
+}
+
+/**
+ * Login result from authentication
+ */
+export interface LoginResult extends AuthResult {
+  /** Login needs a second factor; finish with submitTwoFactorCode() */
+  requiresTwoFactor?: boolean;
+  user?: any;
+  organization?: { slug: string } | null;
+  organization_slug?: string | null;
+}
+
+/**
+ * Payload for useAuth().register()
+ */
+export interface RegisterData {
+  name: string;
+  email: string;
+  password: string;
+  password_confirmation: string;
+  [key: string]: any;
+}
+
+/**
+ * Payload for useAuth().resetPassword()
+ */
+export interface ResetPasswordData {
+  /** Token from the reset link */
+  token: string;
+  email: string;
+  password: string;
+  password_confirmation: string;
+}
+
+/**
+ * Code for useAuth().submitTwoFactorCode(): an authenticator code, or a recovery code
+ */
+export type TwoFactorCode = string | { code: string } | { recoveryCode: string };
+
+/**
+ * Signed link parameters for useAuth().verifyEmail()
+ */
+export interface VerifyEmailParams {
+  id: string | number;
+  hash: string;
+  expires?: string | number;
+  signature?: string;
 }
 
 /**